@@ -0,0 +1,197 @@
+import * as THREE from 'three'
+import { navMesh } from '../navigation/NavMesh.js'
+
+const AVOIDANCE_DEFAULTS = {
+  neighborRadius: 3,        // Só considera vizinhos até esta distância
+  timeHorizon: 1.2,         // Segundos à frente em que prevê colisões
+  avoidWeight: 1.0,         // Peso da colisão prevista contra o desvio da velocidade desejada
+  personalSpace: 0.15,      // Folga entre as cápsulas
+  separationGain: 4,        // Velocidade (por metro de sobreposição) para se afastar
+  maxSeparationSpeed: 2,
+  playerRadius: 0.3         // Se o alvo não informar o raio da cápsula
+}
+
+// Velocidades candidatas: ângulos (graus) em volta da direção desejada × fração da velocidade
+const SAMPLE_ANGLES = [0, 20, -20, 40, -40, 65, -65, 90, -90]
+const SAMPLE_SPEEDS = [1, 0.5]
+
+// Reutilizados nas contas por NPC
+const _candidate = new THREE.Vector3()
+const _best = new THREE.Vector3()
+const _separation = new THREE.Vector3()
+const _next = new THREE.Vector3()
+const _neighbors = []
+
+const getAgentPosition = agent => agent.position
+
+/**
+ * Desvio local entre NPCs e do player
+ * Velocity obstacles por amostragem (estilo RVO): cada NPC testa algumas
+ * velocidades perto da desejada e fica com a de menor custo (desvio + colisão
+ * prevista). Entre NPCs a responsabilidade é dividida (recíproco); o player não
+ * desvia, então o NPC assume tudo. Cápsulas já encostadas ainda recebem um
+ * empurrão de separação, mesmo paradas.
+ */
+class LocalAvoidance {
+  constructor(options = {}) {
+    this.config = { ...AVOIDANCE_DEFAULTS, ...options }
+    this.agents = []
+    this.player = null
+    this.spatialHash = null
+  }
+
+  /**
+   * NPCs e player do passo atual (chamado pelo NPCManager antes da IA)
+   * Com o hash espacial dos NPCs, os vizinhos saem dele em vez da lista toda
+   */
+  setAgents(agents, player = null, spatialHash = null) {
+    this.agents = agents
+    this.player = player
+    this.spatialHash = spatialHash
+  }
+
+  /**
+   * Vizinhos dentro de neighborRadius: callback(position, radius, velocity, reciprocal)
+   */
+  forEachNeighbor(npc, callback) {
+    const radiusSq = this.config.neighborRadius * this.config.neighborRadius
+    const candidates = this.spatialHash
+      ? this.spatialHash.queryRadius(npc.position, this.config.neighborRadius, getAgentPosition, _neighbors)
+      : this.agents
+
+    for (const other of candidates) {
+      if (other === npc || !other.isAlive || !other.isLoaded) continue
+      if (horizontalDistanceSq(npc.position, other.position) > radiusSq) continue
+      callback(other.position, other.physics.radius, other.velocity, true)
+    }
+
+    const player = this.player
+    if (player && !player.isDead() && player.position) {
+      if (horizontalDistanceSq(npc.position, player.position) <= radiusSq) {
+        callback(player.position, player.radius ?? this.config.playerRadius, player.velocity, false)
+      }
+    }
+  }
+
+  /**
+   * Velocidade final (m/s, plano XZ) a partir da desejada; escreve em out
+   */
+  steer(npc, desired, out) {
+    const { timeHorizon, avoidWeight, personalSpace, separationGain, maxSeparationSpeed } = this.config
+    const radius = npc.physics.radius
+
+    // Velocidade do passo anterior (out pode ser o próprio npc.velocity)
+    const currentX = npc.velocity.x
+    const currentZ = npc.velocity.z
+
+    const neighbors = []
+    _separation.set(0, 0, 0)
+
+    this.forEachNeighbor(npc, (position, otherRadius, velocity, reciprocal) => {
+      const dx = position.x - npc.position.x
+      const dz = position.z - npc.position.z
+      const combined = radius + otherRadius + personalSpace
+
+      neighbors.push({ dx, dz, combined, vx: velocity?.x ?? 0, vz: velocity?.z ?? 0, reciprocal })
+
+      // Já sobrepostos: empurrar para fora
+      const distance = Math.hypot(dx, dz)
+      if (distance < combined) {
+        const push = (combined - distance) * separationGain
+        if (distance > 0.0001) {
+          _separation.x -= (dx / distance) * push
+          _separation.z -= (dz / distance) * push
+        } else {
+          // Exatamente no mesmo ponto: separar por um lado qualquer
+          _separation.x += push
+        }
+      }
+    })
+
+    if (_separation.lengthSq() > maxSeparationSpeed * maxSeparationSpeed) {
+      _separation.setLength(maxSeparationSpeed)
+    }
+
+    const speed = Math.hypot(desired.x, desired.z)
+    out.set(desired.x, 0, desired.z)
+
+    if (neighbors.length > 0 && speed > 0.001) {
+      let bestCost = Infinity
+      const baseAngle = Math.atan2(desired.x, desired.z)
+
+      for (const angle of SAMPLE_ANGLES) {
+        const heading = baseAngle + THREE.MathUtils.degToRad(angle)
+
+        for (const factor of SAMPLE_SPEEDS) {
+          _candidate.set(Math.sin(heading) * speed * factor, 0, Math.cos(heading) * speed * factor)
+
+          let timeToCollision = Infinity
+          for (const neighbor of neighbors) {
+            // Recíproco: cada um faz metade do desvio
+            const wx = neighbor.reciprocal ? 2 * _candidate.x - currentX - neighbor.vx : _candidate.x - neighbor.vx
+            const wz = neighbor.reciprocal ? 2 * _candidate.z - currentZ - neighbor.vz : _candidate.z - neighbor.vz
+            timeToCollision = Math.min(timeToCollision, getTimeToCollision(neighbor.dx, neighbor.dz, wx, wz, neighbor.combined))
+          }
+
+          const deviation = Math.hypot(_candidate.x - desired.x, _candidate.z - desired.z)
+          const cost = deviation + (timeToCollision < timeHorizon ? avoidWeight * speed / Math.max(timeToCollision, 0.05) : 0)
+
+          if (cost < bestCost) {
+            bestCost = cost
+            _best.copy(_candidate)
+          }
+        }
+      }
+
+      out.copy(_best)
+    }
+
+    out.add(_separation)
+
+    // Não desviar para fora da área caminhável
+    if (navMesh.isBuilt && out.distanceToSquared(desired) > 0.0001 && !this.isWalkable(npc.position, out)) {
+      out.set(desired.x, 0, desired.z)
+    }
+
+    return out
+  }
+
+  /**
+   * O ponto um pouco à frente na velocidade dada ainda está na navmesh
+   */
+  isWalkable(position, velocity) {
+    const speed = Math.hypot(velocity.x, velocity.z)
+    if (speed < 0.001) return true
+
+    _next.copy(position).addScaledVector(velocity, navMesh.cellSize / speed)
+    const node = navMesh.getNearestNode(_next, 1)
+    return !!node && Math.hypot(node.x - _next.x, node.z - _next.z) <= navMesh.cellSize
+  }
+}
+
+/**
+ * Tempo até dois discos se tocarem (posição relativa d, velocidade relativa w)
+ * 0 se já se tocam e estão se aproximando, Infinity se não vão se tocar
+ */
+function getTimeToCollision(dx, dz, wx, wz, combined) {
+  const a = wx * wx + wz * wz
+  const b = dx * wx + dz * wz
+  const c = dx * dx + dz * dz - combined * combined
+
+  if (c < 0) return b > 0 ? 0 : Infinity
+  if (b <= 0 || a < 0.000001) return Infinity
+
+  const discriminant = b * b - a * c
+  if (discriminant < 0) return Infinity
+
+  return (b - Math.sqrt(discriminant)) / a
+}
+
+function horizontalDistanceSq(a, b) {
+  const dx = a.x - b.x
+  const dz = a.z - b.z
+  return dx * dx + dz * dz
+}
+
+// Instância global do desvio local
+export const localAvoidance = new LocalAvoidance()
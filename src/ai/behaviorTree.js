@@ -0,0 +1,338 @@
+/**
+ * Runtime de behavior trees
+ * Árvores são montadas a partir de JSON (ver ai/trees/*.json):
+ *   { "type": "selector", "name": "Raiz", "children": [...] }
+ *   { "type": "condition", "name": "canSeeTarget" }
+ *   { "type": "action", "name": "setState", "args": { "state": "CHASE" } }
+ * Condições e ações vêm de uma biblioteca registrada (ver npcBehaviors.js).
+ * Argumentos "$chave" são lidos do blackboard a cada tick.
+ * Nós "subtree" (reaproveitar outra árvore) são expandidos em trees.js.
+ */
+
+export const Status = {
+  SUCCESS: 'SUCCESS',
+  FAILURE: 'FAILURE',
+  RUNNING: 'RUNNING'
+}
+
+// Biblioteca de folhas: nome -> função(context, args)
+const conditions = new Map()
+const actions = new Map()
+
+/**
+ * Registra uma condição: fn(context, args) retorna true/false
+ */
+export function registerCondition(name, fn) {
+  conditions.set(name, fn)
+}
+
+/**
+ * Registra uma ação: fn(context, args) retorna um Status (true/false viram SUCCESS/FAILURE)
+ */
+export function registerAction(name, fn) {
+  actions.set(name, fn)
+}
+
+// ========== BLACKBOARD ==========
+
+/**
+ * Memória compartilhada da árvore de um agente
+ * Chaves não definidas caem no objeto de fallback (ex.: npc.ai), assim
+ * "$attackDistance" usa a configuração do NPC a menos que a árvore a sobrescreva
+ */
+export class Blackboard {
+  constructor(values = {}, fallback = null) {
+    this.values = new Map(Object.entries(values))
+    this.fallback = fallback
+  }
+
+  get(key, defaultValue = undefined) {
+    if (this.values.has(key)) return this.values.get(key)
+    if (this.fallback && this.fallback[key] !== undefined) return this.fallback[key]
+    return defaultValue
+  }
+
+  set(key, value) {
+    this.values.set(key, value)
+  }
+
+  has(key) {
+    return this.values.has(key) || (this.fallback != null && this.fallback[key] !== undefined)
+  }
+
+  delete(key) {
+    this.values.delete(key)
+  }
+
+  /**
+   * Resolve um argumento: "$chave" vira o valor do blackboard
+   */
+  resolve(value) {
+    if (typeof value === 'string' && value.startsWith('$')) {
+      return this.get(value.slice(1))
+    }
+    return value
+  }
+}
+
+// ========== NÓS ==========
+
+/**
+ * Nó base
+ * execute() guarda o status do tick e monta o caminho ativo (context.path):
+ * nós que falham saem do caminho junto com os filhos
+ */
+class BTNode {
+  constructor(type, name, children = []) {
+    this.type = type
+    this.name = name || type
+    this.children = children
+    this.status = null
+    this.lastTick = -1
+  }
+
+  execute(context) {
+    const depth = context.path.length
+    context.path.push(this)
+
+    const status = this.tick(context)
+    this.status = status
+    this.lastTick = context.tickId
+
+    if (status === Status.FAILURE) {
+      context.path.length = depth
+    }
+
+    return status
+  }
+
+  tick() {
+    return Status.FAILURE
+  }
+}
+
+/**
+ * Selector: primeiro filho que não falha
+ * Reavalia desde o início a cada tick (filhos de maior prioridade interrompem)
+ */
+class SelectorNode extends BTNode {
+  tick(context) {
+    for (const child of this.children) {
+      const status = child.execute(context)
+      if (status !== Status.FAILURE) return status
+    }
+    return Status.FAILURE
+  }
+}
+
+/**
+ * Sequence: todos os filhos em ordem até um falhar ou continuar rodando
+ */
+class SequenceNode extends BTNode {
+  tick(context) {
+    for (const child of this.children) {
+      const status = child.execute(context)
+      if (status !== Status.SUCCESS) return status
+    }
+    return Status.SUCCESS
+  }
+}
+
+/**
+ * Inverter: troca sucesso e falha
+ */
+class InverterNode extends BTNode {
+  tick(context) {
+    const status = this.children[0].execute(context)
+    if (status === Status.SUCCESS) return Status.FAILURE
+    if (status === Status.FAILURE) return Status.SUCCESS
+    return status
+  }
+}
+
+/**
+ * Succeeder: nunca falha (filho opcional dentro de uma sequence)
+ */
+class SucceederNode extends BTNode {
+  tick(context) {
+    const status = this.children[0].execute(context)
+    return status === Status.RUNNING ? status : Status.SUCCESS
+  }
+}
+
+/**
+ * Cooldown: depois que o filho termina com sucesso, falha por args.duration segundos
+ */
+class CooldownNode extends BTNode {
+  constructor(type, name, children, args) {
+    super(type, name, children)
+    this.args = args
+    this.readyAt = 0
+  }
+
+  tick(context) {
+    if (context.time < this.readyAt) return Status.FAILURE
+
+    const status = this.children[0].execute(context)
+    if (status === Status.SUCCESS) {
+      this.readyAt = context.time + context.blackboard.resolve(this.args.duration ?? 1)
+    }
+    return status
+  }
+}
+
+/**
+ * Folha: condição da biblioteca
+ */
+class ConditionNode extends BTNode {
+  constructor(type, name, children, args, fn) {
+    super(type, name, children)
+    this.args = args
+    this.fn = fn
+  }
+
+  tick(context) {
+    return this.fn(context, resolveArgs(this.args, context.blackboard)) ? Status.SUCCESS : Status.FAILURE
+  }
+}
+
+/**
+ * Folha: ação da biblioteca
+ */
+class ActionNode extends BTNode {
+  constructor(type, name, children, args, fn) {
+    super(type, name, children)
+    this.args = args
+    this.fn = fn
+  }
+
+  tick(context) {
+    const result = this.fn(context, resolveArgs(this.args, context.blackboard))
+    if (result === true || result === undefined) return Status.SUCCESS
+    if (result === false) return Status.FAILURE
+    return result
+  }
+}
+
+function resolveArgs(args, blackboard) {
+  const resolved = {}
+  for (const key in args) {
+    resolved[key] = blackboard.resolve(args[key])
+  }
+  return resolved
+}
+
+// Compostos ("children") e decorators ("child") aceitos no JSON
+const COMPOSITES = {
+  selector: SelectorNode,
+  sequence: SequenceNode
+}
+
+const DECORATORS = {
+  inverter: InverterNode,
+  succeeder: SucceederNode,
+  cooldown: CooldownNode
+}
+
+/**
+ * Monta um nó (e seus filhos) a partir do JSON
+ * Lança erro com o caminho do nó se a definição for inválida
+ */
+export function buildNode(json, path = 'root') {
+  if (!json || typeof json.type !== 'string') {
+    throw new Error(`${path}: nó sem "type"`)
+  }
+
+  const { type, name } = json
+  const args = json.args || {}
+
+  if (COMPOSITES[type]) {
+    const children = (json.children || []).map((child, i) => buildNode(child, `${path}/${child?.name || i}`))
+    if (children.length === 0) {
+      throw new Error(`${path}: "${type}" precisa de filhos`)
+    }
+    return new COMPOSITES[type](type, name, children)
+  }
+
+  if (DECORATORS[type]) {
+    if (!json.child) {
+      throw new Error(`${path}: "${type}" precisa de "child"`)
+    }
+    const child = buildNode(json.child, `${path}/${json.child.name || 'child'}`)
+    return new DECORATORS[type](type, name, [child], args)
+  }
+
+  if (type === 'condition') {
+    const fn = conditions.get(name)
+    if (!fn) throw new Error(`${path}: condição desconhecida "${name}"`)
+    return new ConditionNode(type, name, [], args, fn)
+  }
+
+  if (type === 'action') {
+    const fn = actions.get(name)
+    if (!fn) throw new Error(`${path}: ação desconhecida "${name}"`)
+    return new ActionNode(type, name, [], args, fn)
+  }
+
+  throw new Error(`${path}: tipo de nó desconhecido "${type}"`)
+}
+
+// ========== ÁRVORE ==========
+
+/**
+ * Instância de uma árvore para um agente (cada NPC tem a sua: nós guardam timers)
+ * definition: { id, blackboard, root }
+ */
+export class BehaviorTree {
+  constructor(definition, fallback = null) {
+    this.id = definition.id
+    this.root = buildNode(definition.root, definition.root.name || 'root')
+    this.blackboard = new Blackboard(definition.blackboard, fallback)
+
+    this.tickId = 0
+    this.time = 0
+    this.status = null
+
+    // Nós que não falharam no último tick, da raiz até a folha ativa
+    this.activePath = []
+  }
+
+  /**
+   * Executa um tick a partir da raiz
+   */
+  tick(agent, delta) {
+    this.tickId++
+    this.time += delta
+
+    const context = {
+      agent,
+      blackboard: this.blackboard,
+      delta,
+      time: this.time,
+      tickId: this.tickId,
+      path: []
+    }
+
+    this.status = this.root.execute(context)
+    this.activePath = context.path
+
+    return this.status
+  }
+
+  /**
+   * Folha que decidiu o último tick (ou null)
+   */
+  getActiveNode() {
+    return this.activePath.length > 0 ? this.activePath[this.activePath.length - 1] : null
+  }
+
+  /**
+   * Percorre todos os nós em profundidade: callback(node, depth)
+   */
+  traverse(callback, node = this.root, depth = 0) {
+    callback(node, depth)
+    for (const child of node.children) {
+      this.traverse(callback, child, depth + 1)
+    }
+  }
+}
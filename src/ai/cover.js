@@ -0,0 +1,239 @@
+import * as THREE from 'three'
+import { physicsWorld } from '../physics/physics.js'
+import { LayerMask } from '../physics/layers.js'
+import { navMesh } from '../navigation/NavMesh.js'
+
+// Altura (acima do chão) que o obstáculo precisa cobrir
+const COVER_HEIGHT = 1.0
+
+// Distância mínima entre pontos gerados
+const MIN_SPACING = 1.5
+
+// Quanto a normal do ponto precisa apontar para a ameaça (cosseno)
+const MIN_FACING = 0.35
+
+// Deslocamento lateral para sair da cobertura e atirar
+const PEEK_OFFSET = 0.9
+
+// Candidatos testados com raycast por busca (os mais bem pontuados)
+const MAX_COVER_TESTS = 6
+
+// Direções ortogonais testadas em cada nó de borda da navmesh
+const WALL_DIRECTIONS = [
+  new THREE.Vector3(1, 0, 0),
+  new THREE.Vector3(-1, 0, 0),
+  new THREE.Vector3(0, 0, 1),
+  new THREE.Vector3(0, 0, -1)
+]
+
+// Reutilizados nas consultas
+const _from = new THREE.Vector3()
+const _to = new THREE.Vector3()
+const _direction = new THREE.Vector3()
+const _lateral = new THREE.Vector3()
+
+/**
+ * Pontos de cobertura para NPCs de longo alcance
+ * Vêm do mapa (CoverPoint_*, ver world/entities.js) ou são gerados nos nós
+ * de borda da navmesh que têm parede ao lado na altura do peito.
+ * Cada ponto: { position, normal (aponta para o obstáculo), authored, occupant }
+ */
+class CoverSystem {
+  constructor() {
+    this.points = []
+  }
+
+  /**
+   * Monta os pontos a partir dos autorados e da navmesh já construída
+   */
+  build(authoredPoints = []) {
+    this.clear()
+
+    for (const point of authoredPoints) {
+      this.points.push({
+        position: point.position.clone(),
+        normal: point.normal.clone(),
+        authored: true,
+        occupant: null
+      })
+    }
+
+    this.generateFromNavMesh()
+
+    return this.points.length
+  }
+
+  /**
+   * Gera pontos onde um nó caminhável encosta em uma parede
+   * Retorna quantos pontos foram criados
+   */
+  generateFromNavMesh() {
+    if (!navMesh.isBuilt) return 0
+
+    const probeDistance = navMesh.cellSize
+    let count = 0
+
+    for (const node of navMesh.nodes) {
+      if (!node.isEdge) continue
+
+      _from.set(node.x, node.y + COVER_HEIGHT, node.z)
+
+      for (const direction of WALL_DIRECTIONS) {
+        const wall = physicsWorld.castRay(_from, direction, probeDistance, true, { mask: LayerMask.SIGHT })
+        if (!wall) continue
+
+        _to.set(node.x, node.y, node.z)
+        if (this.hasPointNear(_to, MIN_SPACING)) break
+
+        this.points.push({
+          position: _to.clone(),
+          normal: direction.clone(),
+          authored: false,
+          occupant: null
+        })
+        count++
+        break
+      }
+    }
+
+    return count
+  }
+
+  hasPointNear(position, distance) {
+    const distanceSq = distance * distance
+    return this.points.some(point => point.position.distanceToSquared(position) < distanceSq)
+  }
+
+  // ========== CONSULTAS ==========
+
+  /**
+   * Melhor cobertura livre para o NPC contra uma ameaça
+   * options: { searchRadius, preferredDistance, minThreatDistance, maxThreatDistance, eyeHeight }
+   * Retorna o ponto ou null
+   */
+  findCover(npc, threatPosition, options = {}) {
+    const {
+      searchRadius = 12,
+      preferredDistance = 10,
+      minThreatDistance = 4,
+      maxThreatDistance = Infinity,
+      eyeHeight = 1.6
+    } = options
+
+    const candidates = []
+
+    for (const point of this.points) {
+      if (point.occupant && point.occupant !== npc) continue
+
+      const distance = npc.position.distanceTo(point.position)
+      if (distance > searchRadius) continue
+
+      const threatDistance = point.position.distanceTo(threatPosition)
+      if (threatDistance < minThreatDistance || threatDistance > maxThreatDistance) continue
+
+      // O obstáculo precisa ficar entre o ponto e a ameaça
+      _direction.subVectors(threatPosition, point.position).setY(0).normalize()
+      if (point.normal.dot(_direction) < MIN_FACING) continue
+
+      // Perto do NPC e perto da distância preferida de combate
+      const score = distance + Math.abs(threatDistance - preferredDistance) * 0.5
+      candidates.push({ point, score })
+    }
+
+    candidates.sort((a, b) => a.score - b.score)
+
+    for (let i = 0; i < Math.min(candidates.length, MAX_COVER_TESTS); i++) {
+      const { point } = candidates[i]
+      if (this.isProtected(point.position, threatPosition, eyeHeight)) {
+        return point
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * O cenário bloqueia a linha entre a ameaça (olhos) e o ponto (peito)
+   */
+  isProtected(position, threatPosition, eyeHeight = 1.6) {
+    _from.copy(threatPosition)
+    _from.y += eyeHeight * 0.5
+    _to.copy(position)
+    _to.y += COVER_HEIGHT
+
+    return !this.hasLineOfSight(_from, _to)
+  }
+
+  /**
+   * Posição ao lado da cobertura de onde a ameaça fica visível (ou null)
+   * Testa os dois lados, começando pelo mais próximo do NPC
+   */
+  findPeekPosition(point, threatPosition, eyeHeight, preferredSide = 1) {
+    _lateral.set(-point.normal.z, 0, point.normal.x)
+
+    for (const side of [preferredSide, -preferredSide]) {
+      const candidate = point.position.clone().addScaledVector(_lateral, PEEK_OFFSET * side)
+
+      // O lado precisa ser caminhável
+      if (navMesh.isBuilt) {
+        const node = navMesh.getNearestNode(candidate, 1)
+        if (!node || Math.hypot(node.x - candidate.x, node.z - candidate.z) > navMesh.cellSize) continue
+        candidate.y = node.y
+      }
+
+      _from.copy(candidate)
+      _from.y += eyeHeight
+      if (this.hasLineOfSight(_from, threatPosition)) {
+        return candidate
+      }
+    }
+
+    return null
+  }
+
+  hasLineOfSight(from, to) {
+    _direction.subVectors(to, from)
+    const distance = _direction.length()
+    if (distance < 0.001) return true
+
+    _direction.divideScalar(distance)
+    return !physicsWorld.castRay(from, _direction, distance, true, { mask: LayerMask.SIGHT })
+  }
+
+  // ========== OCUPAÇÃO ==========
+
+  /**
+   * Reserva o ponto para um NPC (libera o que ele ocupava antes)
+   */
+  claim(point, npc) {
+    this.release(npc)
+    point.occupant = npc
+  }
+
+  release(npc) {
+    for (const point of this.points) {
+      if (point.occupant === npc) {
+        point.occupant = null
+      }
+    }
+  }
+
+  clear() {
+    this.points = []
+  }
+
+  getStats() {
+    return {
+      total: this.points.length,
+      authored: this.points.filter(point => point.authored).length,
+      occupied: this.points.filter(point => point.occupant).length
+    }
+  }
+}
+
+// Instância global dos pontos de cobertura
+export const coverSystem = new CoverSystem()
+
+export function buildCoverPoints(authoredPoints) {
+  return coverSystem.build(authoredPoints)
+}
@@ -0,0 +1,222 @@
+import * as THREE from 'three'
+import { camera } from '../core/camera.js'
+import { NPCManager } from '../entities/NPCManager.js'
+import { Status } from './behaviorTree.js'
+
+// Intervalo (segundos) entre atualizações do painel
+const REFRESH_INTERVAL = 0.1
+
+// Cores do status de cada nó no último tick
+const STATUS_COLOR = {
+  [Status.SUCCESS]: '#44ff44',
+  [Status.FAILURE]: '#ff6666',
+  [Status.RUNNING]: '#ffff00'
+}
+const IDLE_COLOR = '#666666'
+
+const _forward = new THREE.Vector3()
+const _toNPC = new THREE.Vector3()
+const _cameraPosition = new THREE.Vector3()
+
+/**
+ * Painel com a behavior tree do NPC selecionado
+ * Mostra o status de cada nó no último tick e destaca o nó ativo
+ * F3 liga/desliga (seleciona o NPC na mira), F4 passa para o próximo NPC
+ */
+class BehaviorTreeDebug {
+  constructor() {
+    this.enabled = false
+    this.npc = null
+    this.element = null
+    this.refreshTimer = 0
+  }
+
+  enable() {
+    this.enabled = true
+    if (!this.element) this.createElement()
+    this.element.style.display = 'block'
+
+    if (!this.isSelectable(this.npc)) {
+      this.selectAimed()
+    }
+    this.render()
+  }
+
+  disable() {
+    this.enabled = false
+    if (this.element) this.element.style.display = 'none'
+  }
+
+  toggle() {
+    if (this.enabled) {
+      this.disable()
+    } else {
+      this.enable()
+    }
+  }
+
+  createElement() {
+    this.element = document.createElement('div')
+    this.element.id = 'behavior-debug'
+    Object.assign(this.element.style, {
+      position: 'fixed',
+      top: '120px',
+      right: '20px',
+      maxHeight: '70vh',
+      overflowY: 'auto',
+      padding: '10px 14px',
+      background: 'rgba(0, 0, 0, 0.8)',
+      border: '1px solid #00ccff',
+      borderRadius: '6px',
+      font: '12px "Courier New", monospace',
+      color: '#ffffff',
+      whiteSpace: 'pre',
+      pointerEvents: 'none',
+      zIndex: 1500
+    })
+    document.body.appendChild(this.element)
+  }
+
+  // ========== SELEÇÃO ==========
+
+  isSelectable(npc) {
+    return !!npc && npc.isAlive && NPCManager.npcs.includes(npc)
+  }
+
+  /**
+   * Seleciona o NPC vivo mais próximo do centro da mira
+   */
+  selectAimed() {
+    camera.getWorldDirection(_forward)
+    camera.getWorldPosition(_cameraPosition)
+
+    let best = null
+    let bestDot = -Infinity
+
+    for (const npc of NPCManager.npcs) {
+      if (!npc.isAlive) continue
+
+      _toNPC.subVectors(npc.position, _cameraPosition).normalize()
+      const dot = _toNPC.dot(_forward)
+      if (dot > bestDot) {
+        bestDot = dot
+        best = npc
+      }
+    }
+
+    this.npc = best
+  }
+
+  /**
+   * Passa para o próximo NPC vivo da lista
+   */
+  selectNext() {
+    const alive = NPCManager.npcs.filter(npc => npc.isAlive)
+    if (alive.length === 0) {
+      this.npc = null
+      return
+    }
+
+    const index = alive.indexOf(this.npc)
+    this.npc = alive[(index + 1) % alive.length]
+    this.render()
+  }
+
+  // ========== PAINEL ==========
+
+  update(delta) {
+    if (!this.enabled) return
+
+    this.refreshTimer -= delta
+    if (this.refreshTimer > 0) return
+    this.refreshTimer = REFRESH_INTERVAL
+
+    if (!this.isSelectable(this.npc)) {
+      this.selectAimed()
+    }
+    this.render()
+  }
+
+  render() {
+    if (!this.element) return
+
+    this.element.replaceChildren()
+
+    const npc = this.npc
+    if (!npc || !npc.behavior) {
+      this.addLine('🌳 Nenhum NPC selecionado (F4: próximo)', '#00ccff')
+      return
+    }
+
+    const tree = npc.behavior
+    const active = tree.getActiveNode()
+
+    this.addLine(`🌳 ${npc.name} [${tree.id}]`, '#00ccff')
+    this.addLine(`Estado: ${npc.state} (${npc.stateTime.toFixed(1)}s)  Vida: ${Math.round(npc.health)}/${npc.maxHealth}`, '#ffffff')
+    if (npc.squad.group) {
+      this.addLine(`Esquadrão: ${npc.squad.group.id} (${npc.squad.role || 'sem papel'})`, '#ffffff')
+    }
+    this.addLine(`LOD: ${npc.lod.level} (${npc.lod.onScreen ? 'na tela' : 'fora da tela'})`, '#ffffff')
+    this.addLine(`Ativo: ${active ? this.describe(active) : '-'}`, '#ffff00')
+    this.addLine('')
+
+    tree.traverse((node, depth) => {
+      const ticked = node.lastTick === tree.tickId
+      const color = ticked ? STATUS_COLOR[node.status] : IDLE_COLOR
+      const marker = node === active ? '▶ ' : '  '
+      const line = this.addLine(`${'  '.repeat(depth)}${marker}${this.describe(node)}`, color)
+      if (node === active) line.style.fontWeight = 'bold'
+    })
+
+    const values = [...tree.blackboard.values.entries()]
+    if (values.length > 0) {
+      this.addLine('')
+      for (const [key, value] of values) {
+        this.addLine(`$${key} = ${value}`, '#888888')
+      }
+    }
+  }
+
+  /**
+   * Rótulo do nó: tipo, nome e argumentos das folhas
+   */
+  describe(node) {
+    const args = node.args && Object.keys(node.args).length > 0 ? ` ${JSON.stringify(node.args)}` : ''
+
+    if (node.type === 'condition') return `? ${node.name}${args}`
+    if (node.type === 'action') return `! ${node.name}${args}`
+    if (node.name === node.type) return `${node.type}${args}`
+    return `${node.type}: ${node.name}${args}`
+  }
+
+  addLine(text, color = '#ffffff') {
+    const line = document.createElement('div')
+    line.textContent = text
+    line.style.color = color
+    this.element.appendChild(line)
+    return line
+  }
+}
+
+let behaviorTreeDebug = null
+
+export function createBehaviorTreeDebug() {
+  behaviorTreeDebug = new BehaviorTreeDebug()
+
+  // Adicionar controle por teclado (F3 para toggle, F4 para trocar de NPC)
+  window.addEventListener('keydown', (event) => {
+    if (event.code === 'F3') {
+      event.preventDefault()
+      behaviorTreeDebug.toggle()
+    } else if (event.code === 'F4' && behaviorTreeDebug.enabled) {
+      event.preventDefault()
+      behaviorTreeDebug.selectNext()
+    }
+  })
+
+  return behaviorTreeDebug
+}
+
+export function getBehaviorTreeDebug() {
+  return behaviorTreeDebug
+}
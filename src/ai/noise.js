@@ -0,0 +1,74 @@
+import * as THREE from 'three'
+import { physicsWorld } from '../physics/physics.js'
+import { LayerMask } from '../physics/layers.js'
+
+/**
+ * Tipos de ruído emitidos pelo jogo
+ */
+export const NoiseType = {
+  GUNSHOT: 'GUNSHOT',
+  FOOTSTEP: 'FOOTSTEP',
+  LANDING: 'LANDING',
+  IMPACT: 'IMPACT',
+  EXPLOSION: 'EXPLOSION'
+}
+
+/**
+ * Volume padrão de cada tipo de ruído
+ * O volume é o alcance em metros em campo aberto (sem paredes)
+ */
+export const NoiseLoudness = {
+  [NoiseType.GUNSHOT]: 35,
+  [NoiseType.FOOTSTEP]: 6,
+  [NoiseType.LANDING]: 10,
+  [NoiseType.IMPACT]: 8,
+  [NoiseType.EXPLOSION]: 60
+}
+
+// Fração do volume que atravessa cada parede
+const WALL_DAMPENING = 0.45
+
+// Reutilizados nos raycasts de atenuação
+const _direction = new THREE.Vector3()
+
+/**
+ * Emite um ruído no mundo
+ * Os NPCs recebem o evento 'noise-emitted' através do NPCManager
+ */
+export function emitNoise(position, type, options = {}) {
+  const loudness = options.loudness ?? NoiseLoudness[type] ?? 10
+
+  window.dispatchEvent(new CustomEvent('noise-emitted', {
+    detail: {
+      position: new THREE.Vector3().copy(position),
+      loudness,
+      type,
+      source: options.source || null
+    }
+  }))
+}
+
+/**
+ * Calcula o volume percebido de um ruído em uma posição
+ * Cada parede estática entre a origem e o ouvinte reduz o volume
+ * Retorna o alcance restante em metros (<= 0 significa que não foi ouvido)
+ */
+export function getPerceivedLoudness(noise, listenerPosition) {
+  _direction.subVectors(listenerPosition, noise.position)
+  const distance = _direction.length()
+
+  // Nem em campo aberto chegaria até aqui
+  if (distance >= noise.loudness) return noise.loudness - distance
+  if (distance < 0.001) return noise.loudness
+
+  _direction.divideScalar(distance)
+
+  // Apenas o mundo estático abafa o som
+  const hits = physicsWorld.castRayAll(noise.position, _direction, distance, true, { mask: LayerMask.SIGHT })
+
+  // Contar colliders distintos (uma parede pode ser atingida na entrada e na saída)
+  const walls = new Set(hits.map(hit => hit.collider.handle)).size
+  const loudness = noise.loudness * Math.pow(WALL_DAMPENING, walls)
+
+  return loudness - distance
+}
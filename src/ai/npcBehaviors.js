@@ -0,0 +1,104 @@
+import { registerCondition, registerAction, Status } from './behaviorTree.js'
+
+/**
+ * Biblioteca de condições e ações das árvores de NPC (context.agent é o NPC)
+ * O comportamento de cada estado continua nos métodos do NPC (updatePatrol,
+ * updateChase, updateAttack...); as árvores decidem quando trocar de estado.
+ * Novas folhas registradas aqui ficam disponíveis para qualquer árvore JSON.
+ */
+
+// ========== CONDIÇÕES ==========
+
+// Estado atual é um dos args.states (ou args.state)
+registerCondition('inState', ({ agent }, { state, states }) => {
+  return states ? states.includes(agent.state) : agent.state === state
+})
+
+// Há quanto tempo está no estado atual: mais de args.seconds × args.scale
+registerCondition('stateTimeAbove', ({ agent }, { seconds = 0, scale = 1 }) => {
+  return agent.stateTime >= seconds * scale
+})
+
+registerCondition('canSeeTarget', ({ agent }) => agent.ai.canSeeTarget)
+
+// Medidor de visibilidade passou do nível de alerta
+registerCondition('noticedTarget', ({ agent }) => agent.hasNoticedTarget())
+
+registerCondition('targetDead', ({ agent }) => !agent.ai.target || agent.ai.target.isDead())
+
+// Distância até o alvo em relação a args.distance × args.scale
+registerCondition('targetWithin', ({ agent }, { distance, scale = 1 }) => {
+  return agent.getDistanceToTarget() <= distance * scale
+})
+
+registerCondition('targetBeyond', ({ agent }, { distance, scale = 1 }) => {
+  return agent.getDistanceToTarget() > distance * scale
+})
+
+// Chegou (no plano XZ) à última posição conhecida do alvo
+registerCondition('nearLastKnown', ({ agent }, { distance = 1 }) => {
+  return agent.getHorizontalDistance(agent.ai.lastKnownTargetPos) < distance
+})
+
+// Vida abaixo de args.ratio (0..1) da vida máxima
+registerCondition('healthBelow', ({ agent }, { ratio = 0.25 }) => {
+  return agent.health < agent.maxHealth * ratio
+})
+
+// Sorteio com probabilidade args.chance por tick
+registerCondition('chance', (context, { chance = 0.5 }) => Math.random() < chance)
+
+// ========== AÇÕES ==========
+
+registerAction('setState', ({ agent }, { state }) => {
+  agent.changeState(state)
+  return Status.SUCCESS
+})
+
+// Guarda a posição atual do alvo como última posição conhecida
+registerAction('rememberTarget', ({ agent }) => {
+  const targetPos = agent.getTargetPosition()
+  if (!targetPos) return Status.FAILURE
+
+  agent.ai.lastKnownTargetPos.copy(targetPos)
+  return Status.SUCCESS
+})
+
+registerAction('lookAtLastKnown', ({ agent }) => {
+  agent.lookAt(agent.ai.lastKnownTargetPos)
+  return Status.SUCCESS
+})
+
+// Parado no lugar
+registerAction('wait', () => Status.RUNNING)
+
+registerAction('patrol', ({ agent, delta }) => {
+  agent.updatePatrol(delta)
+  return Status.RUNNING
+})
+
+registerAction('investigate', ({ agent, delta }) => {
+  agent.updateInvestigate(delta)
+  return Status.RUNNING
+})
+
+registerAction('moveToLastKnown', ({ agent, delta }) => {
+  agent.moveToLastKnown(delta)
+  return Status.RUNNING
+})
+
+registerAction('chase', ({ agent, delta }) => {
+  agent.updateChase(delta)
+  return Status.RUNNING
+})
+
+registerAction('attack', ({ agent, delta }) => {
+  agent.updateAttack(delta)
+  return Status.RUNNING
+})
+
+// Corre para longe do alvo até args.distance
+registerAction('flee', ({ agent, delta }, { distance = 15 }) => {
+  agent.updateFlee(delta, distance)
+  return Status.RUNNING
+})
@@ -0,0 +1,361 @@
+import * as THREE from 'three'
+import { navMesh } from '../navigation/NavMesh.js'
+import { NPCState } from '../entities/NPC.js'
+
+/**
+ * Papéis dentro do esquadrão (recalculados enquanto o grupo está em combate)
+ */
+export const SquadRole = {
+  ASSAULT: 'ASSAULT',       // Mais perto do alvo: vai direto
+  FLANKER: 'FLANKER',       // Contorna pelo lado antes de fechar
+  SUPPRESSOR: 'SUPPRESSOR'  // Longo alcance: segura a posição e atira mais
+}
+
+const SQUAD_DEFAULTS = {
+  maxSize: 5,             // Membros por esquadrão
+  joinRadius: 15,         // NPC sem esquadrão entra no grupo mais próximo dentro deste raio
+  alertRadius: 25,        // Quem avista o alvo chama os colegas até esta distância
+  shareTime: 0.5,         // Segundos em que um avistamento ainda é repassado aos colegas
+  roleInterval: 2,        // Segundos entre redistribuições de papéis
+  spacing: 2.5,           // Distância lateral entre as rotas de quem avança junto
+  flankDistance: 7,       // Quanto o flanqueador abre para o lado do alvo
+  flankReached: 2,        // Distância para considerar o ponto de flanco alcançado
+  approachDistance: 6     // Mais perto que isso do alvo, todos vão direto
+}
+
+// Estados em que o NPC ainda não está caçando o alvo (recebem o alerta)
+const CALM_STATES = [NPCState.IDLE, NPCState.PATROL, NPCState.ALERT, NPCState.INVESTIGATE]
+
+// Estados de combate (recebem posições compartilhadas e papéis)
+const ENGAGED_STATES = [NPCState.CHASE, NPCState.ATTACK]
+
+// Reutilizados no cálculo de destinos
+const _centroid = new THREE.Vector3()
+const _forward = new THREE.Vector3()
+const _lateral = new THREE.Vector3()
+const _point = new THREE.Vector3()
+
+/**
+ * Grupo de NPCs que compartilham o que sabem do alvo
+ */
+class Squad {
+  constructor(id) {
+    this.id = id
+    this.members = []
+
+    // Última posição do alvo vista por qualquer membro
+    this.lastKnownTargetPos = new THREE.Vector3()
+    this.lastSeenTime = -Infinity
+    this.hasSighting = false
+
+    this.roleTimer = 0
+  }
+
+  getAliveMembers() {
+    return this.members.filter(npc => npc.isAlive)
+  }
+
+  /**
+   * Centro dos membros vivos (null se não houver)
+   */
+  getCentroid(target = _centroid) {
+    const alive = this.getAliveMembers()
+    if (alive.length === 0) return null
+
+    target.set(0, 0, 0)
+    for (const npc of alive) target.add(npc.position)
+    return target.divideScalar(alive.length)
+  }
+}
+
+/**
+ * Camada de esquadrões rodada pelo NPCManager a cada passo
+ * - Quem avista o alvo alerta os colegas próximos com a posição
+ * - Avistamentos recentes atualizam lastKnownTargetPos de quem perdeu o alvo
+ * - Em combate, distribui papéis (assalto, flanco, supressão) e espalha as
+ *   rotas de aproximação para os membros não andarem em fila
+ */
+class SquadSystem {
+  constructor(options = {}) {
+    this.config = { ...SQUAD_DEFAULTS, ...options }
+    this.squads = new Map()
+    this.nextId = 1
+    this.time = 0
+  }
+
+  // ========== MEMBROS ==========
+
+  /**
+   * Coloca o NPC em um esquadrão
+   * squadId: nome do esquadrão (autorado no spawn); sem nome, entra no grupo
+   * com vaga mais próximo dentro de joinRadius ou cria um novo
+   */
+  join(npc, squadId = null) {
+    this.leave(npc)
+
+    let squad = squadId != null ? this.squads.get(squadId) : this.findNearbySquad(npc.position)
+
+    if (!squad) {
+      const id = squadId ?? `squad_${this.nextId++}`
+      squad = new Squad(id)
+      this.squads.set(id, squad)
+    }
+
+    squad.members.push(npc)
+    npc.squad.group = squad
+    npc.squad.role = null
+    npc.squad.hasDestination = false
+    npc.squad.flanked = false
+
+    return squad
+  }
+
+  leave(npc) {
+    const squad = npc.squad.group
+    if (!squad) return
+
+    const index = squad.members.indexOf(npc)
+    if (index > -1) squad.members.splice(index, 1)
+
+    npc.squad.group = null
+    npc.squad.role = null
+    npc.squad.hasDestination = false
+
+    if (squad.members.length === 0) {
+      this.squads.delete(squad.id)
+    }
+  }
+
+  findNearbySquad(position) {
+    let best = null
+    let bestDistance = this.config.joinRadius
+
+    for (const squad of this.squads.values()) {
+      if (squad.members.length >= this.config.maxSize) continue
+
+      for (const member of squad.members) {
+        const distance = member.position.distanceTo(position)
+        if (distance < bestDistance) {
+          bestDistance = distance
+          best = squad
+        }
+      }
+    }
+
+    return best
+  }
+
+  // ========== ATUALIZAÇÃO ==========
+
+  update(delta) {
+    this.time += delta
+
+    for (const squad of this.squads.values()) {
+      this.updateAwareness(squad)
+      this.updateRoles(squad, delta)
+      this.updateDestinations(squad)
+    }
+  }
+
+  /**
+   * Avistamentos: alerta colegas calmos e repassa a posição a quem perdeu o alvo
+   */
+  updateAwareness(squad) {
+    const members = squad.getAliveMembers()
+    const spotters = members.filter(npc => npc.ai.canSeeTarget && npc.hasNoticedTarget())
+
+    if (spotters.length > 0) {
+      squad.lastKnownTargetPos.copy(spotters[0].getTargetPosition())
+      squad.lastSeenTime = this.time
+      squad.hasSighting = true
+
+      this.alertSquad(squad, spotters)
+    }
+
+    // Só repassa o que foi visto agora há pouco
+    if (!squad.hasSighting || this.time - squad.lastSeenTime > this.config.shareTime) return
+
+    for (const npc of members) {
+      if (npc.ai.canSeeTarget) continue
+
+      if (ENGAGED_STATES.includes(npc.state)) {
+        npc.ai.lastKnownTargetPos.copy(squad.lastKnownTargetPos)
+      } else if (npc.state === NPCState.INVESTIGATE) {
+        npc.receiveSquadAlert(squad.lastKnownTargetPos)
+      }
+    }
+  }
+
+  /**
+   * Chama os colegas calmos próximos de quem avistou o alvo
+   */
+  alertSquad(squad, spotters) {
+    const alertRadiusSq = this.config.alertRadius * this.config.alertRadius
+    const alerted = []
+
+    for (const npc of squad.members) {
+      if (!npc.isAlive || !CALM_STATES.includes(npc.state) || spotters.includes(npc)) continue
+
+      const inRange = spotters.some(spotter => spotter.position.distanceToSquared(npc.position) <= alertRadiusSq)
+      if (!inRange) continue
+
+      npc.receiveSquadAlert(squad.lastKnownTargetPos)
+      alerted.push(npc)
+    }
+
+    if (alerted.length > 0) {
+      window.dispatchEvent(new CustomEvent('squad-alert', {
+        detail: {
+          squad: squad.id,
+          spotter: spotters[0],
+          position: squad.lastKnownTargetPos.clone(),
+          alerted
+        }
+      }))
+    }
+  }
+
+  /**
+   * Distribui papéis entre os membros em combate
+   * O mais próximo do alvo assalta; longo alcance suprime; o resto flanqueia
+   * alternando os lados
+   */
+  updateRoles(squad, delta) {
+    const engaged = squad.getAliveMembers().filter(npc => ENGAGED_STATES.includes(npc.state))
+
+    // Fora de combate ninguém tem papel
+    for (const npc of squad.members) {
+      if (!engaged.includes(npc) && npc.squad.role) {
+        npc.squad.role = null
+        npc.squad.flanked = false
+      }
+    }
+
+    if (engaged.length === 0) {
+      squad.roleTimer = 0
+      return
+    }
+
+    // Novo membro em combate sem papel força a redistribuição
+    squad.roleTimer -= delta
+    const unassigned = engaged.some(npc => !npc.squad.role)
+    if (squad.roleTimer > 0 && !unassigned) return
+    squad.roleTimer = this.config.roleInterval
+
+    const target = squad.lastKnownTargetPos
+    engaged.sort((a, b) => a.position.distanceToSquared(target) - b.position.distanceToSquared(target))
+
+    let flankSide = Math.random() < 0.5 ? 1 : -1
+
+    engaged.forEach((npc, index) => {
+      let role
+      if (index === 0) {
+        role = SquadRole.ASSAULT
+      } else if (npc.ranged) {
+        role = SquadRole.SUPPRESSOR
+      } else {
+        role = SquadRole.FLANKER
+      }
+
+      if (role !== npc.squad.role) {
+        npc.squad.flanked = false
+      }
+      if (role === SquadRole.FLANKER && npc.squad.role !== SquadRole.FLANKER) {
+        npc.squad.side = flankSide
+        flankSide = -flankSide
+      }
+
+      npc.squad.role = role
+    })
+  }
+
+  /**
+   * Destinos de aproximação de quem persegue o alvo
+   * Flanqueadores abrem para o lado; os outros ganham faixas paralelas até
+   * chegarem perto, quando todos vão direto
+   */
+  updateDestinations(squad) {
+    const chasing = squad.getAliveMembers().filter(npc => npc.state === NPCState.CHASE)
+
+    for (const npc of squad.members) {
+      if (!chasing.includes(npc)) npc.squad.hasDestination = false
+    }
+
+    if (chasing.length === 0 || !squad.getCentroid()) return
+
+    const { spacing, flankDistance, flankReached, approachDistance } = this.config
+
+    // Eixo lateral: perpendicular à direção grupo → alvo
+    for (const npc of chasing) {
+      const target = npc.ai.lastKnownTargetPos
+
+      _forward.subVectors(target, _centroid).setY(0)
+      if (_forward.lengthSq() < 0.001) _forward.set(0, 0, 1)
+      _forward.normalize()
+      _lateral.set(-_forward.z, 0, _forward.x)
+
+      const distance = npc.getHorizontalDistance(target)
+      let offset = 0
+
+      if (npc.squad.role === SquadRole.FLANKER && !npc.squad.flanked) {
+        offset = flankDistance * npc.squad.side
+      } else if (distance > approachDistance) {
+        const lanes = chasing.filter(other => other.squad.role !== SquadRole.FLANKER || other.squad.flanked)
+        const lane = lanes.indexOf(npc)
+        offset = (lane - (lanes.length - 1) / 2) * spacing
+      }
+
+      if (Math.abs(offset) < 0.01 || !this.setDestination(npc, target, offset)) {
+        npc.squad.hasDestination = false
+        continue
+      }
+
+      // Flanco alcançado: daqui em diante vai direto
+      if (npc.squad.role === SquadRole.FLANKER && npc.getHorizontalDistance(npc.squad.destination) < flankReached) {
+        npc.squad.flanked = true
+        npc.squad.hasDestination = false
+      }
+    }
+  }
+
+  /**
+   * Ponto lateral ao alvo (preso à navmesh quando existe)
+   * Retorna false se não houver chão caminhável ali
+   */
+  setDestination(npc, target, offset) {
+    _point.copy(target).addScaledVector(_lateral, offset)
+
+    if (navMesh.isBuilt) {
+      const node = navMesh.getNearestNode(_point, 2)
+      if (!node) return false
+      _point.set(node.x, node.y, node.z)
+    }
+
+    npc.squad.destination.copy(_point)
+    npc.squad.hasDestination = true
+    return true
+  }
+
+  clear() {
+    for (const squad of this.squads.values()) {
+      for (const npc of squad.members) {
+        npc.squad.group = null
+        npc.squad.role = null
+        npc.squad.hasDestination = false
+      }
+    }
+    this.squads.clear()
+  }
+
+  getStats() {
+    const squads = [...this.squads.values()]
+    return {
+      squads: squads.length,
+      members: squads.reduce((total, squad) => total + squad.members.length, 0),
+      engaged: squads.filter(squad => squad.members.some(npc => npc.squad.role)).length
+    }
+  }
+}
+
+// Instância global dos esquadrões
+export const squadSystem = new SquadSystem()
@@ -0,0 +1,97 @@
+import { BehaviorTree, buildNode } from './behaviorTree.js'
+import './npcBehaviors.js'
+
+// Árvore usada quando o NPC não escolhe outra
+export const DEFAULT_BEHAVIOR_TREE = 'default'
+
+// Carregar todas as árvores em tempo de build (Vite)
+const modules = import.meta.glob('./trees/*.json', { eager: true, import: 'default' })
+
+// Árvores cruas por id (para expandir nós "subtree" entre arquivos)
+const rawTrees = new Map()
+for (const raw of Object.values(modules)) {
+  if (raw?.id) rawTrees.set(raw.id, raw)
+}
+
+const definitions = new Map()
+
+for (const [path, raw] of Object.entries(modules)) {
+  const definition = normalizeDefinition(raw, path)
+  if (definition) {
+    definitions.set(definition.id, definition)
+  }
+}
+
+/**
+ * Valida uma árvore (monta uma vez para achar nós e folhas desconhecidos)
+ */
+function normalizeDefinition(raw, path) {
+  if (!raw || !raw.id || !raw.root) {
+    console.warn(`⚠️ Árvore de comportamento inválida (precisa de id e root): ${path}`)
+    return null
+  }
+
+  const blackboard = {}
+  let root
+  try {
+    root = expandSubtrees(raw.root, [raw.id], blackboard)
+    buildNode(root, `${raw.id}/${root.name || 'root'}`)
+  } catch (error) {
+    console.warn(`⚠️ Árvore de comportamento inválida em ${path}: ${error.message}`)
+    return null
+  }
+
+  return Object.freeze({
+    id: raw.id,
+    name: raw.name || raw.id,
+    blackboard: { ...blackboard, ...raw.blackboard },
+    root
+  })
+}
+
+/**
+ * Troca { "type": "subtree", "name": "<id>" } pela raiz da árvore referenciada
+ * O blackboard da subárvore entra em blackboard como padrão (a árvore de fora tem prioridade)
+ */
+function expandSubtrees(json, stack, blackboard) {
+  if (!json || typeof json !== 'object') return json
+
+  if (json.type === 'subtree') {
+    const raw = rawTrees.get(json.name)
+    if (!raw) throw new Error(`subárvore desconhecida "${json.name}"`)
+    if (stack.includes(json.name)) throw new Error(`subárvore recursiva "${json.name}"`)
+
+    for (const key in raw.blackboard) {
+      if (!(key in blackboard)) blackboard[key] = raw.blackboard[key]
+    }
+    return expandSubtrees(raw.root, [...stack, json.name], blackboard)
+  }
+
+  const expanded = { ...json }
+  if (json.children) expanded.children = json.children.map(child => expandSubtrees(child, stack, blackboard))
+  if (json.child) expanded.child = expandSubtrees(json.child, stack, blackboard)
+  return expanded
+}
+
+/**
+ * Obtém a definição de uma árvore pelo id
+ */
+export function getBehaviorTreeDefinition(id) {
+  return definitions.get(id) || null
+}
+
+/**
+ * Cria a instância de uma árvore para um NPC
+ * tree: id de uma árvore em ai/trees ou uma definição JSON inline
+ * Chaves "$..." fora do blackboard da árvore caem em npc.ai
+ */
+export function createBehaviorTree(npc, tree = DEFAULT_BEHAVIOR_TREE) {
+  let definition = typeof tree === 'string' ? getBehaviorTreeDefinition(tree) : normalizeDefinition(tree, 'inline')
+
+  if (!definition) {
+    console.warn(`⚠️ Árvore de comportamento "${tree?.id ?? tree}" não encontrada para ${npc.name}, usando "${DEFAULT_BEHAVIOR_TREE}"`)
+    definition = getBehaviorTreeDefinition(DEFAULT_BEHAVIOR_TREE)
+  }
+
+  return new BehaviorTree(definition, npc.ai)
+}
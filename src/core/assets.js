@@ -0,0 +1,164 @@
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js'
+
+/**
+ * Gerenciador de assets GLB
+ * Cada arquivo é baixado e processado uma única vez; quem usa recebe um clone
+ * (geometria e texturas compartilhadas, materiais próprios) e as animações
+ * compartilhadas. O asset é liberado quando o último usuário o devolve.
+ */
+class AssetManager {
+  constructor() {
+    this.loader = new GLTFLoader()
+
+    // path -> { promise, gltf, refCount }
+    this.models = new Map()
+  }
+
+  /**
+   * Obtém uma instância do modelo (carrega o arquivo se for o primeiro uso)
+   * Cada chamada precisa de um releaseModel correspondente
+   */
+  async acquireModel(path) {
+    let entry = this.models.get(path)
+
+    if (!entry) {
+      entry = { promise: null, gltf: null, refCount: 0 }
+      entry.promise = this.loader.loadAsync(path).then((gltf) => {
+        entry.gltf = gltf
+
+        // Todos devolveram antes do fim do download: liberar em vez de
+        // deixar a entrada órfã no cache
+        if (entry.refCount === 0) {
+          this.disposeAsset(gltf)
+          if (this.models.get(path) === entry) {
+            this.models.delete(path)
+          }
+        }
+
+        return gltf
+      })
+      this.models.set(path, entry)
+    }
+
+    // Reservar antes de esperar: spawns simultâneos compartilham o mesmo download
+    entry.refCount++
+
+    let gltf
+    try {
+      gltf = await entry.promise
+    } catch (error) {
+      entry.refCount--
+      if (this.models.get(path) === entry) {
+        this.models.delete(path)
+      }
+      throw error
+    }
+
+    // A reserva foi devolvida durante o carregamento e o asset já foi liberado
+    if (entry.refCount === 0) {
+      throw new Error(`Carregamento de ${path} cancelado (modelo devolvido antes de carregar)`)
+    }
+
+    return {
+      scene: this.cloneScene(gltf.scene),
+      animations: gltf.animations
+    }
+  }
+
+  /**
+   * Clona a cena respeitando o esqueleto (SkinnedMesh com ossos próprios)
+   * Geometrias são compartilhadas; materiais são clonados por instância
+   */
+  cloneScene(source) {
+    const clone = SkeletonUtils.clone(source)
+
+    clone.traverse((child) => {
+      if (!child.isMesh || !child.material) return
+
+      child.material = Array.isArray(child.material)
+        ? child.material.map(material => material.clone())
+        : child.material.clone()
+    })
+
+    return clone
+  }
+
+  /**
+   * Devolve uma instância obtida com acquireModel
+   * Os materiais da instância são descartados; o asset é liberado no último uso
+   */
+  releaseModel(path, instance = null) {
+    if (instance) {
+      disposeMaterials(instance)
+    }
+
+    const entry = this.models.get(path)
+    if (!entry) return
+
+    entry.refCount = Math.max(0, entry.refCount - 1)
+
+    if (entry.refCount === 0 && entry.gltf) {
+      this.disposeAsset(entry.gltf)
+      this.models.delete(path)
+    }
+  }
+
+  /**
+   * Libera geometrias, materiais e texturas do asset original
+   */
+  disposeAsset(gltf) {
+    gltf.scene.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose()
+      }
+    })
+
+    disposeMaterials(gltf.scene, true)
+  }
+
+  /**
+   * Retorna quantos usuários cada asset carregado possui
+   */
+  getStats() {
+    const stats = {}
+    for (const [path, entry] of this.models) {
+      stats[path] = entry.refCount
+    }
+    return stats
+  }
+}
+
+/**
+ * Descarta os materiais de uma cena (e opcionalmente as texturas deles)
+ */
+function disposeMaterials(root, includeTextures = false) {
+  root.traverse((child) => {
+    if (!child.isMesh || !child.material) return
+
+    const materials = Array.isArray(child.material) ? child.material : [child.material]
+
+    for (const material of materials) {
+      if (includeTextures) {
+        for (const value of Object.values(material)) {
+          if (value && value.isTexture) {
+            value.dispose()
+          }
+        }
+      }
+      material.dispose()
+    }
+  })
+}
+
+// Singleton
+export const assetManager = new AssetManager()
+
+// Funções de conveniência
+export function acquireModel(path) {
+  return assetManager.acquireModel(path)
+}
+
+export function releaseModel(path, instance = null) {
+  assetManager.releaseModel(path, instance)
+}
@@ -2,25 +2,62 @@ import { renderer } from "./renderer.js";
 import { scene } from "./scene.js";
 import { camera } from "./camera.js";
 
-let lastTime = 0
+// Passo fixo da simulação (física e IA rodam sempre com este delta)
+export const FIXED_TIMESTEP = 1 / 60
+// Máximo de sub-steps por frame (evita "espiral da morte" em frames lentos)
+export const MAX_SUBSTEPS = 5
+// Maior delta aceito por frame (ex: aba em segundo plano)
+const MAX_FRAME_TIME = 0.25
+
+let lastTime = null
+let accumulator = 0
 let animationFrameId = null
 let isLoopRunning = false
 
-export function startLoop(update, render) {
+/**
+ * Inicia o loop principal
+ * - fixedUpdate(step) roda zero ou mais vezes por frame com passo fixo
+ * - update(delta, alpha) roda uma vez por frame com o delta real
+ * - render(alpha) desenha o frame
+ * alpha (0..1) indica quanto do próximo passo fixo já passou,
+ * usado para interpolar entre os dois últimos estados da física
+ */
+export function startLoop(update, render, fixedUpdate = null) {
   if (isLoopRunning) {
     return
   }
 
   isLoopRunning = true
+  lastTime = null
+  accumulator = 0
 
   function loop(time) {
     if (!isLoopRunning) return
 
-    const delta = (time - lastTime) / 1000
+    if (lastTime === null) lastTime = time
+    const delta = Math.min((time - lastTime) / 1000, MAX_FRAME_TIME)
     lastTime = time
 
-    update(delta)
-    render()
+    if (fixedUpdate) {
+      accumulator += delta
+
+      let steps = 0
+      while (accumulator >= FIXED_TIMESTEP && steps < MAX_SUBSTEPS) {
+        fixedUpdate(FIXED_TIMESTEP)
+        accumulator -= FIXED_TIMESTEP
+        steps++
+      }
+
+      // Atingiu o limite: descartar o tempo restante em vez de acumular atraso
+      if (steps >= MAX_SUBSTEPS) {
+        accumulator = accumulator % FIXED_TIMESTEP
+      }
+    }
+
+    const alpha = fixedUpdate ? accumulator / FIXED_TIMESTEP : 1
+
+    update(delta, alpha)
+    render(alpha)
 
     animationFrameId = requestAnimationFrame(loop)
   }
@@ -30,6 +67,8 @@ export function startLoop(update, render) {
 
 export function stopLoop() {
   isLoopRunning = false
+  accumulator = 0
+  lastTime = null
   if (animationFrameId) {
     cancelAnimationFrame(animationFrameId)
     animationFrameId = null
@@ -0,0 +1,227 @@
+/**
+ * Hash espacial no plano XZ (células quadradas de cellSize metros)
+ * Guarda itens por posição para consultas por raio, vizinho mais próximo e
+ * ao longo de um raio sem percorrer a lista inteira
+ */
+export class SpatialHash {
+  constructor(cellSize = 4) {
+    this.cellSize = cellSize
+    this.cells = new Map()     // chave numérica da célula -> Set de itens
+    this.itemCells = new Map() // item -> chave da célula atual
+
+    // Extensão das células já ocupadas (limita buscas sem distância máxima)
+    this.bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity }
+  }
+
+  getCellCoord(value) {
+    return Math.floor(value / this.cellSize)
+  }
+
+  // Chave numérica (evita criar strings a cada consulta); vale para ±32768 células
+  getKey(cx, cz) {
+    return (cx + 0x8000) * 0x10000 + (cz + 0x8000)
+  }
+
+  /**
+   * Insere ou move um item (não faz nada se continuar na mesma célula)
+   */
+  update(item, position) {
+    const cx = this.getCellCoord(position.x)
+    const cz = this.getCellCoord(position.z)
+    const key = this.getKey(cx, cz)
+
+    const currentKey = this.itemCells.get(item)
+    if (currentKey === key) return
+
+    if (currentKey !== undefined) {
+      this.removeFromCell(item, currentKey)
+    }
+
+    let cell = this.cells.get(key)
+    if (!cell) {
+      cell = new Set()
+      this.cells.set(key, cell)
+    }
+    cell.add(item)
+    this.itemCells.set(item, key)
+
+    const bounds = this.bounds
+    bounds.minX = Math.min(bounds.minX, cx)
+    bounds.maxX = Math.max(bounds.maxX, cx)
+    bounds.minZ = Math.min(bounds.minZ, cz)
+    bounds.maxZ = Math.max(bounds.maxZ, cz)
+  }
+
+  remove(item) {
+    const key = this.itemCells.get(item)
+    if (key === undefined) return
+
+    this.removeFromCell(item, key)
+    this.itemCells.delete(item)
+  }
+
+  removeFromCell(item, key) {
+    const cell = this.cells.get(key)
+    if (!cell) return
+
+    cell.delete(item)
+    if (cell.size === 0) {
+      this.cells.delete(key)
+    }
+  }
+
+  clear() {
+    this.cells.clear()
+    this.itemCells.clear()
+    this.bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity }
+  }
+
+  // ========== CONSULTAS ==========
+
+  /**
+   * Itens a até radius (no plano XZ) da posição
+   * getPosition(item) devolve a posição atual do item
+   */
+  queryRadius(position, radius, getPosition, out = []) {
+    out.length = 0
+
+    const radiusSq = radius * radius
+    const minX = this.getCellCoord(position.x - radius)
+    const maxX = this.getCellCoord(position.x + radius)
+    const minZ = this.getCellCoord(position.z - radius)
+    const maxZ = this.getCellCoord(position.z + radius)
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        const cell = this.cells.get(this.getKey(cx, cz))
+        if (!cell) continue
+
+        for (const item of cell) {
+          const itemPosition = getPosition(item)
+          const dx = itemPosition.x - position.x
+          const dz = itemPosition.z - position.z
+          if (dx * dx + dz * dz <= radiusSq) out.push(item)
+        }
+      }
+    }
+
+    return out
+  }
+
+  /**
+   * Item mais próximo (distância 3D) que passa no filtro, até maxDistance
+   * Procura em anéis de células crescentes e para quando nenhum anel mais
+   * distante pode ter algo mais perto
+   * Retorna { item, distance } (item null se não achou)
+   */
+  findNearest(position, getPosition, filter = null, maxDistance = Infinity) {
+    let best = null
+    let bestDistance = maxDistance
+
+    if (this.itemCells.size === 0) return { item: null, distance: Infinity }
+
+    const cx = this.getCellCoord(position.x)
+    const cz = this.getCellCoord(position.z)
+
+    // Anel mais distante que ainda tem células ocupadas
+    const { minX, maxX, minZ, maxZ } = this.bounds
+    const maxRing = Math.max(cx - minX, maxX - cx, cz - minZ, maxZ - cz)
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Células do anel estão a pelo menos (ring - 1) × cellSize
+      if ((ring - 1) * this.cellSize > bestDistance) break
+
+      for (let x = cx - ring; x <= cx + ring; x++) {
+        for (let z = cz - ring; z <= cz + ring; z++) {
+          if (Math.max(Math.abs(x - cx), Math.abs(z - cz)) !== ring) continue
+
+          const cell = this.cells.get(this.getKey(x, z))
+          if (!cell) continue
+
+          for (const item of cell) {
+            if (filter && !filter(item)) continue
+
+            const distance = position.distanceTo(getPosition(item))
+            if (distance < bestDistance) {
+              bestDistance = distance
+              best = item
+            }
+          }
+        }
+      }
+    }
+
+    return { item: best, distance: best ? bestDistance : Infinity }
+  }
+
+  /**
+   * Itens em células cruzadas por um raio (de near a far ao longo de direction)
+   * Inclui as células vizinhas de cada célula cruzada: itens com até
+   * cellSize de raio (ex.: hitboxes) não escapam por estarem ao lado do raio
+   */
+  queryRay(origin, direction, near = 0, far = Infinity, out = new Set()) {
+    out.clear()
+    if (this.itemCells.size === 0) return out
+
+    const size = this.cellSize
+    const sx = origin.x + direction.x * near
+    const sz = origin.z + direction.z * near
+
+    let cx = this.getCellCoord(sx)
+    let cz = this.getCellCoord(sz)
+    this.collectNeighborhood(cx, cz, out)
+
+    const horizontal = Math.hypot(direction.x, direction.z)
+    if (horizontal < 0.000001) return out
+
+    // Distância horizontal percorrida (limitada à área ocupada)
+    const { minX, maxX, minZ, maxZ } = this.bounds
+    const extent = (Math.max(maxX - minX, maxZ - minZ) + 3) * size
+    const distanceToBounds = Math.hypot(
+      Math.max(minX * size - sx, 0, sx - (maxX + 1) * size),
+      Math.max(minZ * size - sz, 0, sz - (maxZ + 1) * size)
+    )
+    const maxT = Math.min((far - near) * horizontal, distanceToBounds + extent)
+
+    const dx = direction.x / horizontal
+    const dz = direction.z / horizontal
+    const stepX = Math.sign(dx)
+    const stepZ = Math.sign(dz)
+
+    // DDA: t (horizontal) até a próxima borda de célula em X e em Z
+    let tMaxX = stepX > 0 ? ((cx + 1) * size - sx) / dx : stepX < 0 ? (cx * size - sx) / dx : Infinity
+    let tMaxZ = stepZ > 0 ? ((cz + 1) * size - sz) / dz : stepZ < 0 ? (cz * size - sz) / dz : Infinity
+    const tDeltaX = stepX !== 0 ? size / Math.abs(dx) : Infinity
+    const tDeltaZ = stepZ !== 0 ? size / Math.abs(dz) : Infinity
+
+    while (Math.min(tMaxX, tMaxZ) <= maxT) {
+      if (tMaxX < tMaxZ) {
+        cx += stepX
+        tMaxX += tDeltaX
+      } else {
+        cz += stepZ
+        tMaxZ += tDeltaZ
+      }
+      this.collectNeighborhood(cx, cz, out)
+    }
+
+    return out
+  }
+
+  collectNeighborhood(cx, cz, out) {
+    for (let x = cx - 1; x <= cx + 1; x++) {
+      for (let z = cz - 1; z <= cz + 1; z++) {
+        const cell = this.cells.get(this.getKey(x, z))
+        if (!cell) continue
+        for (const item of cell) out.add(item)
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      items: this.itemCells.size,
+      cells: this.cells.size
+    }
+  }
+}
@@ -1,6 +1,13 @@
 import * as THREE from 'three'
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
 import { physicsWorld } from '../physics/physics.js'
+import { debugRay } from '../physics/debug.js'
+import { LayerMask } from '../physics/layers.js'
+import { acquireModel, releaseModel } from '../core/assets.js'
+import { navMesh } from '../navigation/NavMesh.js'
+import { getPerceivedLoudness } from '../ai/noise.js'
+import { createBehaviorTree } from '../ai/trees.js'
+import { localAvoidance } from '../ai/avoidance.js'
+import { NPCHitboxes, HitZoneMultiplier } from './hitboxes.js'
 
 /**
  * Estados possíveis do NPC
@@ -9,14 +16,19 @@ export const NPCState = {
   IDLE: 'IDLE',
   PATROL: 'PATROL',
   ALERT: 'ALERT',
+  INVESTIGATE: 'INVESTIGATE',
   CHASE: 'CHASE',
   ATTACK: 'ATTACK',
+  FLEE: 'FLEE',
   DEAD: 'DEAD'
 }
 
 /**
  * Classe NPC - Personagem controlado por IA com estados
  * Sistema completo: Patrulha → Alerta → Perseguição → Ataque
+ * (Alerta/Perseguição sem ver o alvo → Investigação → Patrulha)
+ * As transições vêm de uma behavior tree (ver ai/trees/default.json);
+ * os métodos update* fazem o comportamento de cada estado
  */
 export class NPC {
   constructor(options = {}) {
@@ -24,12 +36,16 @@ export class NPC {
     this.id = options.id || Math.random().toString(36).substr(2, 9)
     this.name = options.name || 'NPC'
     
+    // Arquétipo (ver archetypes.js)
+    this.archetype = options.archetype || 'melee'
+    
     // Grupo 3D que contém o modelo
     this.group = new THREE.Group()
     this.group.name = `NPC_${this.id}`
     
     // Modelo e animações
     this.model = null
+    this.modelPath = null
     this.mixer = null
     this.animations = {}
     this.currentAction = null
@@ -37,10 +53,16 @@ export class NPC {
     // Estado do NPC
     this.state = NPCState.IDLE
     this.previousState = NPCState.IDLE
+    this.stateTime = 0 // Segundos no estado atual
     this.isAlive = true
     this.health = options.health || 100
     this.maxHealth = options.health || 100
     
+    // Hitboxes presas aos ossos e multiplicador de dano por zona
+    this.hitboxes = new NPCHitboxes(this)
+    this.hitZoneMultipliers = { ...HitZoneMultiplier, ...options.hitZoneMultipliers }
+    this.lastHitZone = null
+    
     // ========== CONFIGURAÇÕES DE IA ==========
     
     // Detecção e visão
@@ -48,6 +70,19 @@ export class NPC {
       // Campo de visão (cone)
       fovAngle: options.fovAngle || Math.PI / 2,      // 90 graus
       viewDistance: options.viewDistance || 15,        // Distância máxima de visão
+      eyeHeight: options.eyeHeight || 1.2,             // Altura dos olhos acima dos pés
+      
+      // Medidor de visibilidade (0..1): enche enquanto vê o alvo, esvazia quando não vê
+      visibility: 0,
+      visibleFraction: 0,                              // Fração dos pontos do alvo visíveis
+      visibilityFillRate: options.visibilityFillRate || 1.5,   // Por segundo (alvo exposto e perto)
+      visibilityDecayRate: options.visibilityDecayRate || 0.5, // Por segundo sem ver o alvo
+      alertThreshold: options.alertThreshold || 0.4,   // Visibilidade para entrar em ALERT
+      
+      // Audição e investigação
+      hearingRange: options.hearingRange || 40,        // Distância máxima para ouvir ruídos
+      investigateDuration: options.investigateDuration || 8, // Tempo procurando antes de desistir
+      investigateRadius: options.investigateRadius || 4,     // Raio de busca ao redor do ruído
       
       // Distâncias de comportamento
       alertDistance: options.alertDistance || 12,      // Distância para ficar alerta
@@ -56,7 +91,6 @@ export class NPC {
       loseTargetDistance: options.loseTargetDistance || 25, // Distância para perder o alvo
       
       // Timers e estados
-      alertTimer: 0,
       alertDuration: options.alertDuration || 2.0,     // Tempo em alerta antes de perseguir
       attackCooldown: 0,
       attackRate: options.attackRate || 1.0,           // Ataques por segundo
@@ -72,6 +106,38 @@ export class NPC {
       waypointReachedDistance: 0.5
     }
     
+    // Estado da investigação (busca ao redor de lastKnownTargetPos)
+    this.investigation = {
+      searchPoint: new THREE.Vector3(),
+      hasSearchPoint: false
+    }
+    
+    // Navegação pela navmesh (caminho atual até o destino)
+    this.navigation = {
+      path: null,
+      pathIndex: 0,
+      destination: new THREE.Vector3(),
+      needsPath: true,
+      repathTimer: 0,
+      repathInterval: options.repathInterval || 0.5, // Recalcular caminho a cada X segundos
+      repathDistance: 1.0,                           // ...ou se o destino mover mais que isso
+      retryTimer: 0                                  // Espera depois de uma busca sem caminho
+    }
+    
+    // Esquadrão (ver ai/squads.js): papel e destino de aproximação dados pelo grupo
+    this.squad = {
+      group: null,
+      role: null,
+      side: 1,                            // Lado do flanco (+1/-1)
+      flanked: false,                     // Já passou pelo ponto de flanco
+      destination: new THREE.Vector3(),
+      hasDestination: false
+    }
+    
+    // Behavior tree: id de uma árvore em ai/trees ou definição JSON inline
+    // Argumentos "$chave" que a árvore não define vêm de this.ai
+    this.behavior = createBehaviorTree(this, options.behaviorTree)
+    
     // Configurações de movimento
     this.moveSpeed = options.moveSpeed || 2.0
     this.patrolSpeed = options.patrolSpeed || 1.5
@@ -79,7 +145,8 @@ export class NPC {
     this.rotationSpeed = options.rotationSpeed || 3.0
     this.direction = new THREE.Vector3(0, 0, 1)
     this.targetDirection = new THREE.Vector3(0, 0, 1)
-    this.velocity = new THREE.Vector3()
+    this.velocity = new THREE.Vector3()    // m/s no plano XZ, já com o desvio local (ver ai/avoidance.js)
+    this.hasMoved = false                  // Andou neste passo
     
     // Configurações de patrulha
     this.patrolRadius = options.patrolRadius || 10
@@ -94,6 +161,11 @@ export class NPC {
       ? new THREE.Vector3().copy(options.position) 
       : new THREE.Vector3(0, 0, 0)
     
+    // Posição simulada (passo fixo) e do passo anterior, usadas na interpolação
+    // group.position é apenas a posição renderizada
+    this.position = this.spawnPosition.clone()
+    this.previousPosition = this.spawnPosition.clone()
+    
     // Configurações visuais
     this.scale = options.scale || 1.0
     
@@ -109,19 +181,36 @@ export class NPC {
     // Vetores auxiliares (evitar criar novos a cada frame)
     this._toTarget = new THREE.Vector3()
     this._forward = new THREE.Vector3()
+    this._eyePosition = new THREE.Vector3()
+    this._rayDirection = new THREE.Vector3()
+    this._fleePoint = new THREE.Vector3()
+    this._desiredVelocity = new THREE.Vector3()
+    
+    // Nível de detalhe da IA (definido pelo NPCManager, ver AILod)
+    // Fase inicial aleatória espalha os "pensamentos" entre os passos
+    this.lod = {
+      level: 'FULL',
+      thinkEvery: 1,                              // Passos fixos entre atualizações da IA
+      stepsSinceThink: Math.floor(Math.random() * 8),
+      pendingDelta: 0,                            // Tempo acumulado desde a última atualização
+      animInterval: 0,                            // Segundos entre atualizações do mixer
+      animTimer: 0,
+      onScreen: true
+    }
     
     // Debug visual
     this.debugMesh = null
     this.showDebug = options.showDebug || false
     
-    // Loader
-    this.loader = new GLTFLoader()
-    
     // Flag de carregamento
     this.isLoaded = false
     
-    // Gerar pontos de patrulha
-    this.generatePatrolPoints()
+    // Rota autorada no mapa ou pontos ao redor do spawn
+    if (options.patrolPoints && options.patrolPoints.length > 0) {
+      this.patrolPoints = options.patrolPoints.map(point => new THREE.Vector3().copy(point))
+    } else {
+      this.generatePatrolPoints()
+    }
   }
   
   /**
@@ -149,57 +238,53 @@ export class NPC {
   
   /**
    * Carrega o modelo do NPC
+   * O GLB vem do cache de assets: clone com esqueleto próprio e animações compartilhadas
    */
   async load(modelPath) {
-    return new Promise((resolve, reject) => {
-      this.loader.load(
-        modelPath,
-        (gltf) => {
-          this.model = gltf.scene
-          this.model.name = `Model_${this.id}`
-          
-          // Configurar escala
-          this.model.scale.setScalar(this.scale)
-          
-          // Habilitar sombras em todos os meshes
-          this.model.traverse((child) => {
-            if (child.isMesh) {
-              child.castShadow = true
-              child.receiveShadow = true
-            }
-          })
-          
-          // Adicionar modelo ao grupo
-          this.group.add(this.model)
-          
-          // Configurar posição inicial
-          this.group.position.copy(this.spawnPosition)
-          this.patrolCenter.copy(this.spawnPosition)
-          
-          // Criar corpo físico
-          this.createPhysicsBody()
-          
-          // Criar debug visual se habilitado
-          if (this.showDebug) {
-            this.createDebugVisuals()
-          }
-          
-          // Configurar animações se existirem
-          if (gltf.animations && gltf.animations.length > 0) {
-            this.setupAnimations(gltf.animations)
-          }
-          
-          this.isLoaded = true
-          this.state = NPCState.PATROL
-          
-          resolve(this)
-        },
-        (progress) => {},
-        (error) => {
-          reject(error)
-        }
-      )
+    const asset = await acquireModel(modelPath)
+    this.modelPath = modelPath
+    
+    this.model = asset.scene
+    this.model.name = `Model_${this.id}`
+    
+    // Configurar escala
+    this.model.scale.setScalar(this.scale)
+    
+    // Habilitar sombras em todos os meshes
+    this.model.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = true
+        child.receiveShadow = true
+      }
     })
+    
+    // Adicionar modelo ao grupo
+    this.group.add(this.model)
+    
+    // Configurar posição inicial
+    this.group.position.copy(this.spawnPosition)
+    this.patrolCenter.copy(this.spawnPosition)
+    
+    // Hitboxes nos ossos (construídas na pose de repouso)
+    this.hitboxes.build(this.model)
+    
+    // Criar corpo físico
+    this.createPhysicsBody()
+    
+    // Criar debug visual se habilitado
+    if (this.showDebug) {
+      this.createDebugVisuals()
+    }
+    
+    // Configurar animações se existirem
+    if (asset.animations.length > 0) {
+      this.setupAnimations(asset.animations)
+    }
+    
+    this.isLoaded = true
+    this.state = NPCState.PATROL
+    
+    return this
   }
   
   /**
@@ -238,7 +323,8 @@ export class NPC {
     const physics = physicsWorld.createNPCBody(
       this.spawnPosition,
       this.physics.radius,
-      this.physics.height
+      this.physics.height,
+      this
     )
     
     this.physics.rigidBody = physics.rigidBody
@@ -313,13 +399,13 @@ export class NPC {
    * Verifica se o NPC pode ver o alvo (cone de visão)
    */
   canSeeTarget() {
-    if (!this.ai.target) return false
+    if (!this.ai.target || this.ai.target.isDead()) return false
     
     const targetPos = this.getTargetPosition()
     if (!targetPos) return false
     
     // Vetor do NPC para o alvo
-    this._toTarget.subVectors(targetPos, this.group.position)
+    this._toTarget.subVectors(targetPos, this.position)
     const distance = this._toTarget.length()
     
     // Verificar distância máxima
@@ -340,7 +426,78 @@ export class NPC {
     // Verificar se está dentro do cone de visão
     if (angle > this.ai.fovAngle / 2) return false
     
-    return true
+    // Verificar se há paredes entre o NPC e o alvo
+    this.ai.visibleFraction = this.getVisibleFraction()
+    
+    return this.ai.visibleFraction > 0
+  }
+  
+  /**
+   * Fração dos pontos do alvo (cabeça, peito, pés) sem obstáculos na linha de visão
+   * Permite cobertura parcial: alvo atrás de uma mureta fica parcialmente visível
+   */
+  getVisibleFraction() {
+    if (!physicsWorld.world) return 1
+    
+    const target = this.ai.target
+    const points = typeof target.getVisibilityPoints === 'function'
+      ? target.getVisibilityPoints()
+      : [this.getTargetPosition()]
+    
+    this._eyePosition.copy(this.position)
+    this._eyePosition.y += this.ai.eyeHeight
+    
+    // Apenas o mundo estático bloqueia a visão
+    const queryOptions = { mask: LayerMask.SIGHT }
+    
+    let visiblePoints = 0
+    
+    for (const point of points) {
+      this._rayDirection.subVectors(point, this._eyePosition)
+      const distance = this._rayDirection.length()
+      if (distance < 0.001) {
+        visiblePoints++
+        continue
+      }
+      this._rayDirection.divideScalar(distance)
+      
+      const hit = physicsWorld.castRay(this._eyePosition, this._rayDirection, distance, true, queryOptions)
+      debugRay('npc', this._eyePosition, this._rayDirection, distance, hit ? hit.distance : null)
+      if (!hit) {
+        visiblePoints++
+      }
+    }
+    
+    return visiblePoints / points.length
+  }
+  
+  /**
+   * Atualiza o medidor de visibilidade
+   * Enche mais rápido com o alvo perto e exposto, esvazia quando o alvo some
+   */
+  updateVisibility(delta) {
+    if (this.ai.canSeeTarget) {
+      const distance = this.getDistanceToTarget()
+      const proximity = 1 - Math.min(distance / this.ai.viewDistance, 1) * 0.75
+      this.ai.visibility += this.ai.visibilityFillRate * this.ai.visibleFraction * proximity * delta
+    } else {
+      this.ai.visibleFraction = 0
+      this.ai.visibility -= this.ai.visibilityDecayRate * delta
+    }
+    
+    this.ai.visibility = THREE.MathUtils.clamp(this.ai.visibility, 0, 1)
+    
+    // Cone de debug fica mais opaco conforme o NPC percebe o alvo
+    if (this.debugMesh) {
+      this.debugMesh.material.opacity = 0.2 + this.ai.visibility * 0.4
+    }
+  }
+  
+  /**
+   * Verifica se o medidor de visibilidade chegou ao nível de alerta
+   */
+  hasNoticedTarget() {
+    return this.ai.visibility >= this.ai.alertThreshold
   }
   
   /**
@@ -365,7 +522,7 @@ export class NPC {
     const targetPos = this.getTargetPosition()
     if (!targetPos) return Infinity
     
-    return this.group.position.distanceTo(targetPos)
+    return this.position.distanceTo(targetPos)
   }
   
   /**
@@ -376,6 +533,10 @@ export class NPC {
     
     this.previousState = this.state
     this.state = newState
+    this.stateTime = 0
+    
+    // Cada estado define seu próprio destino
+    this.clearPath()
     
     this.onStateChange(this.previousState, newState)
   }
@@ -389,8 +550,10 @@ export class NPC {
       const colors = {
         [NPCState.PATROL]: 0x00ff00,
         [NPCState.ALERT]: 0xffff00,
+        [NPCState.INVESTIGATE]: 0x00ccff,
         [NPCState.CHASE]: 0xff8800,
         [NPCState.ATTACK]: 0xff0000,
+        [NPCState.FLEE]: 0xff00ff,
         [NPCState.DEAD]: 0x666666
       }
       this.debugMesh.material.color.setHex(colors[newState] || 0xffffff)
@@ -406,7 +569,13 @@ export class NPC {
         const idleAnim = this.findAnimation(['idle', 'stand'])
         if (idleAnim) this.playAnimation(idleAnim)
         break
+      case NPCState.INVESTIGATE:
+        this.startInvestigation()
+        const searchAnim = this.findAnimation(['walk', 'walking'])
+        if (searchAnim) this.playAnimation(searchAnim)
+        break
       case NPCState.CHASE:
+      case NPCState.FLEE:
         const runAnim = this.findAnimation(['run', 'running', 'walk'])
         if (runAnim) this.playAnimation(runAnim)
         break
@@ -418,79 +587,69 @@ export class NPC {
   }
   
   /**
-   * Atualiza o NPC (chamado a cada frame)
+   * Atualiza a IA do NPC (chamado a cada passo fixo da simulação)
    */
   update(delta) {
     if (!this.isLoaded || !this.isAlive) return
     
-    // Atualizar animações
-    if (this.mixer) {
-      this.mixer.update(delta)
-    }
+    // Guardar posição do passo anterior para interpolação
+    this.previousPosition.copy(this.position)
     
     // Atualizar cooldowns
     if (this.ai.attackCooldown > 0) {
       this.ai.attackCooldown -= delta
     }
+    this.stateTime += delta
     
     // Verificar visão do alvo
     this.ai.canSeeTarget = this.canSeeTarget()
+    this.updateVisibility(delta)
     
-    // Máquina de estados
-    switch (this.state) {
-      case NPCState.IDLE:
-        this.updateIdle(delta)
-        break
-      case NPCState.PATROL:
-        this.updatePatrol(delta)
-        break
-      case NPCState.ALERT:
-        this.updateAlert(delta)
-        break
-      case NPCState.CHASE:
-        this.updateChase(delta)
-        break
-      case NPCState.ATTACK:
-        this.updateAttack(delta)
-        break
-      case NPCState.DEAD:
-        break
+    // Behavior tree decide o estado e executa o comportamento
+    this.hasMoved = false
+    this.behavior.tick(this, delta)
+    
+    // Parado: ainda se afasta de quem estiver encostado
+    if (!this.hasMoved) {
+      this.separate(delta)
     }
   }
   
   /**
-   * Estado: IDLE
+   * Atualiza as animações (chamado a cada frame)
    */
-  updateIdle(delta) {
-    if (this.ai.canSeeTarget) {
-      this.changeState(NPCState.ALERT)
-      return
-    }
+  updateAnimation(delta) {
+    if (!this.isLoaded) return
     
-    this.changeDirectionTimer += delta
-    if (this.changeDirectionTimer >= 2.0) {
-      this.changeDirectionTimer = 0
-      this.changeState(NPCState.PATROL)
+    if (this.mixer) {
+      this.mixer.update(delta)
     }
   }
   
+  /**
+   * Posiciona o grupo interpolando entre os dois últimos passos da simulação
+   */
+  interpolate(alpha) {
+    // Depois da morte o efeito visual controla o grupo
+    if (!this.isLoaded || !this.isAlive) return
+    
+    this.group.position.lerpVectors(this.previousPosition, this.position, alpha)
+  }
+  
   /**
    * Estado: PATROL
    */
   updatePatrol(delta) {
-    if (this.ai.canSeeTarget) {
-      this.ai.lastKnownTargetPos.copy(this.getTargetPosition())
-      this.changeState(NPCState.ALERT)
-      return
-    }
-    
     if (this.patrolPoints.length > 0) {
       const targetPoint = this.patrolPoints[this.currentPatrolIndex]
-      this.moveTowards(targetPoint, this.patrolSpeed, delta)
+      const waiting = this.navigation.retryTimer > 0
+      const hasPath = this.moveAlongPath(targetPoint, this.patrolSpeed, delta)
       
-      const dist = this.group.position.distanceTo(targetPoint)
-      if (dist < this.ai.waypointReachedDistance) {
+      // Pontos inalcançáveis são pulados (o próximo só é buscado depois da espera)
+      const dist = this.getHorizontalDistance(targetPoint)
+      if ((!hasPath && !waiting) || dist < this.ai.waypointReachedDistance) {
         this.currentPatrolIndex = (this.currentPatrolIndex + 1) % this.patrolPoints.length
+        this.clearPath()
       }
     } else {
       this.updateRandomPatrol(delta)
@@ -513,90 +672,115 @@ export class NPC {
     
     this.moveInDirection(this.direction, this.patrolSpeed, delta)
     
-    const distFromCenter = this.group.position.distanceTo(this.patrolCenter)
+    const distFromCenter = this.position.distanceTo(this.patrolCenter)
     if (distFromCenter > this.patrolRadius) {
-      this.targetDirection.subVectors(this.patrolCenter, this.group.position)
+      this.targetDirection.subVectors(this.patrolCenter, this.position)
       this.targetDirection.y = 0
       this.targetDirection.normalize()
     }
   }
   
   /**
-   * Estado: ALERT
+   * Estado: INVESTIGATE
+   * Vai até a última posição conhecida e procura ao redor antes de desistir
    */
-  updateAlert(delta) {
-    this.lookAt(this.ai.lastKnownTargetPos)
+  updateInvestigate(delta) {
+    const investigation = this.investigation
+    
+    // Primeiro ponto de busca é a própria origem
+    if (!investigation.hasSearchPoint) {
+      investigation.searchPoint.copy(this.ai.lastKnownTargetPos)
+      investigation.hasSearchPoint = true
+    }
     
-    this.ai.alertTimer += delta
+    const waiting = this.navigation.retryTimer > 0
+    const hasPath = this.moveAlongPath(investigation.searchPoint, this.patrolSpeed, delta)
     
-    if (this.ai.canSeeTarget) {
-      this.ai.lastKnownTargetPos.copy(this.getTargetPosition())
+    // Chegou (ou ponto inalcançável): escolher outro ponto ao redor da origem
+    if ((!hasPath && !waiting) || this.getHorizontalDistance(investigation.searchPoint) < this.ai.waypointReachedDistance) {
+      const angle = Math.random() * Math.PI * 2
+      const radius = Math.random() * this.ai.investigateRadius
       
-      if (this.ai.alertTimer >= this.ai.alertDuration) {
-        this.ai.alertTimer = 0
-        this.changeState(NPCState.CHASE)
-      }
-    } else {
-      if (this.ai.alertTimer >= this.ai.alertDuration * 2) {
-        this.ai.alertTimer = 0
-        this.changeState(NPCState.PATROL)
-      }
+      investigation.searchPoint.set(
+        this.ai.lastKnownTargetPos.x + Math.cos(angle) * radius,
+        this.ai.lastKnownTargetPos.y,
+        this.ai.lastKnownTargetPos.z + Math.sin(angle) * radius
+      )
+      this.clearPath()
     }
   }
   
   /**
-   * Estado: CHASE
+   * Reinicia a investigação ao redor de lastKnownTargetPos
+   */
+  startInvestigation() {
+    this.stateTime = 0
+    this.investigation.hasSearchPoint = false
+    this.clearPath()
+  }
+  
+  /**
+   * Estado: CHASE (alvo à vista)
    */
   updateChase(delta) {
-    const distance = this.getDistanceToTarget()
+    const destination = this.squad.hasDestination ? this.squad.destination : this.getTargetPosition()
     
-    if (!this.ai.canSeeTarget) {
-      this.moveTowards(this.ai.lastKnownTargetPos, this.chaseSpeed, delta)
-      
-      const distToLastKnown = this.group.position.distanceTo(this.ai.lastKnownTargetPos)
-      if (distToLastKnown < 1.0) {
-        this.changeState(NPCState.PATROL)
-      }
-      return
-    }
-    
-    this.ai.lastKnownTargetPos.copy(this.getTargetPosition())
-    
-    if (distance <= this.ai.attackDistance) {
-      this.changeState(NPCState.ATTACK)
-      return
+    if (!this.moveAlongPath(destination, this.chaseSpeed, delta)) {
+      this.moveTowards(destination, this.chaseSpeed, delta)
     }
+  }
+  
+  /**
+   * Estado: CHASE (alvo fora de vista): ir até a última posição conhecida
+   * (ou pela rota que o esquadrão deu)
+   */
+  moveToLastKnown(delta) {
+    const destination = this.squad.hasDestination ? this.squad.destination : this.ai.lastKnownTargetPos
     
-    if (distance > this.ai.loseTargetDistance) {
-      this.changeState(NPCState.PATROL)
-      return
+    if (!this.moveAlongPath(destination, this.chaseSpeed, delta)) {
+      this.moveTowards(destination, this.chaseSpeed, delta)
     }
-    
-    this.moveTowards(this.getTargetPosition(), this.chaseSpeed, delta)
   }
   
   /**
    * Estado: ATTACK
    */
   updateAttack(delta) {
-    const distance = this.getDistanceToTarget()
-    
     const targetPos = this.getTargetPosition()
     if (targetPos) {
       this.lookAt(targetPos)
     }
     
-    if (distance > this.ai.attackDistance * 1.5) {
-      this.changeState(NPCState.CHASE)
-      return
-    }
-    
     if (this.ai.attackCooldown <= 0) {
       this.performAttack()
       this.ai.attackCooldown = 1.0 / this.ai.attackRate
     }
   }
   
+  /**
+   * Estado: FLEE
+   * Corre para um ponto longe do alvo (recalculado quando o alvo se aproxima)
+   */
+  updateFlee(delta, distance) {
+    const targetPos = this.getTargetPosition()
+    if (!targetPos) return
+    
+    this._toTarget.subVectors(this.position, targetPos).setY(0)
+    if (this._toTarget.lengthSq() < 0.001) {
+      this.pickNewDirection()
+      this._toTarget.copy(this.targetDirection)
+    }
+    this._toTarget.normalize()
+    
+    const fleePoint = this._fleePoint
+    fleePoint.copy(targetPos).addScaledVector(this._toTarget, distance)
+    fleePoint.y = this.position.y
+    
+    if (!this.moveAlongPath(fleePoint, this.chaseSpeed, delta)) {
+      this.moveInDirection(this._toTarget, this.chaseSpeed, delta)
+    }
+  }
+  
   /**
    * Executa um ataque
    */
@@ -607,7 +791,7 @@ export class NPC {
     }
     
     if (this.ai.target && typeof this.ai.target.takeDamage === 'function') {
-      this.ai.target.takeDamage(this.ai.attackDamage)
+      this.ai.target.takeDamage(this.ai.attackDamage, { source: this })
     }
     
     window.dispatchEvent(new CustomEvent('npc-attack', {
@@ -619,6 +803,136 @@ export class NPC {
     }))
   }
   
+  // ========== AUDIÇÃO ==========
+  
+  /**
+   * Recebe um ruído emitido no mundo
+   * Retorna true se o NPC ouviu o ruído
+   */
+  hearNoise(noise) {
+    if (!this.isLoaded || !this.isAlive) return false
+    
+    if (this.position.distanceTo(noise.position) > this.ai.hearingRange) return false
+    
+    // Ouvidos na altura dos olhos
+    this._eyePosition.copy(this.position)
+    this._eyePosition.y += this.ai.eyeHeight
+    
+    if (getPerceivedLoudness(noise, this._eyePosition) <= 0) return false
+    
+    switch (this.state) {
+      case NPCState.CHASE:
+      case NPCState.ATTACK:
+        // Já em combate: o ruído só ajuda se o alvo estiver fora de vista
+        if (!this.ai.canSeeTarget) {
+          this.ai.lastKnownTargetPos.copy(noise.position)
+        }
+        break
+      case NPCState.INVESTIGATE:
+        this.ai.lastKnownTargetPos.copy(noise.position)
+        this.startInvestigation()
+        break
+      case NPCState.ALERT:
+        // Já alerta: só atualiza a posição (reiniciar o tempo o prenderia
+        // em ALERT enquanto houver tiros e passos)
+        this.ai.lastKnownTargetPos.copy(noise.position)
+        break
+      case NPCState.FLEE:
+        // Fugindo: o ruído não interrompe a fuga, só atualiza a última posição
+        this.ai.lastKnownTargetPos.copy(noise.position)
+        break
+      default:
+        // changeState zera stateTime ao entrar em ALERT
+        this.ai.lastKnownTargetPos.copy(noise.position)
+        this.changeState(NPCState.ALERT)
+        break
+    }
+    
+    return true
+  }
+  
+  /**
+   * Um colega de esquadrão avistou o alvo nesta posição: ir atrás
+   */
+  receiveSquadAlert(position) {
+    if (!this.isLoaded || !this.isAlive) return
+    
+    this.ai.lastKnownTargetPos.copy(position)
+    this.changeState(NPCState.CHASE)
+  }
+  
+  // ========== NAVEGAÇÃO ==========
+  
+  /**
+   * Segue o caminho da navmesh até o destino
+   * Retorna false se não houver caminho (o chamador decide o fallback)
+   * Depois de uma busca sem caminho, espera navigation.retryTimer antes da próxima
+   */
+  moveAlongPath(destination, speed, delta) {
+    if (!destination) return false
+    
+    // Sem navmesh: andar em linha reta
+    if (!navMesh.isBuilt) {
+      this.moveTowards(destination, speed, delta)
+      return true
+    }
+    
+    const nav = this.navigation
+    nav.repathTimer -= delta
+    
+    // A última busca não achou caminho: esperar repathInterval antes de outro A*
+    // (vale mesmo com clearPath ou destino novo)
+    if (nav.retryTimer > 0) {
+      nav.retryTimer -= delta
+      return false
+    }
+    
+    const destinationMoved = nav.destination.distanceToSquared(destination) > nav.repathDistance * nav.repathDistance
+    
+    if (nav.needsPath || destinationMoved || nav.repathTimer <= 0) {
+      nav.destination.copy(destination)
+      nav.path = navMesh.findPath(this.position, destination)
+      nav.pathIndex = 0
+      nav.needsPath = false
+      nav.repathTimer = nav.repathInterval
+      
+      if (!nav.path) {
+        nav.retryTimer = nav.repathInterval
+      }
+    }
+    
+    if (!nav.path || nav.path.length === 0) return false
+    
+    // Avançar waypoints já alcançados
+    while (
+      nav.pathIndex < nav.path.length - 1 &&
+      this.getHorizontalDistance(nav.path[nav.pathIndex]) < this.ai.waypointReachedDistance
+    ) {
+      nav.pathIndex++
+    }
+    
+    this.moveTowards(nav.path[nav.pathIndex], speed, delta)
+    return true
+  }
+  
+  /**
+   * Descarta o caminho atual (será recalculado no próximo movimento)
+   */
+  clearPath() {
+    this.navigation.path = null
+    this.navigation.pathIndex = 0
+    this.navigation.needsPath = true
+  }
+  
+  /**
+   * Distância no plano XZ até um ponto (ignora a altura)
+   */
+  getHorizontalDistance(point) {
+    const dx = point.x - this.position.x
+    const dz = point.z - this.position.z
+    return Math.sqrt(dx * dx + dz * dz)
+  }
+  
   // ========== MOVIMENTO ==========
   
   /**
@@ -627,7 +941,7 @@ export class NPC {
   moveTowards(targetPos, speed, delta) {
     if (!targetPos) return
     
-    this.targetDirection.subVectors(targetPos, this.group.position)
+    this.targetDirection.subVectors(targetPos, this.position)
     this.targetDirection.y = 0
     
     if (this.targetDirection.lengthSq() < 0.01) return
@@ -641,15 +955,42 @@ export class NPC {
   }
   
   /**
-   * Move na direção especificada
+   * Move na direção especificada (desviando de outros NPCs e do player)
    */
   moveInDirection(direction, speed, delta) {
-    this.velocity.copy(direction).multiplyScalar(speed * delta)
+    this._desiredVelocity.copy(direction).setY(0).multiplyScalar(speed)
+    localAvoidance.steer(this, this._desiredVelocity, this.velocity)
     
-    const newPosition = this.group.position.clone().add(this.velocity)
+    this.applyVelocity(delta)
+    
+    if (direction.lengthSq() > 0.001) {
+      const angle = Math.atan2(direction.x, direction.z)
+      this.group.rotation.y = angle
+    }
+  }
+  
+  /**
+   * Só a separação: empurra o NPC parado para fora de quem o sobrepõe
+   */
+  separate(delta) {
+    this._desiredVelocity.set(0, 0, 0)
+    localAvoidance.steer(this, this._desiredVelocity, this.velocity)
+    
+    if (this.velocity.lengthSq() > 0.0001) {
+      this.applyVelocity(delta)
+    } else {
+      this.velocity.set(0, 0, 0)
+    }
+  }
+  
+  /**
+   * Desloca o NPC por velocity × delta, apoiado no chão
+   */
+  applyVelocity(delta) {
+    const newPosition = this.position.clone().addScaledVector(this.velocity, delta)
     
     if (physicsWorld.world) {
-      const groundCheck = physicsWorld.npcGroundCheck(newPosition)
+      const groundCheck = physicsWorld.npcGroundCheck(newPosition, 2.0, this.physics.rigidBody)
       this.isGrounded = groundCheck.grounded
       
       if (this.isGrounded) {
@@ -657,7 +998,7 @@ export class NPC {
       }
     }
     
-    this.group.position.copy(newPosition)
+    this.position.copy(newPosition)
     
     if (this.physics.rigidBody) {
       physicsWorld.moveNPCBody(this.physics.rigidBody, {
@@ -667,10 +1008,7 @@ export class NPC {
       })
     }
     
-    if (direction.lengthSq() > 0.001) {
-      const angle = Math.atan2(direction.x, direction.z)
-      this.group.rotation.y = angle
-    }
+    this.hasMoved = true
   }
   
   /**
@@ -680,7 +1018,7 @@ export class NPC {
     if (!position) return
     
     const direction = new THREE.Vector3()
-    direction.subVectors(position, this.group.position)
+    direction.subVectors(position, this.position)
     direction.y = 0
     
     if (direction.lengthSq() > 0.001) {
@@ -706,23 +1044,41 @@ export class NPC {
   // ========== DANO E MORTE ==========
   
   /**
-   * Aplica dano ao NPC
+   * Aplica dano ao NPC (mesma assinatura do Player.takeDamage)
+   * zone (ver hitboxes.js) aplica o multiplicador da zona atingida
+   * Sem fogo amigo: dano vindo de outro NPC é ignorado
+   * Retorna true se o dano foi aplicado
    */
-  takeDamage(amount) {
-    if (!this.isAlive) return
+  takeDamage(amount, { zone: hitZone = null, source = null } = {}) {
+    if (!this.isAlive || source instanceof NPC) return false
     
-    this.health -= amount
+    const multiplier = hitZone ? (this.hitZoneMultipliers[hitZone] ?? 1) : 1
+    const damage = amount * multiplier
+    
+    this.health -= damage
+    this.lastHitZone = hitZone
+    
+    const killed = this.health <= 0
+    
+    // Dano antes da morte: quem ouve os dois eventos vê a ordem certa
+    window.dispatchEvent(new CustomEvent('npc-damaged', {
+      detail: { npc: this, amount: damage, hitZone, source, killed }
+    }))
+    
+    if (killed) {
+      this.die()
+      return true
+    }
     
-    if (this.state === NPCState.PATROL || this.state === NPCState.IDLE) {
+    // Atingido fora de combate: ir atrás de quem atirou
+    if (this.state !== NPCState.CHASE && this.state !== NPCState.ATTACK) {
       if (this.ai.target) {
         this.ai.lastKnownTargetPos.copy(this.getTargetPosition())
       }
       this.changeState(NPCState.CHASE)
     }
     
-    if (this.health <= 0) {
-      this.die()
-    }
+    return true
   }
   
   /**
@@ -755,9 +1111,9 @@ export class NPC {
     let elapsed = 0
     const startScale = this.group.scale.x
     
+    // Materiais já são da instância (ver core/assets.js)
     this.model.traverse((child) => {
       if (child.isMesh && child.material) {
-        child.material = child.material.clone()
         child.material.transparent = true
         child.material.color.setHex(0xff0000)
       }
@@ -795,11 +1151,12 @@ export class NPC {
   revive() {
     this.isAlive = true
     this.health = this.maxHealth
+    this.ai.visibility = 0
     this.changeState(NPCState.PATROL)
     
     this.group.visible = true
     this.group.scale.setScalar(this.scale)
-    this.group.position.copy(this.spawnPosition)
+    this.setPosition(this.spawnPosition)
     this.group.rotation.set(0, 0, 0)
     
     this.model.traverse((child) => {
@@ -818,28 +1175,42 @@ export class NPC {
   // ========== UTILITÁRIOS ==========
   
   getPosition() {
-    return this.group.position.clone()
+    return this.position.clone()
   }
   
   setPosition(x, y, z) {
     if (x instanceof THREE.Vector3) {
-      this.group.position.copy(x)
+      this.position.copy(x)
     } else {
-      this.group.position.set(x, y, z)
+      this.position.set(x, y, z)
+    }
+    this.previousPosition.copy(this.position)
+    this.group.position.copy(this.position)
+    
+    if (this.physics.rigidBody) {
+      this.physics.rigidBody.setTranslation(this.position, true)
     }
   }
   
   dispose() {
     if (this.mixer) {
       this.mixer.stopAllAction()
+      this.mixer.uncacheRoot(this.model)
     }
     
-    this.model.traverse((child) => {
-      if (child.isMesh) {
-        child.geometry.dispose()
-        if (child.material.map) child.material.map.dispose()
-        child.material.dispose()
-      }
-    })
+    this.hitboxes.dispose()
+    
+    // Remover corpo físico (os colliders saem junto)
+    if (this.physics.rigidBody && physicsWorld.world) {
+      physicsWorld.removeBody(this.physics.rigidBody)
+      this.physics.rigidBody = null
+      this.physics.collider = null
+    }
+    
+    // Geometria e texturas são compartilhadas: devolver ao cache de assets
+    if (this.model) {
+      releaseModel(this.modelPath, this.model)
+      this.model = null
+    }
   }
 }
@@ -1,6 +1,55 @@
 import * as THREE from 'three'
-import { NPC, NPCState } from './NPC.js'
+import { NPCState } from './NPC.js'
+import { getArchetype } from './archetypes.js'
 import { scene } from '../core/scene.js'
+import { camera } from '../core/camera.js'
+import { SpatialHash } from '../core/spatialHash.js'
+import { squadSystem } from '../ai/squads.js'
+import { localAvoidance } from '../ai/avoidance.js'
+
+/**
+ * Níveis de detalhe da IA
+ * Longe ou fora da tela o NPC pensa menos vezes e anima em taxa menor;
+ * além do corte ele congela (sem IA nem animação)
+ */
+export const AILod = {
+  FULL: 'FULL',
+  MEDIUM: 'MEDIUM',
+  LOW: 'LOW',
+  FROZEN: 'FROZEN'
+}
+
+// Passos fixos entre atualizações da IA e segundos entre atualizações do mixer
+const LOD_LEVELS = {
+  [AILod.FULL]: { thinkEvery: 1, animInterval: 0 },
+  [AILod.MEDIUM]: { thinkEvery: 3, animInterval: 1 / 20 },
+  [AILod.LOW]: { thinkEvery: 8, animInterval: 1 / 6 },
+  [AILod.FROZEN]: { thinkEvery: Infinity, animInterval: Infinity }
+}
+
+const LOD_DEFAULTS = {
+  refreshInterval: 0.2,       // Segundos entre reclassificações
+  fullDistance: 30,           // Na tela: até aqui FULL...
+  mediumDistance: 60,         // ...até aqui MEDIUM, depois LOW
+  offscreenFullDistance: 12,  // Fora da tela as faixas encolhem
+  offscreenMediumDistance: 30,
+  freezeDistance: 120,        // Além disso congela
+  offscreenAnimInterval: 0.5, // Mixer de quem está fora da tela (exceto FULL)
+  screenMargin: 1.5           // Raio da esfera testada contra o frustum
+}
+
+// Células do hash espacial (metros)
+const SPATIAL_CELL_SIZE = 4
+
+// Reutilizados no cálculo do LOD e nas consultas
+const _cameraPosition = new THREE.Vector3()
+const _projScreenMatrix = new THREE.Matrix4()
+const _frustum = new THREE.Frustum()
+const _sphere = new THREE.Sphere()
+const _nearby = []
+const _alongRay = new Set()
+
+const getNPCPosition = npc => npc.position
 
 /**
  * Gerenciador de NPCs
@@ -11,6 +60,14 @@ class NPCManagerClass {
     // Lista de todos os NPCs
     this.npcs = []
     
+    // Índices para consultas: por id e por posição (hash espacial no plano XZ)
+    this.npcsById = new Map()
+    this.spatialHash = new SpatialHash(SPATIAL_CELL_SIZE)
+    
+    // Nível de detalhe da IA
+    this.lodConfig = { ...LOD_DEFAULTS }
+    this.lodTimer = 0
+    
     // Referência ao player (target para IA)
     this.playerTarget = null
     
@@ -39,6 +96,11 @@ class NPCManagerClass {
   async init() {
     if (this.isInitialized) return
     
+    // Propagar ruídos do mundo para os NPCs
+    window.addEventListener('noise-emitted', (event) => {
+      this.propagateNoise(event.detail)
+    })
+    
     this.isInitialized = true
     
     return this
@@ -46,10 +108,16 @@ class NPCManagerClass {
   
   /**
    * Spawna um NPC no mundo
+   * options.archetype escolhe o tipo de inimigo (ver archetypes.js)
+   * options.squad põe o NPC em um esquadrão nomeado (sem ele entra no mais próximo)
    */
-  async spawnNPC(options = {}) {
-    const npc = new NPC({
+  async spawnNPC(spawnOptions = {}) {
+    const archetype = getArchetype(spawnOptions.archetype)
+    const options = { ...archetype.defaults, ...spawnOptions }
+    
+    const npc = new archetype.npcClass({
       name: options.name || `Enemy_${this.npcs.length + 1}`,
+      archetype: archetype.name,
       position: options.position || new THREE.Vector3(
         (Math.random() - 0.5) * 10,
         0,
@@ -68,6 +136,12 @@ class NPCManagerClass {
       fovAngle: options.fovAngle || Math.PI / 2,
       attackDistance: options.attackDistance || 2,
       attackDamage: options.attackDamage || 10,
+      loseTargetDistance: options.loseTargetDistance,
+      ranged: options.ranged,
+      behaviorTree: options.behaviorTree,
+      hitZoneMultipliers: options.hitZoneMultipliers,
+      investigateDuration: options.investigateDuration,
+      patrolPoints: options.patrolPoints,
       showDebug: options.showDebug || false
     })
     
@@ -86,9 +160,14 @@ class NPCManagerClass {
       
       // Adicionar à lista
       this.npcs.push(npc)
+      this.npcsById.set(npc.id, npc)
+      this.spatialHash.update(npc, npc.position)
+      squadSystem.join(npc, options.squad)
       
       return npc
     } catch (error) {
+      // Devolver o modelo ao cache se o erro veio depois de obtê-lo
+      npc.dispose()
       return null
     }
   }
@@ -123,11 +202,128 @@ class NPCManagerClass {
   }
   
   /**
-   * Atualiza todos os NPCs (chamado a cada frame)
+   * Atualiza a IA de todos os NPCs (chamado a cada passo fixo)
+   * Cada NPC só pensa a cada lod.thinkEvery passos, recebendo o tempo acumulado
    */
   update(delta) {
+    this.lodTimer -= delta
+    if (this.lodTimer <= 0) {
+      this.lodTimer = this.lodConfig.refreshInterval
+      this.updateLod()
+    }
+    
+    // Vizinhos para o desvio local (NPCs e a cápsula do player)
+    localAvoidance.setAgents(this.npcs, this.playerTarget, this.spatialHash)
+    
+    for (const npc of this.npcs) {
+      const lod = npc.lod
+      
+      if (lod.level !== AILod.FROZEN) {
+        lod.pendingDelta += delta
+        lod.stepsSinceThink++
+        
+        if (lod.stepsSinceThink >= lod.thinkEvery) {
+          npc.update(lod.pendingDelta)
+          lod.pendingDelta = 0
+          lod.stepsSinceThink = 0
+        }
+      }
+      
+      // Também pega teleportes (setPosition, revive)
+      this.spatialHash.update(npc, npc.position)
+    }
+    
+    // Alertas, posições compartilhadas e papéis dos esquadrões
+    squadSystem.update(delta)
+  }
+  
+  /**
+   * Atualiza animações e interpola posições renderizadas (chamado a cada frame)
+   * Quem pensa a cada N passos interpola ao longo desses N passos
+   */
+  updateVisuals(delta, alpha) {
     for (const npc of this.npcs) {
-      npc.update(delta)
+      const lod = npc.lod
+      if (lod.level === AILod.FROZEN) continue
+      
+      lod.animTimer += delta
+      if (lod.animTimer >= lod.animInterval) {
+        npc.updateAnimation(lod.animTimer)
+        lod.animTimer = 0
+      }
+      
+      npc.interpolate(Math.min((lod.stepsSinceThink + alpha) / lod.thinkEvery, 1))
+    }
+  }
+  
+  /**
+   * Reclassifica o nível de detalhe de cada NPC
+   * Distância até a câmera e se a esfera do NPC está dentro do frustum
+   */
+  updateLod() {
+    const config = this.lodConfig
+    
+    camera.getWorldPosition(_cameraPosition)
+    _projScreenMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    _frustum.setFromProjectionMatrix(_projScreenMatrix)
+    
+    for (const npc of this.npcs) {
+      const distance = npc.position.distanceTo(_cameraPosition)
+      
+      _sphere.center.copy(npc.position)
+      _sphere.center.y += npc.physics.height / 2
+      _sphere.radius = config.screenMargin
+      const onScreen = _frustum.intersectsSphere(_sphere)
+      
+      let level
+      if (distance > config.freezeDistance) {
+        level = AILod.FROZEN
+      } else if (distance <= (onScreen ? config.fullDistance : config.offscreenFullDistance)) {
+        level = AILod.FULL
+      } else if (distance <= (onScreen ? config.mediumDistance : config.offscreenMediumDistance)) {
+        level = AILod.MEDIUM
+      } else {
+        level = AILod.LOW
+      }
+      
+      this.setLod(npc, level, onScreen)
+    }
+  }
+  
+  setLod(npc, level, onScreen) {
+    const lod = npc.lod
+    const settings = LOD_LEVELS[level]
+    
+    lod.onScreen = onScreen
+    lod.animInterval = !onScreen && level !== AILod.FULL
+      ? Math.max(settings.animInterval, this.lodConfig.offscreenAnimInterval)
+      : settings.animInterval
+    
+    if (level === lod.level) return
+    
+    if (level === AILod.FROZEN) {
+      // Para onde está: sem movimento pendente nem interpolação
+      npc.velocity.set(0, 0, 0)
+      npc.previousPosition.copy(npc.position)
+      npc.interpolate(1)
+      lod.pendingDelta = 0
+      lod.stepsSinceThink = 0
+    } else if (lod.level === AILod.FROZEN) {
+      // Descongelando: pensa já no próximo passo
+      npc.previousPosition.copy(npc.position)
+      lod.stepsSinceThink = settings.thinkEvery
+    }
+    
+    lod.level = level
+    lod.thinkEvery = settings.thinkEvery
+  }
+  
+  /**
+   * Entrega um ruído a todos os NPCs (cada um decide se ouviu)
+   */
+  propagateNoise(noise) {
+    for (const npc of this.npcs) {
+      npc.hearNoise(noise)
     }
   }
   
@@ -149,35 +345,51 @@ class NPCManagerClass {
    * Encontra NPC por ID
    */
   getNPCById(id) {
-    return this.npcs.find(npc => npc.id === id)
+    return this.npcsById.get(id)
   }
   
   /**
    * Encontra NPC mais próximo de uma posição
    */
   getClosestNPC(position, aliveOnly = true) {
-    let closest = null
-    let closestDistance = Infinity
+    const filter = aliveOnly ? npc => npc.isAlive : null
+    const { item, distance } = this.spatialHash.findNearest(position, getNPCPosition, filter)
     
-    const searchList = aliveOnly ? this.getAliveNPCs() : this.npcs
+    return { npc: item, distance }
+  }
+  
+  /**
+   * NPCs a até radius (no plano XZ) de uma posição
+   * Retorna um array reutilizado: copie se for guardar
+   */
+  getNPCsNear(position, radius, aliveOnly = true) {
+    this.spatialHash.queryRadius(position, radius, getNPCPosition, _nearby)
     
-    for (const npc of searchList) {
-      const distance = position.distanceTo(npc.getPosition())
-      if (distance < closestDistance) {
-        closestDistance = distance
-        closest = npc
+    if (aliveOnly) {
+      let count = 0
+      for (const npc of _nearby) {
+        if (npc.isAlive) _nearby[count++] = npc
       }
+      _nearby.length = count
     }
     
-    return { npc: closest, distance: closestDistance }
+    return _nearby
+  }
+  
+  /**
+   * NPCs que podem estar no caminho de um raio (candidatos para testar hitboxes)
+   * Retorna um Set reutilizado
+   */
+  getNPCsAlongRay(origin, direction, near = 0, far = Infinity) {
+    return this.spatialHash.queryRay(origin, direction, near, far, _alongRay)
   }
   
   /**
    * Aplica dano a um NPC específico
    */
-  damageNPC(npc, amount) {
+  damageNPC(npc, amount, zone = null, source = null) {
     if (npc && npc.isAlive) {
-      npc.takeDamage(amount)
+      npc.takeDamage(amount, { zone, source })
     }
   }
   
@@ -209,6 +421,9 @@ class NPCManagerClass {
   removeNPC(npc) {
     const index = this.npcs.indexOf(npc)
     if (index > -1) {
+      squadSystem.leave(npc)
+      this.spatialHash.remove(npc)
+      this.npcsById.delete(npc.id)
       scene.remove(npc.group)
       npc.dispose()
       this.npcs.splice(index, 1)
@@ -217,6 +432,7 @@ class NPCManagerClass {
   
   /**
    * Remove todos os NPCs
+   * O último NPC a devolver o modelo libera o asset do cache
    */
   removeAll() {
     for (const npc of [...this.npcs]) {
@@ -228,10 +444,17 @@ class NPCManagerClass {
    * Retorna estatísticas dos NPCs
    */
   getStats() {
+    const lod = Object.fromEntries(Object.values(AILod).map(level => [level, 0]))
+    for (const npc of this.npcs) {
+      lod[npc.lod.level]++
+    }
+    
     return {
       total: this.npcs.length,
       alive: this.getAliveNPCs().length,
-      dead: this.getDeadNPCs().length
+      dead: this.getDeadNPCs().length,
+      lod,
+      ...squadSystem.getStats()
     }
   }
 }
@@ -248,6 +471,10 @@ export function updateNPCs(delta) {
   NPCManager.update(delta)
 }
 
+export function updateNPCVisuals(delta, alpha) {
+  NPCManager.updateVisuals(delta, alpha)
+}
+
 export function setNPCsTarget(player) {
   NPCManager.setPlayerTarget(player)
 }
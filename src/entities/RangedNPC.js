@@ -0,0 +1,558 @@
+import * as THREE from 'three'
+import { NPC, NPCState } from './NPC.js'
+import { physicsWorld } from '../physics/physics.js'
+import { debugRay } from '../physics/debug.js'
+import { LayerMask } from '../physics/layers.js'
+import { coverSystem } from '../ai/cover.js'
+import { SquadRole } from '../ai/squads.js'
+import { getWeaponDefinition, WeaponType } from '../weapons/registry.js'
+import { spawnProjectile } from '../weapons/projectiles.js'
+import { scene } from '../core/scene.js'
+
+/**
+ * Fases do combate à distância (dentro do estado ATTACK)
+ */
+export const CombatPhase = {
+  ENGAGE: 'ENGAGE',         // Em campo aberto, mantendo a distância preferida
+  TAKE_COVER: 'TAKE_COVER', // Indo para a cobertura
+  IN_COVER: 'IN_COVER',     // Escondido (recarrega aqui)
+  PEEK: 'PEEK'              // Saiu de lado para atirar
+}
+
+// Padrões do bloco options.ranged
+const RANGED_DEFAULTS = {
+  weapon: 'pistol',         // Definição de arma (hitscan ou projectile)
+  damage: null,             // Dano por tiro hitscan (null = attackDamage do NPC)
+  preferredDistance: 10,    // Distância que tenta manter do alvo
+  distanceTolerance: 2.5,
+  burstSize: 3,             // Tiros por rajada
+  fireInterval: 0.3,        // Segundos entre tiros da rajada
+  burstCooldown: 1.4,       // Segundos entre rajadas
+  magazineSize: null,       // null = o da definição da arma
+  reloadTime: null,         // null = o da definição da arma
+  baseSpread: 0.02,         // Cone de tiro (radianos) parado e perto
+  distanceSpread: 0.003,    // Extra por metro até o alvo
+  movingSpread: 0.012,      // Extra por m/s de velocidade do alvo
+  maxSpread: 0.2,
+  useCover: true,
+  coverSearchRadius: 12,
+  coverSearchInterval: 1.5, // Segundos entre buscas de cobertura sem sucesso
+  coverTimeMin: 1.0,        // Tempo escondido antes de espiar
+  coverTimeMax: 2.5,
+  peekTime: 1.6,            // Tempo máximo espiando
+  lostSightTime: 3.0        // Sem ver o alvo por este tempo: ir atrás dele
+}
+
+// Ângulo máximo (radianos) entre a frente do NPC e o alvo para atirar
+const AIM_TOLERANCE = 0.35
+
+// Fração por segundo do ângulo restante corrigida ao mirar
+const AIM_TURN_RATE = 10
+
+// Supressores (ver ai/squads.js) esperam menos entre rajadas
+const SUPPRESSOR_COOLDOWN_SCALE = 0.6
+
+// Distância para considerar a posição de cobertura/espiada alcançada
+const POSITION_REACHED = 0.4
+
+// Traçante dos tiros hitscan
+const TRACER_COLOR = 0xffdd88
+const TRACER_DURATION = 0.08
+
+/**
+ * NPC de longo alcance
+ * Mantém distância do alvo, atira em rajadas com precisão que piora com a
+ * distância e o movimento do alvo, recarrega e usa pontos de cobertura
+ * (ver ai/cover.js), saindo de lado para atirar
+ */
+export class RangedNPC extends NPC {
+  constructor(options = {}) {
+    super(options)
+
+    const ranged = { ...RANGED_DEFAULTS, ...options.ranged }
+
+    let weapon = getWeaponDefinition(ranged.weapon)
+    if (!weapon) {
+      console.warn(`⚠️ Arma "${ranged.weapon}" não encontrada para ${this.name}, usando "pistol"`)
+      weapon = getWeaponDefinition('pistol')
+    }
+
+    this.ranged = {
+      ...ranged,
+      weapon,
+      damage: ranged.damage ?? this.ai.attackDamage,
+      magazineSize: ranged.magazineSize ?? weapon.magazineSize,
+      reloadTime: ranged.reloadTime ?? weapon.reloadTime
+    }
+
+    // Estado da arma
+    this.gun = {
+      ammo: this.ranged.magazineSize,
+      burstRemaining: this.ranged.burstSize,
+      cooldown: 0,
+      isReloading: false,
+      reloadTimer: 0
+    }
+
+    // Estado do combate
+    this.combat = {
+      phase: CombatPhase.ENGAGE,
+      timer: 0,
+      lostSightTimer: 0,
+      coverSearchTimer: 0,
+      coverPoint: null,
+      peekPosition: null,
+      peekSide: Math.random() < 0.5 ? 1 : -1
+    }
+
+    this._muzzle = new THREE.Vector3()
+    this._aimPoint = new THREE.Vector3()
+    this._shotDirection = new THREE.Vector3()
+    this._spreadRight = new THREE.Vector3()
+    this._spreadUp = new THREE.Vector3()
+    this._away = new THREE.Vector3()
+  }
+
+  /**
+   * Callback quando o estado muda
+   */
+  onStateChange(oldState, newState) {
+    super.onStateChange(oldState, newState)
+
+    if (oldState === NPCState.ATTACK) {
+      this.leaveCover()
+    }
+
+    if (newState === NPCState.ATTACK) {
+      this.setCombatPhase(CombatPhase.ENGAGE)
+      this.combat.lostSightTimer = 0
+      this.combat.coverSearchTimer = 0
+
+      // Atira parado/andando: sem a animação de soco do corpo a corpo
+      const idleAnim = this.findAnimation(['idle', 'stand'])
+      if (idleAnim) this.playAnimation(idleAnim)
+    }
+  }
+
+  /**
+   * Estado: ATTACK (combate à distância)
+   * Alvo morto ou longe demais já tiram do estado pela behavior tree
+   */
+  updateAttack(delta) {
+    this.updateGun(delta)
+
+    const combat = this.combat
+    const targetPos = this.getTargetPosition()
+
+    if (this.ai.canSeeTarget) {
+      combat.lostSightTimer = 0
+      this.ai.lastKnownTargetPos.copy(targetPos)
+    } else {
+      combat.lostSightTimer += delta
+    }
+
+    const distance = this.getDistanceToTarget()
+
+    // Alvo sumido há muito tempo (escondido não conta): ir atrás
+    const hiding = combat.phase === CombatPhase.IN_COVER || combat.phase === CombatPhase.TAKE_COVER
+    if (!hiding && combat.lostSightTimer > this.ranged.lostSightTime) {
+      this.changeState(NPCState.CHASE)
+      return
+    }
+
+    combat.coverSearchTimer -= delta
+
+    switch (combat.phase) {
+      case CombatPhase.ENGAGE:
+        this.updateEngage(delta, distance)
+        break
+      case CombatPhase.TAKE_COVER:
+        this.updateTakeCover(delta)
+        break
+      case CombatPhase.IN_COVER:
+        this.updateInCover(delta)
+        break
+      case CombatPhase.PEEK:
+        this.updatePeek(delta)
+        break
+    }
+  }
+
+  /**
+   * Em campo aberto: procura cobertura, mantém a distância preferida e atira
+   */
+  updateEngage(delta, distance) {
+    const { preferredDistance, distanceTolerance } = this.ranged
+
+    if (this.tryTakeCover()) return
+
+    if (distance < preferredDistance - distanceTolerance) {
+      // Recuar sem virar as costas
+      const yaw = this.group.rotation.y
+      this._away.subVectors(this.position, this.getTargetPosition()).setY(0).normalize()
+      this.moveInDirection(this._away, this.moveSpeed, delta)
+      this.group.rotation.y = yaw
+    } else if (distance > preferredDistance + distanceTolerance || !this.ai.canSeeTarget) {
+      if (!this.moveAlongPath(this.ai.lastKnownTargetPos, this.moveSpeed, delta)) {
+        this.moveTowards(this.ai.lastKnownTargetPos, this.moveSpeed, delta)
+      }
+    }
+
+    this.faceTarget(delta)
+    this.tryFire()
+  }
+
+  /**
+   * Procura uma cobertura livre (com intervalo entre buscas)
+   * Retorna true se encontrou e começou a ir até ela
+   */
+  tryTakeCover() {
+    if (!this.ranged.useCover || this.combat.coverSearchTimer > 0) return false
+
+    // Supressor segura a posição atirando enquanto os colegas avançam
+    if (this.squad.role === SquadRole.SUPPRESSOR) return false
+
+    this.combat.coverSearchTimer = this.ranged.coverSearchInterval
+
+    const point = coverSystem.findCover(this, this.ai.lastKnownTargetPos, {
+      searchRadius: this.ranged.coverSearchRadius,
+      preferredDistance: this.ranged.preferredDistance,
+      maxThreatDistance: this.ai.attackDistance,
+      eyeHeight: this.ai.eyeHeight
+    })
+    if (!point) return false
+
+    coverSystem.claim(point, this)
+    this.combat.coverPoint = point
+    this.setCombatPhase(CombatPhase.TAKE_COVER)
+    return true
+  }
+
+  updateTakeCover(delta) {
+    const point = this.combat.coverPoint
+    const waiting = this.navigation.retryTimer > 0
+
+    if (!this.moveAlongPath(point.position, this.chaseSpeed, delta)) {
+      // Esperando para repetir uma busca que falhou
+      if (waiting) return
+
+      // Cobertura inalcançável
+      this.leaveCover()
+      this.setCombatPhase(CombatPhase.ENGAGE)
+      return
+    }
+
+    if (this.getHorizontalDistance(point.position) < POSITION_REACHED) {
+      const { coverTimeMin, coverTimeMax } = this.ranged
+      this.setCombatPhase(CombatPhase.IN_COVER, THREE.MathUtils.randFloat(coverTimeMin, coverTimeMax))
+    }
+  }
+
+  /**
+   * Escondido: recarrega e espera para espiar
+   */
+  updateInCover(delta) {
+    const combat = this.combat
+    this.lookAt(this.ai.lastKnownTargetPos)
+
+    if (this.gun.ammo < this.ranged.magazineSize && !this.gun.isReloading) {
+      this.startReload()
+    }
+
+    combat.timer -= delta
+    if (combat.timer > 0 || this.gun.isReloading) return
+
+    // O alvo contornou a cobertura
+    if (!coverSystem.isProtected(combat.coverPoint.position, this.ai.lastKnownTargetPos, this.ai.eyeHeight)) {
+      this.leaveCover()
+      this.setCombatPhase(CombatPhase.ENGAGE)
+      return
+    }
+
+    combat.peekPosition = coverSystem.findPeekPosition(
+      combat.coverPoint,
+      this.ai.lastKnownTargetPos,
+      this.ai.eyeHeight,
+      combat.peekSide
+    )
+
+    if (!combat.peekPosition) {
+      // Não dá para atirar daqui: voltar para campo aberto
+      this.leaveCover()
+      this.setCombatPhase(CombatPhase.ENGAGE)
+      return
+    }
+
+    this.setCombatPhase(CombatPhase.PEEK, this.ranged.peekTime)
+  }
+
+  /**
+   * Sai de lado, atira uma rajada e volta para a cobertura
+   */
+  updatePeek(delta) {
+    const combat = this.combat
+    combat.timer -= delta
+
+    if (this.getHorizontalDistance(combat.peekPosition) > POSITION_REACHED) {
+      // Passo lateral: o corpo continua virado para o alvo
+      const yaw = this.group.rotation.y
+      this.moveTowards(combat.peekPosition, this.moveSpeed, delta)
+      this.group.rotation.y = yaw
+    }
+
+    this.faceTarget(delta)
+    const fired = this.tryFire()
+
+    // Rajada terminou, sem munição ou demorou demais: voltar
+    const burstDone = fired && this.gun.burstRemaining === this.ranged.burstSize
+    if (burstDone || this.gun.ammo <= 0 || combat.timer <= 0) {
+      combat.peekSide = -combat.peekSide
+      this.setCombatPhase(CombatPhase.TAKE_COVER)
+    }
+  }
+
+  setCombatPhase(phase, timer = 0) {
+    this.combat.phase = phase
+    this.combat.timer = timer
+    this.clearPath()
+  }
+
+  leaveCover() {
+    coverSystem.release(this)
+    this.combat.coverPoint = null
+    this.combat.peekPosition = null
+  }
+
+  /**
+   * Vira para o alvo (ou para onde ele foi visto por último) pelo menor ângulo
+   */
+  faceTarget(delta) {
+    const point = this.ai.canSeeTarget ? this.getTargetPosition() : this.ai.lastKnownTargetPos
+    const dx = point.x - this.position.x
+    const dz = point.z - this.position.z
+    if (dx * dx + dz * dz < 0.001) return
+
+    const diff = Math.atan2(dx, dz) - this.group.rotation.y
+    const wrapped = Math.atan2(Math.sin(diff), Math.cos(diff))
+    this.group.rotation.y += wrapped * Math.min(1, AIM_TURN_RATE * delta)
+  }
+
+  isFacingTarget() {
+    this._forward.set(0, 0, 1).applyQuaternion(this.group.quaternion).setY(0).normalize()
+    this._toTarget.subVectors(this.getTargetPosition(), this.position).setY(0).normalize()
+    return this._forward.dot(this._toTarget) >= Math.cos(AIM_TOLERANCE)
+  }
+
+  // ========== ARMA ==========
+
+  updateGun(delta) {
+    const gun = this.gun
+
+    if (gun.cooldown > 0) {
+      gun.cooldown -= delta
+    }
+
+    if (gun.isReloading) {
+      gun.reloadTimer -= delta
+      if (gun.reloadTimer <= 0) {
+        gun.isReloading = false
+        gun.ammo = this.ranged.magazineSize
+        gun.burstRemaining = this.ranged.burstSize
+      }
+    }
+  }
+
+  startReload() {
+    if (this.gun.isReloading) return
+
+    this.gun.isReloading = true
+    this.gun.reloadTimer = this.ranged.reloadTime
+
+    const reloadAnim = this.findAnimation(['reload'])
+    if (reloadAnim) {
+      this.playAnimation(reloadAnim, { loop: false })
+    }
+  }
+
+  /**
+   * Atira se a arma estiver pronta e o alvo visível na frente do NPC
+   * Retorna true se disparou
+   */
+  tryFire() {
+    const gun = this.gun
+    if (gun.isReloading || gun.cooldown > 0) return false
+
+    if (gun.ammo <= 0) {
+      // Sem cobertura por perto, recarrega onde está
+      if (this.combat.phase === CombatPhase.ENGAGE) {
+        this.startReload()
+      }
+      return false
+    }
+
+    if (!this.ai.canSeeTarget || !this.isFacingTarget()) return false
+
+    this.fireShot()
+
+    gun.ammo--
+    gun.burstRemaining--
+
+    if (gun.burstRemaining <= 0) {
+      gun.burstRemaining = this.ranged.burstSize
+      gun.cooldown = this.ranged.burstCooldown
+      if (this.squad.role === SquadRole.SUPPRESSOR) {
+        gun.cooldown *= SUPPRESSOR_COOLDOWN_SCALE
+      }
+    } else {
+      gun.cooldown = this.ranged.fireInterval
+    }
+
+    return true
+  }
+
+  /**
+   * Dispersão atual: piora com a distância e a velocidade do alvo
+   */
+  getSpread(distance) {
+    const { baseSpread, distanceSpread, movingSpread, maxSpread } = this.ranged
+    const velocity = this.ai.target?.velocity
+    const targetSpeed = velocity ? Math.hypot(velocity.x, velocity.z) : 0
+
+    return Math.min(baseSpread + distance * distanceSpread + targetSpeed * movingSpread, maxSpread)
+  }
+
+  /**
+   * Dispara um tiro no peito do alvo com a dispersão atual
+   */
+  fireShot() {
+    const weapon = this.ranged.weapon
+
+    this._muzzle.copy(this.position)
+    this._muzzle.y += this.ai.eyeHeight
+
+    // Peito (ponto do meio da cápsula) ou a posição do alvo
+    const target = this.ai.target
+    const points = typeof target.getVisibilityPoints === 'function' ? target.getVisibilityPoints() : null
+    this._aimPoint.copy(points ? points[1] : this.getTargetPosition())
+
+    const direction = this._shotDirection.subVectors(this._aimPoint, this._muzzle)
+    const distance = direction.length()
+    direction.divideScalar(distance)
+    this.applySpread(direction, this.getSpread(distance))
+
+    const fireAnim = this.findAnimation(['shoot', 'fire', 'attack'])
+    if (fireAnim) {
+      this.playAnimation(fireAnim, { loop: false, fadeTime: 0.1 })
+    }
+
+    if (weapon.type === WeaponType.PROJECTILE) {
+      spawnProjectile({
+        config: weapon.projectile,
+        origin: this._muzzle,
+        direction,
+        owner: this,
+        source: 'npc',
+        weapon: weapon.id
+      })
+      this.dispatchAttack(null)
+      return
+    }
+
+    const hit = physicsWorld.castRayWithNormal(this._muzzle, direction, weapon.range, true, {
+      mask: LayerMask.SHOT,
+      excludeBody: this.physics.rigidBody
+    })
+    debugRay('npc', this._muzzle, direction, weapon.range, hit ? hit.distance : null)
+
+    const end = hit ? hit.point : this._aimPoint.copy(direction).multiplyScalar(weapon.range).add(this._muzzle)
+    createTracer(this._muzzle, end)
+
+    // NPC.takeDamage ignora dano vindo de outro NPC (sem fogo amigo)
+    const entity = hit ? physicsWorld.getEntity(hit.collider) : null
+    const damaged = !!entity && typeof entity.takeDamage === 'function' &&
+      entity.takeDamage(this.ranged.damage, { source: this })
+
+    this.dispatchAttack(damaged ? entity : null)
+  }
+
+  /**
+   * Desvia a direção para um ponto aleatório dentro do cone
+   */
+  applySpread(direction, spread) {
+    if (spread <= 0) return
+
+    // Base perpendicular à direção do tiro
+    this._spreadRight.set(direction.z, 0, -direction.x)
+    if (this._spreadRight.lengthSq() < 1e-6) this._spreadRight.set(1, 0, 0)
+    this._spreadRight.normalize()
+    this._spreadUp.crossVectors(this._spreadRight, direction).normalize()
+
+    const angle = spread * Math.sqrt(Math.random())
+    const theta = Math.random() * Math.PI * 2
+    const offset = Math.tan(angle)
+
+    direction
+      .addScaledVector(this._spreadRight, Math.cos(theta) * offset)
+      .addScaledVector(this._spreadUp, Math.sin(theta) * offset)
+      .normalize()
+  }
+
+  dispatchAttack(hitEntity) {
+    window.dispatchEvent(new CustomEvent('npc-attack', {
+      detail: {
+        npc: this,
+        damage: hitEntity ? this.ranged.damage : 0,
+        target: this.ai.target,
+        ranged: true,
+        hit: !!hitEntity
+      }
+    }))
+  }
+
+  // ========== CICLO DE VIDA ==========
+
+  die() {
+    this.leaveCover()
+    super.die()
+  }
+
+  revive() {
+    super.revive()
+    this.gun.ammo = this.ranged.magazineSize
+    this.gun.isReloading = false
+    this.gun.cooldown = 0
+    this.gun.burstRemaining = this.ranged.burstSize
+  }
+
+  dispose() {
+    this.leaveCover()
+    super.dispose()
+  }
+}
+
+/**
+ * Linha rápida do cano até o ponto atingido
+ */
+function createTracer(from, to) {
+  const geometry = new THREE.BufferGeometry().setFromPoints([from.clone(), new THREE.Vector3(to.x, to.y, to.z)])
+  const material = new THREE.LineBasicMaterial({ color: TRACER_COLOR, transparent: true, opacity: 0.9 })
+  const line = new THREE.Line(geometry, material)
+  scene.add(line)
+
+  const start = performance.now()
+  const fade = () => {
+    const t = (performance.now() - start) / 1000 / TRACER_DURATION
+
+    if (t >= 1) {
+      scene.remove(line)
+      geometry.dispose()
+      material.dispose()
+      return
+    }
+
+    material.opacity = 0.9 * (1 - t)
+    requestAnimationFrame(fade)
+  }
+
+  requestAnimationFrame(fade)
+}
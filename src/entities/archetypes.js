@@ -0,0 +1,40 @@
+import { NPC } from './NPC.js'
+import { RangedNPC } from './RangedNPC.js'
+
+/**
+ * Arquétipos de inimigo
+ * options.archetype no spawnNPC escolhe a classe e os padrões de IA;
+ * as opções passadas explicitamente continuam valendo sobre os padrões
+ */
+export const NPCArchetype = {
+  MELEE: 'melee',   // Persegue e ataca corpo a corpo
+  RANGED: 'ranged'  // Mantém distância, atira e usa cobertura (ver RangedNPC.js)
+}
+
+const ARCHETYPES = {
+  [NPCArchetype.MELEE]: {
+    npcClass: NPC,
+    defaults: {}
+  },
+  [NPCArchetype.RANGED]: {
+    npcClass: RangedNPC,
+    defaults: {
+      viewDistance: 22,
+      attackDistance: 16, // Distância máxima para abrir fogo
+      chaseSpeed: 3.0,
+      attackDamage: 8
+    }
+  }
+}
+
+/**
+ * Classe e padrões de um arquétipo (desconhecido cai no corpo a corpo)
+ */
+export function getArchetype(name = NPCArchetype.MELEE) {
+  const archetype = ARCHETYPES[name]
+  if (!archetype) {
+    console.warn(`⚠️ Arquétipo de NPC desconhecido "${name}", usando "${NPCArchetype.MELEE}"`)
+    return { name: NPCArchetype.MELEE, ...ARCHETYPES[NPCArchetype.MELEE] }
+  }
+  return { name, ...archetype }
+}
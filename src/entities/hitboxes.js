@@ -0,0 +1,316 @@
+import * as THREE from 'three'
+import { physicsWorld } from '../physics/physics.js'
+import { CollisionLayer } from '../physics/layers.js'
+
+/**
+ * Zonas de acerto dos NPCs
+ */
+export const HitZone = {
+  HEAD: 'HEAD',
+  TORSO: 'TORSO',
+  LIMB: 'LIMB'
+}
+
+/**
+ * Multiplicador de dano padrão de cada zona
+ */
+export const HitZoneMultiplier = {
+  [HitZone.HEAD]: 2.5,
+  [HitZone.TORSO]: 1.0,
+  [HitZone.LIMB]: 0.6
+}
+
+// Ossos que recebem hitbox (vale a primeira regra que casar com o nome)
+const BONE_RULES = [
+  { zone: HitZone.HEAD, keywords: ['head'], sphere: true },
+  { zone: HitZone.TORSO, keywords: ['hips', 'pelvis', 'spine', 'chest', 'neck'] },
+  { zone: HitZone.LIMB, keywords: ['arm', 'upleg', 'thigh', 'leg', 'calf', 'shin', 'foot'] }
+]
+
+// Pontas de cadeia, dedos e ombros não recebem hitbox
+const IGNORED_BONES = ['end', 'top', 'hand', 'thumb', 'index', 'middle', 'ring', 'pinky', 'toe', 'shoulder', 'clavicle']
+
+// Mínimo de vértices do osso para ajustar um volume
+const MIN_VERTICES = 8
+
+// Volumes um pouco menores que a malha (evita acertos "no ar")
+const FIT_SHRINK = 0.9
+
+// Material compartilhado (as hitboxes nunca são renderizadas)
+const hitboxMaterial = new THREE.MeshBasicMaterial({ wireframe: true })
+
+// Reutilizados na construção e nas consultas
+const _axisY = new THREE.Vector3(0, 1, 0)
+const _axis = new THREE.Vector3()
+const _size = new THREE.Vector3()
+const _center = new THREE.Vector3()
+const _vertex = new THREE.Vector3()
+const _quaternion = new THREE.Quaternion()
+const _unitScale = new THREE.Vector3(1, 1, 1)
+const _sphere = new THREE.Sphere()
+const _position = new THREE.Vector3()
+const _rotation = new THREE.Quaternion()
+const _scale = new THREE.Vector3()
+
+/**
+ * Hitboxes de um NPC presas aos ossos do esqueleto
+ * Cada volume é ajustado aos vértices que o osso move e segue a pose
+ * animada (e não a bind pose que o raycast do SkinnedMesh usa).
+ * Com a física carregada, cada volume tem um collider na camada HITBOX
+ * (os tiros consultam o Rapier); sem ela, raycast() testa as malhas
+ */
+export class NPCHitboxes {
+  constructor(npc) {
+    this.npc = npc
+
+    // { mesh, bone, skinnedMesh, offset, shape, collider } — offset posiciona o
+    // volume no espaço do osso; shape é o volume em escala 1 (ver createColliders)
+    this.hitboxes = []
+    this.meshes = []
+
+    // Raio ao redor do NPC (escala 1) usado no teste rápido contra o raio
+    this.boundingRadius = 0
+  }
+
+  /**
+   * Cria os volumes a partir dos ossos e vértices do modelo
+   */
+  build(model) {
+    this.dispose()
+
+    model.updateWorldMatrix(true, true)
+
+    // Caixa dos vértices de cada osso (pela maior influência), no espaço do osso
+    const bones = new Map()
+
+    model.traverse((child) => {
+      if (child.isSkinnedMesh) {
+        this.collectBoneVertices(child, bones)
+      }
+    })
+
+    for (const [bone, entry] of bones) {
+      const name = bone.name.toLowerCase()
+      if (IGNORED_BONES.some(keyword => name.includes(keyword))) continue
+
+      const rule = BONE_RULES.find(r => r.keywords.some(keyword => name.includes(keyword)))
+      if (!rule || entry.count < MIN_VERTICES) continue
+
+      this.addHitbox(bone, entry, rule)
+    }
+
+    if (this.hitboxes.length === 0) {
+      console.warn(`⚠️ Nenhum osso reconhecido para hitboxes em ${this.npc.name}`)
+      return
+    }
+
+    this.computeBoundingRadius()
+    this.createColliders()
+  }
+
+  /**
+   * Acumula os vértices de uma malha na caixa do osso que mais os influencia
+   */
+  collectBoneVertices(skinnedMesh, bones) {
+    const { skeleton, geometry } = skinnedMesh
+    const skinIndex = geometry.attributes.skinIndex
+    const skinWeight = geometry.attributes.skinWeight
+    const position = geometry.attributes.position
+
+    if (!skinIndex || !skinWeight) return
+
+    // Matriz malha → osso (bind pose) de cada osso
+    const toBone = skeleton.boneInverses.map(inverse => {
+      return new THREE.Matrix4().multiplyMatrices(inverse, skinnedMesh.bindMatrix)
+    })
+
+    for (let i = 0; i < position.count; i++) {
+      let boneIndex = skinIndex.getX(i)
+      let weight = skinWeight.getX(i)
+      for (let j = 1; j < 4; j++) {
+        if (skinWeight.getComponent(i, j) > weight) {
+          weight = skinWeight.getComponent(i, j)
+          boneIndex = skinIndex.getComponent(i, j)
+        }
+      }
+
+      const bone = skeleton.bones[boneIndex]
+      if (!bone) continue
+
+      let entry = bones.get(bone)
+      if (!entry) {
+        entry = { box: new THREE.Box3(), count: 0, skinnedMesh }
+        bones.set(bone, entry)
+      }
+
+      _vertex.fromBufferAttribute(position, i).applyMatrix4(toBone[boneIndex])
+      entry.box.expandByPoint(_vertex)
+      entry.count++
+    }
+  }
+
+  /**
+   * Cria o volume de um osso (cápsula no eixo mais longo, ou esfera na cabeça)
+   */
+  addHitbox(bone, entry, rule) {
+    const { box, skinnedMesh } = entry
+    box.getSize(_size).multiplyScalar(FIT_SHRINK)
+    box.getCenter(_center)
+
+    let geometry
+    let shape
+
+    if (rule.sphere) {
+      const radius = (_size.x + _size.y + _size.z) / 6
+      geometry = new THREE.SphereGeometry(radius, 8, 6)
+      shape = { radius, halfHeight: 0 }
+      _quaternion.identity()
+    } else {
+      // O eixo mais longo da caixa vira o eixo da cápsula
+      const axis = _size.x >= _size.y && _size.x >= _size.z ? 'x' : (_size.y >= _size.z ? 'y' : 'z')
+      const [a, b] = ['x', 'y', 'z'].filter(other => other !== axis)
+      const radius = (_size[a] + _size[b]) / 4
+      const length = Math.max(0, _size[axis] - radius * 2)
+
+      geometry = new THREE.CapsuleGeometry(radius, length, 2, 8)
+      shape = { radius, halfHeight: length / 2 }
+      _axis.set(0, 0, 0)[axis] = 1
+      _quaternion.setFromUnitVectors(_axisY, _axis)
+    }
+
+    geometry.computeBoundingSphere()
+
+    const mesh = new THREE.Mesh(geometry, hitboxMaterial)
+    mesh.name = `Hitbox_${rule.zone}_${bone.name}`
+    mesh.visible = false
+    mesh.matrixAutoUpdate = false
+    mesh.matrixWorldAutoUpdate = false
+    mesh.userData.hitbox = { npc: this.npc, zone: rule.zone }
+
+    this.hitboxes.push({
+      mesh,
+      bone,
+      skinnedMesh,
+      offset: new THREE.Matrix4().compose(_center, _quaternion, _unitScale),
+      shape,
+      collider: null
+    })
+    this.meshes.push(mesh)
+  }
+
+  /**
+   * Raio que envolve todos os volumes a partir da origem do NPC
+   */
+  computeBoundingRadius() {
+    this.update()
+
+    const origin = this.npc.group.position
+    const scale = this.npc.group.scale.x || 1
+    let radius = 0
+
+    for (const mesh of this.meshes) {
+      _sphere.copy(mesh.geometry.boundingSphere).applyMatrix4(mesh.matrixWorld)
+      radius = Math.max(radius, _sphere.center.distanceTo(origin) + _sphere.radius)
+    }
+
+    // Folga para poses animadas mais abertas que a de repouso
+    this.boundingRadius = (radius / scale) * 1.25
+  }
+
+  /**
+   * Cria um collider por volume (na escala atual do modelo, que não muda depois do load)
+   */
+  createColliders() {
+    if (!physicsWorld.world) return
+
+    for (const hitbox of this.hitboxes) {
+      hitbox.mesh.matrixWorld.decompose(_position, _rotation, _scale)
+      const scale = Math.max(_scale.x, _scale.y, _scale.z)
+
+      hitbox.collider = physicsWorld.createHitboxCollider({
+        radius: hitbox.shape.radius * scale,
+        halfHeight: hitbox.shape.halfHeight * scale
+      }, hitbox.mesh.userData.hitbox)
+    }
+
+    this.syncColliders()
+  }
+
+  /**
+   * Copia a pose atual dos ossos para os volumes (e para os colliders)
+   * Chamado sob demanda: quem consulta o Rapier atualiza antes as hitboxes
+   * dos NPCs que pode atingir (ver Weapon.syncNPCHitboxes)
+   */
+  update() {
+    this.npc.group.updateMatrixWorld(true)
+
+    for (const { mesh, bone, skinnedMesh, offset } of this.hitboxes) {
+      getBoneMatrix(bone, skinnedMesh, mesh.matrixWorld).multiply(offset)
+    }
+
+    this.syncColliders()
+  }
+
+  syncColliders() {
+    for (const { mesh, collider } of this.hitboxes) {
+      if (!collider) continue
+
+      mesh.matrixWorld.decompose(_position, _rotation, _scale)
+      collider.setTranslation(_position)
+      collider.setRotation(_rotation)
+    }
+  }
+
+  /**
+   * Testa o raio contra as malhas das hitboxes (tiro sem física)
+   * Retorna a interseção mais próxima (com userData.hitbox no objeto) ou null
+   */
+  raycast(raycaster) {
+    if (this.meshes.length === 0) return null
+
+    // Teste rápido: raio longe do NPC
+    const radius = this.boundingRadius * this.npc.group.scale.x
+    if (raycaster.ray.distanceSqToPoint(this.npc.group.position) > radius * radius) {
+      return null
+    }
+
+    this.update()
+
+    const intersects = raycaster.intersectObjects(this.meshes, false)
+    return intersects[0] || null
+  }
+
+  /**
+   * Libera as geometrias e os colliders das hitboxes
+   */
+  dispose() {
+    for (const { mesh, collider } of this.hitboxes) {
+      mesh.geometry.dispose()
+      physicsWorld.removeCollider(collider)
+    }
+    this.hitboxes = []
+    this.meshes = []
+  }
+}
+
+/**
+ * Hitbox dona do collider ({ npc, zone }) ou null se o collider não for uma hitbox
+ */
+export function getHitbox(collider) {
+  if (!collider || !((collider.collisionGroups() >>> 16) & CollisionLayer.HITBOX)) return null
+  return physicsWorld.getEntity(collider)
+}
+
+/**
+ * Matriz do espaço do osso até o mundo, na mesma conta do skinning do Three.js
+ * (a malha e o esqueleto podem ter escalas/orientações diferentes, como em
+ * exports do Sketchfab)
+ */
+function getBoneMatrix(bone, skinnedMesh, target) {
+  if (skinnedMesh.bindMode === THREE.AttachedBindMode) {
+    target.multiplyMatrices(skinnedMesh.matrixWorld, skinnedMesh.bindMatrixInverse)
+  } else {
+    target.copy(skinnedMesh.bindMatrixInverse)
+  }
+  return target.multiply(bone.matrixWorld)
+}
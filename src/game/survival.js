@@ -0,0 +1,546 @@
+import * as THREE from 'three'
+import { camera } from '../core/camera.js'
+import { physicsWorld } from '../physics/physics.js'
+import { LayerMask } from '../physics/layers.js'
+import { navMesh } from '../navigation/NavMesh.js'
+import { NPCManager, spawnNPC } from '../entities/NPCManager.js'
+import { NPCState } from '../entities/NPC.js'
+import { HitZone } from '../entities/hitboxes.js'
+import { getPlayer } from '../player/player.js'
+import { pauseControls, resumeControls } from '../player/controls.js'
+import { mapEntities } from '../world/entities.js'
+import { projectileManager } from '../weapons/projectiles.js'
+
+/**
+ * Fases do modo sobrevivência
+ */
+export const SurvivalPhase = {
+  IDLE: 'IDLE',                 // Modo não iniciado
+  INTERMISSION: 'INTERMISSION', // Intervalo entre ondas
+  WAVE: 'WAVE',                 // Onda em andamento
+  GAME_OVER: 'GAME_OVER'
+}
+
+const HIGH_SCORE_KEY = 'survival-high-score'
+
+// Reutilizados na escolha de pontos de spawn
+const _frustum = new THREE.Frustum()
+const _projection = new THREE.Matrix4()
+const _cameraPosition = new THREE.Vector3()
+const _candidate = new THREE.Vector3()
+const _chest = new THREE.Vector3()
+const _toCandidate = new THREE.Vector3()
+
+/**
+ * Modo sobrevivência: ondas de inimigos cada vez mais fortes
+ * O progresso da onda vem dos eventos 'npc-death'
+ */
+class SurvivalMode {
+  constructor() {
+    this.config = {
+      // Ondas
+      firstWaveCount: 3,
+      countPerWave: 2,          // Inimigos extras a cada onda
+      maxAlive: 8,              // Restante da onda entra conforme os outros morrem
+      spawnInterval: 1.0,       // Segundos entre spawns
+      intermissionTime: 8,      // Segundos entre ondas (e antes da primeira)
+
+      // Dificuldade
+      healthPerWave: 0.15,      // +15% de vida por onda
+      chaseSpeedPerWave: 0.25,
+      maxChaseSpeed: 5.5,
+
+      // Pontos de spawn (fora da visão do player)
+      minSpawnDistance: 12,
+      maxSpawnDistance: 40,
+      spawnAttempts: 40,
+
+      // Pontuação
+      killScore: 100,
+      headshotBonus: 50,
+      waveBonus: 250,           // Multiplicado pelo número da onda
+
+      // Corpos somem depois de um tempo
+      corpseLifetime: 3,
+
+      // Inimigo base (onda 1)
+      enemy: {
+        scale: 0.15,
+        health: 100,
+        moveSpeed: 1.2,
+        patrolRadius: 6,
+        patrolSpeed: 1.5,
+        chaseSpeed: 3.0,
+        viewDistance: 12,
+        attackDistance: 1.5,
+        attackDamage: 10,
+        investigateDuration: 30 // Inimigos caçam o player em vez de voltar a patrulhar
+      },
+
+      // Atiradores (arquétipo "ranged") a partir de uma onda
+      rangedFromWave: 3,
+      rangedChance: 0.3,
+      rangedEnemy: {
+        archetype: 'ranged',
+        viewDistance: 22,
+        attackDistance: 16,
+        attackDamage: 6
+      }
+    }
+
+    this.phase = SurvivalPhase.IDLE
+    this.runId = 0 // Muda a cada partida (descarta spawns da partida anterior)
+    this.wave = 0
+    this.score = 0
+    this.highScore = Number(localStorage.getItem(HIGH_SCORE_KEY)) || 0
+
+    // Progresso da onda atual
+    this.waveTotal = 0
+    this.waveSpawned = 0
+    this.waveKilled = 0
+    this.pendingSpawns = 0
+    this.spawnTimer = 0
+    this.intermissionTimer = 0
+    this.waveNPCs = new Set()
+
+    // Corpos aguardando remoção: { npc, timer }
+    this.corpses = []
+
+    this.hud = null
+    this.banner = null
+    this.bannerTimeout = null
+    this.gameOverScreen = null
+
+    this.onNPCDeath = (event) => this.handleNPCDeath(event.detail.npc)
+    this.onPlayerDeath = () => this.gameOver()
+  }
+
+  /**
+   * Inicia o modo (primeira onda após o intervalo)
+   */
+  start() {
+    this.stop()
+
+    window.addEventListener('npc-death', this.onNPCDeath)
+    window.addEventListener('player-death', this.onPlayerDeath)
+
+    // O modo decide quando o player renasce
+    getPlayer().setAutoRespawn(false)
+
+    this.runId++
+    this.wave = 0
+    this.score = 0
+    this.pendingSpawns = 0
+    this.createHUD()
+    this.startIntermission()
+  }
+
+  /**
+   * Encerra o modo e remove os inimigos das ondas
+   */
+  stop() {
+    window.removeEventListener('npc-death', this.onNPCDeath)
+    window.removeEventListener('player-death', this.onPlayerDeath)
+
+    for (const npc of this.waveNPCs) {
+      NPCManager.removeNPC(npc)
+    }
+    for (const corpse of this.corpses) {
+      NPCManager.removeNPC(corpse.npc)
+    }
+    this.waveNPCs.clear()
+    this.corpses = []
+    this.phase = SurvivalPhase.IDLE
+
+    this.hideGameOver()
+  }
+
+  /**
+   * Recomeça do zero após o game over
+   */
+  restart() {
+    getPlayer().respawn()
+    mapEntities.reset()
+    projectileManager.clear()
+    this.start()
+
+    // O clique no botão também trava o mouse (ver controls.js)
+    resumeControls()
+  }
+
+  // ========== ONDAS ==========
+
+  startIntermission() {
+    this.phase = SurvivalPhase.INTERMISSION
+    this.intermissionTimer = this.config.intermissionTime
+    this.updateHUD()
+  }
+
+  startWave() {
+    this.wave++
+    this.phase = SurvivalPhase.WAVE
+    this.waveTotal = this.config.firstWaveCount + (this.wave - 1) * this.config.countPerWave
+    this.waveSpawned = 0
+    this.waveKilled = 0
+    this.spawnTimer = 0
+    this.waveNPCs.clear()
+
+    this.showBanner(`ONDA ${this.wave}`)
+    this.updateHUD()
+  }
+
+  completeWave() {
+    const bonus = this.config.waveBonus * this.wave
+    this.addScore(bonus)
+
+    this.showBanner(`ONDA ${this.wave} CONCLUÍDA  +${bonus}`)
+    this.startIntermission()
+  }
+
+  /**
+   * Opções do inimigo escaladas para a onda atual
+   */
+  getEnemyOptions() {
+    const base = this.config.enemy
+    const level = this.wave - 1
+    const ranged = this.wave >= this.config.rangedFromWave && Math.random() < this.config.rangedChance
+
+    return {
+      ...base,
+      ...(ranged ? this.config.rangedEnemy : null),
+      name: `Wave${this.wave}_Enemy_${this.waveSpawned + 1}`,
+      health: Math.round(base.health * (1 + this.config.healthPerWave * level)),
+      chaseSpeed: Math.min(this.config.maxChaseSpeed, base.chaseSpeed + this.config.chaseSpeedPerWave * level)
+    }
+  }
+
+  /**
+   * Spawna um inimigo da onda em um ponto fora da visão do player
+   */
+  async spawnEnemy() {
+    const position = this.findSpawnPoint()
+    if (!position) return
+
+    const runId = this.runId
+    this.waveSpawned++
+    this.pendingSpawns++
+
+    const npc = await spawnNPC({ ...this.getEnemyOptions(), position })
+
+    // A partida pode ter sido reiniciada durante o carregamento
+    if (runId !== this.runId || this.phase === SurvivalPhase.IDLE) {
+      if (npc) NPCManager.removeNPC(npc)
+      return
+    }
+
+    this.pendingSpawns--
+
+    if (!npc) {
+      this.waveSpawned--
+      return
+    }
+
+    this.waveNPCs.add(npc)
+
+    // Já chega caçando: vai até onde o player está agora
+    npc.ai.lastKnownTargetPos.copy(getPlayer().getPosition())
+    npc.changeState(NPCState.INVESTIGATE)
+
+    this.updateHUD()
+  }
+
+  /**
+   * Procura um ponto longe o bastante e fora da visão do player
+   * Usa os spawns autorados no mapa quando existirem, senão nós da navmesh
+   */
+  findSpawnPoint() {
+    const playerPosition = getPlayer().getPosition()
+    const authored = mapEntities.getWaveSpawnPoints()
+    const nodes = authored.length > 0
+      ? authored.map(spawn => spawn.position)
+      : navMesh.nodes
+
+    if (authored.length === 0 && (!navMesh.isBuilt || nodes.length === 0)) {
+      return physicsWorld.findSafeSpawnPosition()
+    }
+
+    camera.updateMatrixWorld()
+    camera.getWorldPosition(_cameraPosition)
+    _projection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    _frustum.setFromProjectionMatrix(_projection)
+
+    let fallback = null
+    let fallbackDistance = 0
+
+    for (let i = 0; i < this.config.spawnAttempts; i++) {
+      const node = nodes[Math.floor(Math.random() * nodes.length)]
+      _candidate.set(node.x, node.y, node.z)
+
+      const distance = _candidate.distanceTo(playerPosition)
+
+      // Se nada servir (mapa pequeno), usar o ponto mais distante sorteado
+      if (distance > fallbackDistance) {
+        fallback = _candidate.clone()
+        fallbackDistance = distance
+      }
+
+      if (distance < this.config.minSpawnDistance || distance > this.config.maxSpawnDistance) continue
+
+      if (!this.isVisibleToPlayer(_candidate)) {
+        return _candidate.clone()
+      }
+    }
+
+    return fallback
+  }
+
+  /**
+   * Ponto dentro do campo de visão e sem parede entre ele e a câmera
+   */
+  isVisibleToPlayer(point) {
+    // Checar a altura do peito (o ponto da navmesh está no chão)
+    _chest.copy(point)
+    _chest.y += 1
+
+    if (!_frustum.containsPoint(_chest)) return false
+
+    _toCandidate.subVectors(_chest, _cameraPosition)
+    const distance = _toCandidate.length()
+    _toCandidate.divideScalar(distance)
+
+    const hit = physicsWorld.castRay(_cameraPosition, _toCandidate, distance, true, { mask: LayerMask.SIGHT })
+
+    return !hit
+  }
+
+  // ========== EVENTOS ==========
+
+  handleNPCDeath(npc) {
+    if (!this.waveNPCs.has(npc)) return
+
+    this.waveNPCs.delete(npc)
+    this.corpses.push({ npc, timer: this.config.corpseLifetime })
+    this.waveKilled++
+
+    const headshot = npc.lastHitZone === HitZone.HEAD
+    this.addScore(this.config.killScore + (headshot ? this.config.headshotBonus : 0))
+
+    if (this.phase === SurvivalPhase.WAVE && this.waveKilled >= this.waveTotal) {
+      this.completeWave()
+    } else {
+      this.updateHUD()
+    }
+  }
+
+  addScore(points) {
+    this.score += points
+
+    if (this.score > this.highScore) {
+      this.highScore = this.score
+      localStorage.setItem(HIGH_SCORE_KEY, String(this.highScore))
+    }
+
+    this.updateHUD()
+  }
+
+  gameOver() {
+    if (this.phase === SurvivalPhase.GAME_OVER || this.phase === SurvivalPhase.IDLE) return
+
+    this.phase = SurvivalPhase.GAME_OVER
+    this.updateHUD()
+
+    pauseControls()
+    this.showGameOver()
+  }
+
+  // ========== ATUALIZAÇÃO ==========
+
+  /**
+   * Avança timers de intervalo, spawns e remoção de corpos
+   */
+  update(delta) {
+    if (this.phase === SurvivalPhase.IDLE) return
+
+    this.updateCorpses(delta)
+
+    switch (this.phase) {
+      case SurvivalPhase.INTERMISSION: {
+        const previousSecond = Math.ceil(this.intermissionTimer)
+        this.intermissionTimer -= delta
+
+        if (this.intermissionTimer <= 0) {
+          this.startWave()
+        } else if (Math.ceil(this.intermissionTimer) !== previousSecond) {
+          this.updateHUD()
+        }
+        break
+      }
+
+      case SurvivalPhase.WAVE: {
+        this.spawnTimer -= delta
+
+        const alive = this.waveNPCs.size + this.pendingSpawns
+        const canSpawn = this.waveSpawned < this.waveTotal && alive < this.config.maxAlive
+
+        if (canSpawn && this.spawnTimer <= 0) {
+          this.spawnTimer = this.config.spawnInterval
+          this.spawnEnemy()
+        }
+        break
+      }
+    }
+  }
+
+  updateCorpses(delta) {
+    for (let i = this.corpses.length - 1; i >= 0; i--) {
+      const corpse = this.corpses[i]
+      corpse.timer -= delta
+
+      if (corpse.timer <= 0) {
+        NPCManager.removeNPC(corpse.npc)
+        this.corpses.splice(i, 1)
+      }
+    }
+  }
+
+  // ========== UI ==========
+
+  createHUD() {
+    if (this.hud) return
+
+    this.hud = document.createElement('div')
+    this.hud.id = 'survival-hud'
+    this.hud.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      font-family: 'Arial Black', sans-serif;
+      font-size: 18px;
+      color: white;
+      text-shadow: 2px 2px 4px rgba(0,0,0,0.8);
+      text-align: center;
+      z-index: 1000;
+      user-select: none;
+      pointer-events: none;
+    `
+    document.body.appendChild(this.hud)
+
+    this.banner = document.createElement('div')
+    this.banner.id = 'survival-banner'
+    this.banner.style.cssText = `
+      position: fixed;
+      top: 28%;
+      left: 50%;
+      transform: translateX(-50%);
+      font-family: 'Arial Black', sans-serif;
+      font-size: 42px;
+      color: #ffcc00;
+      text-shadow: 3px 3px 6px rgba(0,0,0,0.9);
+      z-index: 1000;
+      user-select: none;
+      pointer-events: none;
+      opacity: 0;
+      transition: opacity 0.4s;
+    `
+    document.body.appendChild(this.banner)
+  }
+
+  updateHUD() {
+    if (!this.hud) return
+
+    let status
+    if (this.phase === SurvivalPhase.INTERMISSION) {
+      status = `Próxima onda em ${Math.max(0, Math.ceil(this.intermissionTimer))}s`
+    } else if (this.phase === SurvivalPhase.WAVE) {
+      status = `Onda ${this.wave}  ·  Inimigos ${this.waveTotal - this.waveKilled}/${this.waveTotal}`
+    } else {
+      status = `Onda ${this.wave}`
+    }
+
+    this.hud.innerHTML = `${status}<br><span style="font-size: 14px">Pontos ${this.score}  ·  Recorde ${this.highScore}</span>`
+  }
+
+  showBanner(text) {
+    if (!this.banner) return
+
+    this.banner.textContent = text
+    this.banner.style.opacity = '1'
+
+    clearTimeout(this.bannerTimeout)
+    this.bannerTimeout = setTimeout(() => {
+      this.banner.style.opacity = '0'
+    }, 2000)
+  }
+
+  showGameOver() {
+    this.hideGameOver()
+
+    const isRecord = this.score > 0 && this.score >= this.highScore
+
+    this.gameOverScreen = document.createElement('div')
+    this.gameOverScreen.id = 'survival-game-over'
+    this.gameOverScreen.style.cssText = `
+      position: fixed;
+      inset: 0;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 12px;
+      background: rgba(0,0,0,0.7);
+      font-family: 'Arial Black', sans-serif;
+      color: white;
+      z-index: 2000;
+    `
+    this.gameOverScreen.innerHTML = `
+      <div style="font-size: 56px; color: #ff4444">GAME OVER</div>
+      <div style="font-size: 22px">Você sobreviveu até a onda ${this.wave}</div>
+      <div style="font-size: 22px">Pontos: ${this.score}</div>
+      <div style="font-size: 18px; color: ${isRecord ? '#ffcc00' : '#aaaaaa'}">
+        ${isRecord ? 'Novo recorde!' : `Recorde: ${this.highScore}`}
+      </div>
+    `
+
+    const button = document.createElement('button')
+    button.className = 'menu-button'
+    button.textContent = '🔁 Jogar Novamente'
+    button.style.marginTop = '16px'
+    button.addEventListener('click', () => this.restart())
+    this.gameOverScreen.appendChild(button)
+
+    document.body.appendChild(this.gameOverScreen)
+  }
+
+  hideGameOver() {
+    if (this.gameOverScreen) {
+      this.gameOverScreen.remove()
+      this.gameOverScreen = null
+    }
+  }
+
+  /**
+   * Estado atual do modo (debug/UI)
+   */
+  getStats() {
+    return {
+      phase: this.phase,
+      wave: this.wave,
+      score: this.score,
+      highScore: this.highScore,
+      remaining: this.waveTotal - this.waveKilled
+    }
+  }
+}
+
+// Singleton
+export const survivalMode = new SurvivalMode()
+
+// Funções de conveniência
+export function startSurvival() {
+  survivalMode.start()
+}
+
+export function updateSurvival(delta) {
+  survivalMode.update(delta)
+}
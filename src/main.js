@@ -3,15 +3,22 @@ import { renderer } from './core/renderer.js'
 import { camera } from './core/camera.js'
 import { startLoop, stopLoop } from './core/loop.js'
 import { createStats } from './core/debug.js'
-import { player, updatePlayer, initPlayer, positionPlayerAfterWorldLoad, getPlayer } from './player/player.js'
+import { player, updatePlayer, initPlayer, positionPlayerAfterWorldLoad, getPlayer, syncPlayerPhysics, interpolatePlayer, updatePlayerRecoil } from './player/player.js'
 import { initControls, pauseControls, resumeControls, Input } from './player/controls.js'
 import { loadWorld } from './world/loader.js'
+import { initMapEntities, updateMapEntities, mapEntities } from './world/entities.js'
 import { createLights } from './core/lights.js'
 import { physicsWorld } from './physics/physics.js'
 import { createPhysicsDebug } from './physics/debug.js'
+import { buildNavMesh } from './navigation/NavMesh.js'
+import { buildCoverPoints } from './ai/cover.js'
+import { createNavMeshDebug } from './navigation/debug.js'
+import { createBehaviorTreeDebug } from './ai/debug.js'
 import { initDebugMenu } from './ui/debugMenu.js'
 import { initWeapon, updateWeapon, setNPCManagerRef } from './player/weapon.js'
-import { initNPCManager, updateNPCs, spawnMultipleNPCs, NPCManager, setNPCsTarget } from './entities/NPCManager.js'
+import { initNPCManager, updateNPCs, updateNPCVisuals, NPCManager, setNPCsTarget } from './entities/NPCManager.js'
+import { startSurvival, updateSurvival, survivalMode, SurvivalPhase } from './game/survival.js'
+import { updateProjectiles, interpolateProjectiles } from './weapons/projectiles.js'
 
 // Estado do jogo
 let gameState = 'menu' // 'menu', 'loading', 'playing', 'paused'
@@ -19,6 +26,8 @@ let gameInitialized = false
 let gameLoop = null
 let stats = null
 let physicsDebug = null
+let navMeshDebug = null
+let behaviorTreeDebug = null
 
 // Elementos DOM
 const menuOverlay = document.getElementById('menu-overlay')
@@ -60,9 +69,13 @@ class MenuSystem {
     menuOverlay.classList.add('hidden')
     gameState = 'playing'
     
-    // Resumir controles
+    // Resumir controles (com a partida encerrada, "continuar" começa outra)
     if (gameInitialized) {
-      resumeControls()
+      if (survivalMode.phase === SurvivalPhase.GAME_OVER) {
+        survivalMode.restart()
+      } else {
+        resumeControls()
+      }
     }
   }
 
@@ -133,9 +146,18 @@ class MenuSystem {
     // 6. Carregar mundo com física
     const worldData = await loadWorld()
     
-    // 6.1. Posicionar player após mundo carregado
+    // 6.0.1. Ativar entidades do mapa (spawns, triggers, pickups, luzes)
+    initMapEntities(worldData.entities)
+    
+    // 6.1. Posicionar player após mundo carregado (spawn do mapa, se houver)
     positionPlayerAfterWorldLoad()
     
+    // 6.1.1. Gerar navmesh a partir dos colliders do mapa
+    buildNavMesh(worldData.physicsObjects)
+    
+    // 6.1.2. Pontos de cobertura (autorados + bordas da navmesh)
+    buildCoverPoints(mapEntities.getCoverPoints())
+    
     // 6.2. Inicializar sistema de NPCs
     await initNPCManager()
     
@@ -145,53 +167,62 @@ class MenuSystem {
     // 6.2.2. Definir player como alvo da IA dos NPCs
     setNPCsTarget(player)
     
-    // 6.3. Spawnar inimigos com IA
-    await spawnMultipleNPCs(3, {
-      centerX: 5,
-      centerZ: 5,
-      spread: 10,
-      y: 0,
-      scale: 0.15,
-      moveSpeed: 1.2,
-      patrolRadius: 6,
-      // Configurações de IA
-      patrolSpeed: 1.5,
-      chaseSpeed: 3.0,
-      viewDistance: 12,
-      attackDistance: 1.5,
-      attackDamage: 10,
-      showDebug: false  // Mudar para true para ver cone de visão
-    })
+    // 6.2.3. NPCs autorados no mapa para nascer com ele
+    await mapEntities.spawnInitialNPCs()
+    
+    // 6.3. Modo sobrevivência (ondas de inimigos com IA)
+    startSurvival()
     
     // 7. Configurar stats e debug
     stats = createStats()
     physicsDebug = createPhysicsDebug(scene)
+    navMeshDebug = createNavMeshDebug(scene)
+    behaviorTreeDebug = createBehaviorTreeDebug()
     
     // 8. Iniciar loop principal
+    // Física, player e IA rodam com passo fixo; o resto por frame com interpolação
     gameLoop = startLoop(
-      (delta) => {
+      (delta, alpha) => {
         if (gameState !== 'playing') return
         
         stats.update()
         
-        // Atualizar física
-        physicsWorld.step(delta)
-        
-        // Atualizar debug de física
-        physicsDebug.update()
+        // Interpolar posições renderizadas entre os dois últimos passos
+        interpolatePlayer(alpha)
+        updatePlayerRecoil(delta)
+        physicsWorld.interpolate(alpha)
+        interpolateProjectiles(alpha)
+        updateNPCVisuals(delta, alpha)
         
-        // Atualizar player
-        updatePlayer(delta)
+        // Atualizar debug de física, navegação e IA
+        physicsDebug.update(delta)
+        navMeshDebug.update()
+        behaviorTreeDebug.update(delta)
         
         // Atualizar arma (verificar se está andando)
         const isMoving = Input.keys.KeyW || Input.keys.KeyS || Input.keys.KeyA || Input.keys.KeyD
         updateWeapon(delta, isMoving)
-        
-        // Atualizar NPCs
-        updateNPCs(delta)
       },
       () => {
         renderer.render(scene, camera)
+      },
+      (step) => {
+        if (gameState !== 'playing') return
+        
+        // Atualizar player (aplica input na física)
+        updatePlayer(step)
+        
+        // Atualizar NPCs, ondas do modo sobrevivência, entidades do mapa e projéteis
+        updateNPCs(step)
+        updateSurvival(step)
+        updateMapEntities(step)
+        updateProjectiles(step)
+        
+        // Atualizar física
+        physicsWorld.step(step)
+        
+        // Registrar nova posição do player
+        syncPlayerPhysics()
       }
     )
   }
@@ -0,0 +1,512 @@
+import * as THREE from 'three'
+import { physicsWorld } from '../physics/physics.js'
+import { LayerMask } from '../physics/layers.js'
+
+// Direções dos 8 vizinhos de uma célula (ortogonais primeiro)
+const NEIGHBOR_OFFSETS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [1, -1], [-1, 1], [-1, -1]
+]
+
+/**
+ * Malha de navegação para os NPCs
+ * Amostra os colliders estáticos do mapa em uma grade (com várias camadas
+ * por coluna para suportar andares), conecta as células caminháveis e
+ * responde consultas de caminho com A* + suavização
+ */
+export class NavMesh {
+  constructor(options = {}) {
+    this.config = {
+      cellSize: options.cellSize || 0.5,
+      agentHeight: options.agentHeight || 1.4,
+      maxSlope: options.maxSlope || Math.PI / 4,   // Inclinação máxima caminhável
+      maxStepHeight: options.maxStepHeight || 0.4, // Degrau máximo entre células
+      maxLayers: options.maxLayers || 4,           // Andares por coluna
+      maxCells: options.maxCells || 160000,        // Limite de colunas da grade
+      edgePenalty: options.edgePenalty || 1.5      // Custo extra perto de paredes
+    }
+
+    // Nós caminháveis: { id, x, y, z, ix, iz, isEdge, neighbors: [{ node, cost }] }
+    this.nodes = []
+    // Colunas da grade: "ix,iz" -> [nós]
+    this.columns = new Map()
+
+    this.bounds = new THREE.Box3()
+    this.cellSize = this.config.cellSize
+    this.isBuilt = false
+
+    // Buffers reutilizados pelo A*
+    this._g = null
+    this._f = null
+    this._parent = null
+    this._visited = null
+    this._closed = null
+    this._searchId = 0
+  }
+
+  /**
+   * Constrói a malha a partir dos objetos com física do mapa
+   * (retorno de physicsWorld.createPhysicsFromGLB)
+   */
+  build(physicsObjects) {
+    if (!physicsWorld.world || !physicsObjects || physicsObjects.length === 0) {
+      return false
+    }
+
+    this.clear()
+
+    // Limites do mundo caminhável
+    for (const { mesh } of physicsObjects) {
+      this.bounds.expandByObject(mesh)
+    }
+
+    if (this.bounds.isEmpty()) return false
+
+    // Ajustar tamanho da célula para não exceder o limite de colunas
+    const size = this.bounds.getSize(new THREE.Vector3())
+    this.cellSize = this.config.cellSize
+    while ((size.x / this.cellSize) * (size.z / this.cellSize) > this.config.maxCells) {
+      this.cellSize *= 1.5
+    }
+
+    this.width = Math.ceil(size.x / this.cellSize)
+    this.depth = Math.ceil(size.z / this.cellSize)
+
+    // Colliders recém-criados ainda não estão nas consultas de raycast
+    physicsWorld.updateSceneQueries()
+
+    for (let ix = 0; ix < this.width; ix++) {
+      for (let iz = 0; iz < this.depth; iz++) {
+        this.sampleColumn(ix, iz)
+      }
+    }
+
+    this.connectNodes()
+
+    const count = this.nodes.length
+    this._g = new Float32Array(count)
+    this._f = new Float32Array(count)
+    this._parent = new Int32Array(count)
+    this._visited = new Uint32Array(count)
+    this._closed = new Uint32Array(count)
+    this._searchId = 0
+
+    this.isBuilt = count > 0
+
+    return this.isBuilt
+  }
+
+  /**
+   * Amostra uma coluna da grade com raycasts para baixo, criando um nó
+   * para cada superfície caminhável com espaço livre acima
+   */
+  sampleColumn(ix, iz) {
+    const x = this.bounds.min.x + (ix + 0.5) * this.cellSize
+    const z = this.bounds.min.z + (iz + 0.5) * this.cellSize
+    const minNormalY = Math.cos(this.config.maxSlope)
+
+    const down = { x: 0, y: -1, z: 0 }
+    const up = { x: 0, y: 1, z: 0 }
+    let originY = this.bounds.max.y + 1
+
+    for (let layer = 0; layer < this.config.maxLayers; layer++) {
+      const maxDistance = originY - this.bounds.min.y + 1
+      if (maxDistance <= 0) break
+
+      // solid = false: raios que começam dentro de um sólido saem por baixo dele
+      const hit = physicsWorld.castRayWithNormal({ x, y: originY, z }, down, maxDistance, false, { mask: LayerMask.WORLD })
+      if (!hit) break
+
+      const groundY = hit.point.y
+
+      if (hit.normal && hit.normal.y >= minNormalY) {
+        // Verificar se há espaço para o agente em pé
+        const ceiling = physicsWorld.castRay(
+          { x, y: groundY + 0.05, z },
+          up,
+          this.config.agentHeight,
+          true,
+          { mask: LayerMask.WORLD }
+        )
+
+        if (!ceiling) {
+          this.addNode(ix, iz, x, groundY, z)
+        }
+      }
+
+      originY = groundY - 0.1
+    }
+  }
+
+  /**
+   * Adiciona um nó caminhável à grade
+   */
+  addNode(ix, iz, x, y, z) {
+    const node = {
+      id: this.nodes.length,
+      x, y, z,
+      ix, iz,
+      isEdge: false,
+      neighbors: []
+    }
+
+    this.nodes.push(node)
+
+    const key = `${ix},${iz}`
+    let column = this.columns.get(key)
+    if (!column) {
+      column = []
+      this.columns.set(key, column)
+    }
+    column.push(node)
+
+    return node
+  }
+
+  /**
+   * Conecta nós vizinhos que estão a uma altura de degrau e sem parede entre eles
+   */
+  connectNodes() {
+    for (const node of this.nodes) {
+      for (const [dx, dz] of NEIGHBOR_OFFSETS) {
+        const neighbor = this.findConnectable(node, dx, dz)
+
+        if (!neighbor) continue
+
+        // Diagonais só se as duas ortogonais também forem passáveis (não cortar quinas)
+        if (dx !== 0 && dz !== 0) {
+          if (!this.findConnectable(node, dx, 0) || !this.findConnectable(node, 0, dz)) {
+            continue
+          }
+        }
+
+        const cost = Math.hypot(neighbor.x - node.x, neighbor.y - node.y, neighbor.z - node.z)
+        node.neighbors.push({ node: neighbor, cost })
+      }
+    }
+
+    // Nós sem todos os vizinhos ficam perto de paredes/bordas
+    for (const node of this.nodes) {
+      node.isEdge = node.neighbors.length < NEIGHBOR_OFFSETS.length
+    }
+  }
+
+  /**
+   * Retorna o nó da célula vizinha alcançável a partir de node (ou null)
+   */
+  findConnectable(node, dx, dz) {
+    const column = this.columns.get(`${node.ix + dx},${node.iz + dz}`)
+    if (!column) return null
+
+    for (const candidate of column) {
+      if (Math.abs(candidate.y - node.y) > this.config.maxStepHeight) continue
+
+      // Raio na altura do joelho para detectar paredes entre as células
+      const kneeY = Math.max(node.y, candidate.y) + this.config.maxStepHeight + 0.1
+      const dirX = candidate.x - node.x
+      const dirZ = candidate.z - node.z
+      const length = Math.hypot(dirX, dirZ)
+
+      const wall = physicsWorld.castRay(
+        { x: node.x, y: kneeY, z: node.z },
+        { x: dirX / length, y: 0, z: dirZ / length },
+        length,
+        true,
+        { mask: LayerMask.WORLD }
+      )
+
+      if (!wall) return candidate
+    }
+
+    return null
+  }
+
+  /**
+   * Encontra o nó mais próximo de uma posição do mundo
+   */
+  getNearestNode(position, searchRadius = 3) {
+    if (!this.isBuilt) return null
+
+    const cx = Math.floor((position.x - this.bounds.min.x) / this.cellSize)
+    const cz = Math.floor((position.z - this.bounds.min.z) / this.cellSize)
+
+    let best = null
+    let bestScore = Infinity
+
+    // Procurar em anéis crescentes ao redor da célula
+    for (let radius = 0; radius <= searchRadius; radius++) {
+      for (let ix = cx - radius; ix <= cx + radius; ix++) {
+        for (let iz = cz - radius; iz <= cz + radius; iz++) {
+          if (Math.max(Math.abs(ix - cx), Math.abs(iz - cz)) !== radius) continue
+
+          const column = this.columns.get(`${ix},${iz}`)
+          if (!column) continue
+
+          for (const node of column) {
+            // Penalizar diferença de altura mais que distância horizontal
+            const dy = Math.abs(node.y - position.y)
+            const score = Math.hypot(node.x - position.x, node.z - position.z) + dy * 2
+            if (score < bestScore) {
+              bestScore = score
+              best = node
+            }
+          }
+        }
+      }
+
+      if (best) return best
+    }
+
+    return null
+  }
+
+  /**
+   * Calcula um caminho entre duas posições
+   * Retorna lista de waypoints (Vector3) sem a posição inicial, ou null se não houver caminho
+   */
+  findPath(start, end) {
+    const startNode = this.getNearestNode(start)
+    const endNode = this.getNearestNode(end)
+
+    if (!startNode || !endNode) return null
+
+    if (startNode === endNode) {
+      return [new THREE.Vector3().copy(end)]
+    }
+
+    const nodePath = this.aStar(startNode, endNode)
+    if (!nodePath) return null
+
+    const smoothed = this.smoothPath(nodePath)
+
+    // Converter para Vector3 (ignorando o nó inicial) e terminar no destino exato
+    const path = smoothed.slice(1).map(node => new THREE.Vector3(node.x, node.y, node.z))
+    path[path.length - 1].set(end.x, path[path.length - 1].y, end.z)
+
+    return path
+  }
+
+  /**
+   * Busca A* entre dois nós
+   */
+  aStar(startNode, endNode) {
+    this._searchId++
+    const searchId = this._searchId
+
+    const g = this._g
+    const f = this._f
+    const parent = this._parent
+    const visited = this._visited
+    const closed = this._closed
+
+    const heuristic = (node) => Math.hypot(node.x - endNode.x, node.y - endNode.y, node.z - endNode.z)
+
+    // Entradas guardam o f do momento do push: ao melhorar um nó entra uma
+    // cópia nova e a antiga (com f maior) é descartada ao sair
+    const open = new BinaryHeap((entry) => entry.f)
+
+    g[startNode.id] = 0
+    f[startNode.id] = heuristic(startNode)
+    parent[startNode.id] = -1
+    visited[startNode.id] = searchId
+    open.push({ id: startNode.id, f: f[startNode.id] })
+
+    while (open.size() > 0) {
+      const entry = open.pop()
+      const currentId = entry.id
+
+      if (closed[currentId] === searchId || entry.f > f[currentId]) continue
+      closed[currentId] = searchId
+
+      if (currentId === endNode.id) {
+        return this.reconstructPath(endNode.id)
+      }
+
+      const current = this.nodes[currentId]
+
+      for (const { node: neighbor, cost } of current.neighbors) {
+        if (closed[neighbor.id] === searchId) continue
+
+        const penalty = neighbor.isEdge ? this.config.edgePenalty : 1
+        const tentativeG = g[currentId] + cost * penalty
+
+        if (visited[neighbor.id] !== searchId || tentativeG < g[neighbor.id]) {
+          visited[neighbor.id] = searchId
+          g[neighbor.id] = tentativeG
+          f[neighbor.id] = tentativeG + heuristic(neighbor)
+          parent[neighbor.id] = currentId
+          open.push({ id: neighbor.id, f: f[neighbor.id] })
+        }
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Reconstrói a lista de nós a partir dos pais do A*
+   */
+  reconstructPath(endId) {
+    const path = []
+    let id = endId
+
+    while (id !== -1) {
+      path.push(this.nodes[id])
+      id = this._parent[id]
+    }
+
+    return path.reverse()
+  }
+
+  /**
+   * Suaviza o caminho removendo nós intermediários quando há linha reta caminhável
+   */
+  smoothPath(nodePath) {
+    if (nodePath.length <= 2) return nodePath
+
+    const result = [nodePath[0]]
+    let anchor = 0
+
+    while (anchor < nodePath.length - 1) {
+      let next = anchor + 1
+
+      // Avançar o máximo possível em linha reta
+      for (let i = nodePath.length - 1; i > anchor + 1; i--) {
+        if (this.isWalkableSegment(nodePath[anchor], nodePath[i])) {
+          next = i
+          break
+        }
+      }
+
+      result.push(nodePath[next])
+      anchor = next
+    }
+
+    return result
+  }
+
+  /**
+   * Verifica se é possível andar em linha reta entre dois nós
+   * (amostrando o segmento e exigindo células conectadas)
+   */
+  isWalkableSegment(fromNode, toNode) {
+    const dx = toNode.x - fromNode.x
+    const dz = toNode.z - fromNode.z
+    const length = Math.hypot(dx, dz)
+    const steps = Math.ceil(length / (this.cellSize * 0.5))
+
+    let previous = fromNode
+
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps
+      const x = fromNode.x + dx * t
+      const z = fromNode.z + dz * t
+
+      const ix = Math.floor((x - this.bounds.min.x) / this.cellSize)
+      const iz = Math.floor((z - this.bounds.min.z) / this.cellSize)
+
+      if (ix === previous.ix && iz === previous.iz) continue
+
+      const column = this.columns.get(`${ix},${iz}`)
+      if (!column) return false
+
+      const node = column.find(candidate =>
+        previous.neighbors.some(link => link.node === candidate)
+      )
+
+      // Evitar cortar caminho rente às paredes
+      if (!node || node.isEdge) return false
+
+      previous = node
+    }
+
+    return true
+  }
+
+  /**
+   * Limpa a malha
+   */
+  clear() {
+    this.nodes = []
+    this.columns.clear()
+    this.bounds.makeEmpty()
+    this.isBuilt = false
+  }
+}
+
+/**
+ * Fila de prioridade mínima (heap binário) usada pelo A*
+ */
+class BinaryHeap {
+  constructor(scoreFn) {
+    this.items = []
+    this.scoreFn = scoreFn
+  }
+
+  size() {
+    return this.items.length
+  }
+
+  push(item) {
+    const items = this.items
+    items.push(item)
+
+    let index = items.length - 1
+    const score = this.scoreFn(item)
+
+    while (index > 0) {
+      const parentIndex = (index - 1) >> 1
+      if (this.scoreFn(items[parentIndex]) <= score) break
+      items[index] = items[parentIndex]
+      index = parentIndex
+    }
+
+    items[index] = item
+  }
+
+  pop() {
+    const items = this.items
+    const top = items[0]
+    const last = items.pop()
+
+    if (items.length > 0) {
+      let index = 0
+      const length = items.length
+      const score = this.scoreFn(last)
+
+      while (true) {
+        const left = index * 2 + 1
+        const right = left + 1
+        let smallest = index
+        let smallestScore = score
+
+        if (left < length && this.scoreFn(items[left]) < smallestScore) {
+          smallest = left
+          smallestScore = this.scoreFn(items[left])
+        }
+        if (right < length && this.scoreFn(items[right]) < smallestScore) {
+          smallest = right
+        }
+        if (smallest === index) break
+
+        items[index] = items[smallest]
+        index = smallest
+      }
+
+      items[index] = last
+    }
+
+    return top
+  }
+}
+
+// Instância global da malha de navegação
+export const navMesh = new NavMesh()
+
+export function buildNavMesh(physicsObjects) {
+  return navMesh.build(physicsObjects)
+}
+
+export function findPath(start, end) {
+  return navMesh.findPath(start, end)
+}
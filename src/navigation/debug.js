@@ -0,0 +1,153 @@
+import * as THREE from 'three'
+import { navMesh } from './NavMesh.js'
+import { NPCManager } from '../entities/NPCManager.js'
+
+// Altura das linhas acima do chão (evita z-fighting)
+const LINE_OFFSET = 0.05
+
+class NavMeshDebug {
+  constructor(scene) {
+    this.scene = scene
+    this.enabled = false
+
+    // Arestas da navmesh (estáticas, criadas ao habilitar)
+    this.meshLines = null
+    this.meshMaterial = new THREE.LineBasicMaterial({
+      color: 0x00ccff,
+      transparent: true,
+      opacity: 0.35
+    })
+
+    // Caminhos dos NPCs (atualizados a cada frame)
+    this.pathLines = null
+    this.pathMaterial = new THREE.LineBasicMaterial({ color: 0xff00ff })
+    this.maxPathSegments = 1024
+  }
+
+  enable() {
+    this.enabled = true
+    this.createMeshLines()
+    this.createPathLines()
+  }
+
+  disable() {
+    this.enabled = false
+    this.clear()
+  }
+
+  toggle() {
+    if (this.enabled) {
+      this.disable()
+    } else {
+      this.enable()
+    }
+  }
+
+  createMeshLines() {
+    if (!navMesh.isBuilt) return
+
+    const vertices = []
+
+    // Cada conexão é desenhada uma vez (do nó de menor id)
+    for (const node of navMesh.nodes) {
+      for (const { node: neighbor } of node.neighbors) {
+        if (neighbor.id < node.id) continue
+
+        vertices.push(
+          node.x, node.y + LINE_OFFSET, node.z,
+          neighbor.x, neighbor.y + LINE_OFFSET, neighbor.z
+        )
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3))
+
+    this.meshLines = new THREE.LineSegments(geometry, this.meshMaterial)
+    this.meshLines.name = 'NavMeshDebug'
+    this.scene.add(this.meshLines)
+  }
+
+  createPathLines() {
+    const geometry = new THREE.BufferGeometry()
+    const positions = new Float32Array(this.maxPathSegments * 2 * 3)
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage))
+    geometry.setDrawRange(0, 0)
+
+    this.pathLines = new THREE.LineSegments(geometry, this.pathMaterial)
+    this.pathLines.name = 'NavPathDebug'
+    this.pathLines.frustumCulled = false
+    this.scene.add(this.pathLines)
+  }
+
+  clear() {
+    for (const lines of [this.meshLines, this.pathLines]) {
+      if (lines) {
+        this.scene.remove(lines)
+        lines.geometry.dispose()
+      }
+    }
+    this.meshLines = null
+    this.pathLines = null
+  }
+
+  update() {
+    if (!this.enabled || !this.pathLines) return
+
+    // Navmesh construída depois de habilitar o debug
+    if (!this.meshLines && navMesh.isBuilt) {
+      this.createMeshLines()
+    }
+
+    const attribute = this.pathLines.geometry.attributes.position
+    const positions = attribute.array
+    let segment = 0
+
+    const pushSegment = (a, b) => {
+      if (segment >= this.maxPathSegments) return
+      const i = segment * 6
+      positions[i] = a.x
+      positions[i + 1] = a.y + LINE_OFFSET * 2
+      positions[i + 2] = a.z
+      positions[i + 3] = b.x
+      positions[i + 4] = b.y + LINE_OFFSET * 2
+      positions[i + 5] = b.z
+      segment++
+    }
+
+    // Caminho restante de cada NPC vivo: posição atual → waypoints
+    for (const npc of NPCManager.npcs) {
+      const { path, pathIndex } = npc.navigation
+      if (!npc.isAlive || !path) continue
+
+      let previous = npc.position
+      for (let i = pathIndex; i < path.length; i++) {
+        pushSegment(previous, path[i])
+        previous = path[i]
+      }
+    }
+
+    this.pathLines.geometry.setDrawRange(0, segment * 2)
+    attribute.needsUpdate = true
+  }
+}
+
+let navMeshDebug = null
+
+export function createNavMeshDebug(scene) {
+  navMeshDebug = new NavMeshDebug(scene)
+
+  // Adicionar controle por teclado (F2 para toggle)
+  window.addEventListener('keydown', (event) => {
+    if (event.code === 'F2') {
+      event.preventDefault()
+      navMeshDebug.toggle()
+    }
+  })
+
+  return navMeshDebug
+}
+
+export function getNavMeshDebug() {
+  return navMeshDebug
+}
@@ -0,0 +1,117 @@
+/**
+ * Autoria de colisão no GLB do mapa
+ *
+ * - Malhas com prefixo UCX_ (convexa) ou COL_ (trimesh) são só colisão:
+ *   ficam invisíveis e, se o nome apontar para uma malha de render
+ *   (UCX_Caixa_01 → Caixa), essa malha deixa de gerar collider próprio
+ * - extras.collider escolhe o tipo: box, convex, trimesh ou none
+ *   (vale também quando definido em um nó pai, ex: uma coleção "Decor")
+ * - extras.physicsMaterial escolhe o material; friction/restitution/penetration
+ *   nas extras sobrescrevem os valores do material
+ */
+
+/**
+ * Tipos de collider estático
+ */
+export const ColliderType = {
+  BOX: 'box',
+  CONVEX: 'convex',
+  TRIMESH: 'trimesh',
+  NONE: 'none'
+}
+
+/**
+ * Materiais físicos (atrito, elasticidade e resistência a tiros)
+ * penetration: quanto cada metro do material consome do poder de
+ * penetração da arma (0 = não pode ser atravessado)
+ */
+export const PhysicsMaterials = {
+  default: { friction: 0.8, restitution: 0.0, penetration: 1.5 },
+  concrete: { friction: 0.9, restitution: 0.0, penetration: 3.0 },
+  wood: { friction: 0.6, restitution: 0.05, penetration: 1.0 },
+  metal: { friction: 0.4, restitution: 0.05, penetration: 2.5 },
+  ice: { friction: 0.05, restitution: 0.0, penetration: 1.0 },
+  rubber: { friction: 1.0, restitution: 0.6, penetration: 1.0 }
+}
+
+// Prefixos de malhas só de colisão e o tipo padrão de cada um
+const COLLISION_PREFIXES = [
+  { prefix: 'ucx_', type: ColliderType.CONVEX },
+  { prefix: 'col_', type: ColliderType.TRIMESH }
+]
+
+/**
+ * Prefixo de colisão do nome (ou null se for uma malha de render)
+ */
+export function getCollisionPrefix(name) {
+  const lower = name.toLowerCase()
+  return COLLISION_PREFIXES.find(rule => lower.startsWith(rule.prefix)) || null
+}
+
+/**
+ * Nome da malha de render coberta por uma malha de colisão
+ * "UCX_Caixa_01" → "Caixa"
+ */
+export function getCollisionTarget(name) {
+  const rule = getCollisionPrefix(name)
+  if (!rule) return null
+
+  return name.slice(rule.prefix.length).replace(/_\d+$/, '')
+}
+
+/**
+ * Procura um valor das extras na malha ou nos nós acima dela
+ */
+export function getAuthoredExtra(object, key) {
+  let current = object
+  while (current && !current.isScene) {
+    if (current.userData[key] !== undefined) {
+      return current.userData[key]
+    }
+    current = current.parent
+  }
+  return undefined
+}
+
+/**
+ * Tipo de collider declarado nas extras (ou null se não houver)
+ */
+export function getAuthoredColliderType(object) {
+  const value = getAuthoredExtra(object, 'collider')
+  if (value === undefined) return null
+
+  // Propriedades booleanas do Blender: false/0 = sem collider
+  if (value === false || value === 0) return ColliderType.NONE
+
+  const type = String(value).toLowerCase()
+  if (!Object.values(ColliderType).includes(type)) {
+    console.warn(`⚠️ Tipo de collider desconhecido "${value}" em ${object.name}, usando trimesh`)
+    return ColliderType.TRIMESH
+  }
+
+  return type
+}
+
+/**
+ * Material físico da malha (nome + atrito + elasticidade + penetração)
+ */
+export function resolvePhysicsMaterial(object) {
+  let name = getAuthoredExtra(object, 'physicsMaterial') || 'default'
+
+  if (!PhysicsMaterials[name]) {
+    console.warn(`⚠️ Material físico desconhecido "${name}" em ${object.name}, usando "default"`)
+    name = 'default'
+  }
+
+  const base = PhysicsMaterials[name]
+  const friction = getAuthoredExtra(object, 'friction')
+  const restitution = getAuthoredExtra(object, 'restitution')
+  const penetration = getAuthoredExtra(object, 'penetration')
+
+  return {
+    name,
+    friction: friction ?? base.friction,
+    restitution: restitution ?? base.restitution,
+    penetration: penetration ?? base.penetration
+  }
+}
@@ -1,27 +1,75 @@
 import * as THREE from 'three'
 import { physicsWorld } from '../physics/physics.js'
+import { CollisionLayer, LayerColor } from '../physics/layers.js'
 
+// Cor de colliders fora da tabela de camadas
+const DEFAULT_COLOR = 0xffffff
+
+// Contatos e raycasts
+const CONTACT_COLOR = 0xffff00
+const CONTACT_SIZE = 0.05
+const NORMAL_LENGTH = 0.3
+const RAY_CLEAR_COLOR = 0x44ff44
+const RAY_HIT_COLOR = 0xff4444
+const HIT_MARK_SIZE = 0.08
+
+// Tempo (segundos) que cada tipo de raio fica na tela
+const RAY_LIFETIME = {
+  weapon: 1.0,
+  npc: 0
+}
+
+// Limite de segmentos das sobreposições (contatos + raios)
+const MAX_OVERLAY_SEGMENTS = 8192
+
+// Reutilizados na montagem dos buffers
+const _color = new THREE.Color()
+const _end = new THREE.Vector3()
+
+/**
+ * Debug da física a partir do world.debugRender() do Rapier
+ * Colliders fixos são desenhados uma vez (refeitos quando mudam); corpos
+ * cinemáticos e dinâmicos, contatos e raios são atualizados a cada frame
+ */
 class PhysicsDebug {
   constructor(scene) {
     this.scene = scene
-    this.debugObjects = []
     this.enabled = false
-    this.material = new THREE.MeshBasicMaterial({ 
-      color: 0x00ff00, 
-      transparent: true, 
-      opacity: 0.3,
-      wireframe: true 
+
+    // O que desenhar
+    this.filters = {
+      fixed: true,
+      kinematic: true,
+      dynamic: true,
+      sensors: true,
+      contacts: true,
+      rays: true
+    }
+
+    this.material = new THREE.LineBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      opacity: 0.8
     })
+
+    this.staticLines = null
+    this.staticColliderCount = -1
+
+    this.dynamicLines = null
+    this.overlayLines = null
+
+    // Raios registrados por debugRay: { origin, end, hit, timer }
+    this.rays = []
   }
 
   enable() {
     this.enabled = true
-    this.createDebugObjects()
+    this.staticColliderCount = -1
   }
 
   disable() {
     this.enabled = false
-    this.clearDebugObjects()
+    this.clear()
   }
 
   toggle() {
@@ -32,85 +80,293 @@ class PhysicsDebug {
     }
   }
 
-  createDebugObjects() {
-    if (!physicsWorld.world) return
+  /**
+   * Liga/desliga uma categoria (fixed, kinematic, dynamic, sensors, contacts, rays)
+   */
+  toggleFilter(name) {
+    if (!(name in this.filters)) return
+
+    this.filters[name] = !this.filters[name]
+
+    // Fixos e sensores entram no buffer estático
+    this.staticColliderCount = -1
+  }
+
+  // ========== COLLIDERS ==========
+
+  /**
+   * Categoria do collider para os filtros
+   */
+  getBodyType(collider) {
+    const body = collider.parent()
+    // Hitboxes não têm corpo, mas seguem os ossos: redesenhar com os cinemáticos
+    if (!body && (collider.collisionGroups() >>> 16) & CollisionLayer.HITBOX) return 'kinematic'
+    if (!body || body.isFixed()) return 'fixed'
+    return body.isKinematic() ? 'kinematic' : 'dynamic'
+  }
+
+  isVisible(collider, fixed) {
+    if (collider.isSensor() && !this.filters.sensors) return false
+
+    const type = this.getBodyType(collider)
+    if ((type === 'fixed') !== fixed) return false
+
+    return this.filters[type]
+  }
+
+  /**
+   * Desenha os colliders aceitos, uma chamada de debugRender por grupo de colisão
+   * O predicado (2º argumento) limita cada chamada aos colliders do grupo:
+   * o trimesh do mapa só entra no buffer estático e uma vez
+   */
+  renderColliders(fixed) {
+    const world = physicsWorld.world
+    const groups = new Map()
 
-    // Limpar objetos de debug existentes
-    this.clearDebugObjects()
+    world.forEachCollider((collider) => {
+      if (!this.isVisible(collider, fixed)) return
 
-    // Criar representações visuais dos colliders
-    physicsWorld.colliders.forEach((collider, mesh) => {
-      const debugMesh = this.createDebugMesh(collider)
-      if (debugMesh) {
-        this.scene.add(debugMesh)
-        this.debugObjects.push(debugMesh)
+      const key = collider.collisionGroups() >>> 16
+      if (!groups.has(key)) {
+        groups.set(key, new Set())
       }
+      groups.get(key).add(collider.handle)
     })
+
+    const chunks = []
+    for (const [key, handles] of groups) {
+      const buffers = world.debugRender(undefined, collider => handles.has(collider.handle))
+      chunks.push({ vertices: buffers.vertices, color: getGroupColor(key) })
+    }
+
+    return chunks
   }
 
-  createDebugMesh(collider) {
-    const shape = collider.shape
-    let geometry = null
+  updateStaticLines() {
+    let count = 0
+    physicsWorld.world.forEachCollider((collider) => {
+      if (this.getBodyType(collider) === 'fixed') count++
+    })
+
+    if (count === this.staticColliderCount) return
+    this.staticColliderCount = count
+
+    // Recriar do zero: o buffer estático pode ser bem grande (trimesh do mapa)
+    this.removeLines(this.staticLines)
+    this.staticLines = createLines('PhysicsDebugStatic', this.renderColliders(true), this.material)
+    this.scene.add(this.staticLines)
+  }
+
+  updateDynamicLines() {
+    if (!this.dynamicLines) {
+      this.dynamicLines = createLines('PhysicsDebugDynamic', [], this.material)
+      this.scene.add(this.dynamicLines)
+    }
 
-    switch (shape.type) {
-      case 'Cuboid':
-        const halfExtents = shape.halfExtents
-        geometry = new THREE.BoxGeometry(
-          halfExtents.x * 2,
-          halfExtents.y * 2,
-          halfExtents.z * 2
+    writeChunks(this.dynamicLines, this.renderColliders(false))
+  }
+
+  // ========== CONTATOS E RAIOS ==========
+
+  updateOverlay(delta) {
+    if (!this.overlayLines) {
+      const geometry = new THREE.BufferGeometry()
+      geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_OVERLAY_SEGMENTS * 6), 3).setUsage(THREE.DynamicDrawUsage))
+      geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(MAX_OVERLAY_SEGMENTS * 8), 4).setUsage(THREE.DynamicDrawUsage))
+
+      this.overlayLines = new THREE.LineSegments(geometry, this.material)
+      this.overlayLines.name = 'PhysicsDebugOverlay'
+      this.overlayLines.frustumCulled = false
+      this.overlayLines.renderOrder = 1
+      this.scene.add(this.overlayLines)
+    }
+
+    const geometry = this.overlayLines.geometry
+    const positions = geometry.attributes.position.array
+    const colors = geometry.attributes.color.array
+    let segment = 0
+
+    const pushSegment = (ax, ay, az, bx, by, bz, color) => {
+      if (segment >= MAX_OVERLAY_SEGMENTS) return
+      positions.set([ax, ay, az, bx, by, bz], segment * 6)
+      _color.setHex(color)
+      colors.set([_color.r, _color.g, _color.b, 1, _color.r, _color.g, _color.b, 1], segment * 8)
+      segment++
+    }
+
+    const pushCross = (point, size, color) => {
+      pushSegment(point.x - size, point.y, point.z, point.x + size, point.y, point.z, color)
+      pushSegment(point.x, point.y - size, point.z, point.x, point.y + size, point.z, color)
+      pushSegment(point.x, point.y, point.z - size, point.x, point.y, point.z + size, color)
+    }
+
+    if (this.filters.contacts) {
+      this.forEachContact((point, normal) => {
+        pushCross(point, CONTACT_SIZE, CONTACT_COLOR)
+        pushSegment(
+          point.x, point.y, point.z,
+          point.x + normal.x * NORMAL_LENGTH, point.y + normal.y * NORMAL_LENGTH, point.z + normal.z * NORMAL_LENGTH,
+          CONTACT_COLOR
         )
-        break
-        
-      case 'Ball':
-        const radius = shape.radius
-        geometry = new THREE.SphereGeometry(radius, 8, 6)
-        break
-        
-      case 'Capsule':
-        const capsuleRadius = shape.radius
-        const capsuleHeight = shape.halfHeight * 2
-        geometry = new THREE.CapsuleGeometry(capsuleRadius, capsuleHeight, 4, 8)
-        break
+      })
     }
 
-    if (geometry) {
-      const debugMesh = new THREE.Mesh(geometry, this.material)
-      
-      // Posicionar o debug mesh
-      const translation = collider.translation()
-      const rotation = collider.rotation()
-      
-      debugMesh.position.set(translation.x, translation.y, translation.z)
-      debugMesh.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w)
-      
-      return debugMesh
+    for (let i = this.rays.length - 1; i >= 0; i--) {
+      const ray = this.rays[i]
+      const { origin, end, hit } = ray
+
+      if (this.filters.rays) {
+        pushSegment(origin.x, origin.y, origin.z, end.x, end.y, end.z, hit ? RAY_HIT_COLOR : RAY_CLEAR_COLOR)
+        if (hit) pushCross(end, HIT_MARK_SIZE, RAY_HIT_COLOR)
+      }
+
+      // Raios de vida zero ficam um frame
+      ray.timer -= delta
+      if (ray.timer <= 0) {
+        this.rays.splice(i, 1)
+      }
     }
 
-    return null
+    geometry.setDrawRange(0, segment * 2)
+    geometry.attributes.position.needsUpdate = true
+    geometry.attributes.color.needsUpdate = true
   }
 
-  clearDebugObjects() {
-    this.debugObjects.forEach(obj => {
-      this.scene.remove(obj)
-      obj.geometry?.dispose()
+  /**
+   * Percorre os pontos de contato (e normais) dos corpos não fixos
+   */
+  forEachContact(callback) {
+    const world = physicsWorld.world
+
+    world.forEachCollider((collider) => {
+      if (this.getBodyType(collider) === 'fixed') return
+
+      world.contactPairsWith(collider, (other) => {
+        // Par entre dois corpos não fixos aparece duas vezes: desenhar uma
+        if (this.getBodyType(other) !== 'fixed' && other.handle < collider.handle) return
+
+        world.contactPair(collider, other, (manifold, flipped) => {
+          const normal = manifold.normal()
+          const sign = flipped ? -1 : 1
+          const direction = { x: normal.x * sign, y: normal.y * sign, z: normal.z * sign }
+
+          for (let i = 0; i < manifold.numSolverContacts(); i++) {
+            callback(manifold.solverContactPoint(i), direction)
+          }
+        })
+      })
     })
-    this.debugObjects = []
   }
 
-  update() {
-    if (!this.enabled) return
+  /**
+   * Registra um raycast para desenhar (ver debugRay)
+   */
+  addRay(source, origin, direction, distance, hitDistance) {
+    const hit = hitDistance !== null && hitDistance !== undefined
+    const length = hit ? hitDistance : distance
 
-    // Atualizar posições dos objetos de debug se necessário
-    // (Para objetos dinâmicos)
+    _end.set(direction.x, direction.y, direction.z).multiplyScalar(length).add(origin)
+
+    this.rays.push({
+      origin: new THREE.Vector3(origin.x, origin.y, origin.z),
+      end: _end.clone(),
+      hit,
+      timer: RAY_LIFETIME[source] ?? 0
+    })
   }
+
+  // ========== ATUALIZAÇÃO ==========
+
+  update(delta = 0) {
+    if (!this.enabled || !physicsWorld.world) return
+
+    this.updateStaticLines()
+    this.updateDynamicLines()
+    this.updateOverlay(delta)
+  }
+
+  removeLines(lines) {
+    if (!lines) return
+    this.scene.remove(lines)
+    lines.geometry.dispose()
+  }
+
+  clear() {
+    this.removeLines(this.staticLines)
+    this.removeLines(this.dynamicLines)
+    this.removeLines(this.overlayLines)
+    this.staticLines = null
+    this.dynamicLines = null
+    this.overlayLines = null
+    this.staticColliderCount = -1
+    this.rays = []
+  }
+}
+
+/**
+ * Cor da camada de colisão (pelo bit de membership mais baixo)
+ */
+function getGroupColor(membership) {
+  return LayerColor[membership & -membership] ?? DEFAULT_COLOR
+}
+
+/**
+ * Cria um LineSegments com cor por vértice a partir dos buffers do debugRender
+ */
+function createLines(name, chunks, material) {
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(0), 3))
+  geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(0), 4))
+
+  const lines = new THREE.LineSegments(geometry, material)
+  lines.name = name
+  lines.frustumCulled = false
+
+  writeChunks(lines, chunks)
+  return lines
+}
+
+/**
+ * Copia os vértices para o buffer das linhas (cresce quando não cabe)
+ */
+function writeChunks(lines, chunks) {
+  const geometry = lines.geometry
+  const total = chunks.reduce((sum, chunk) => sum + chunk.vertices.length, 0)
+
+  if (geometry.attributes.position.array.length < total) {
+    const capacity = Math.max(total, geometry.attributes.position.array.length * 2)
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity), 3).setUsage(THREE.DynamicDrawUsage))
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity / 3 * 4), 4).setUsage(THREE.DynamicDrawUsage))
+  }
+
+  const positions = geometry.attributes.position.array
+  const colors = geometry.attributes.color.array
+  let offset = 0
+
+  for (const { vertices, color } of chunks) {
+    positions.set(vertices, offset)
+
+    _color.setHex(color)
+    for (let i = offset / 3; i < (offset + vertices.length) / 3; i++) {
+      colors[i * 4] = _color.r
+      colors[i * 4 + 1] = _color.g
+      colors[i * 4 + 2] = _color.b
+      colors[i * 4 + 3] = 1
+    }
+
+    offset += vertices.length
+  }
+
+  geometry.setDrawRange(0, offset / 3)
+  geometry.attributes.position.needsUpdate = true
+  geometry.attributes.color.needsUpdate = true
 }
 
 let physicsDebug = null
 
 export function createPhysicsDebug(scene) {
   physicsDebug = new PhysicsDebug(scene)
-  
+
   // Adicionar controle por teclado (F1 para toggle)
   window.addEventListener('keydown', (event) => {
     if (event.code === 'F1') {
@@ -118,10 +374,20 @@ export function createPhysicsDebug(scene) {
       physicsDebug.toggle()
     }
   })
-  
+
   return physicsDebug
 }
 
 export function getPhysicsDebug() {
   return physicsDebug
-}
\ No newline at end of file
+}
+
+/**
+ * Registra um raycast de gameplay para o debug (só com o F1 ligado)
+ * source: 'weapon' ou 'npc' (define quanto tempo o raio fica na tela)
+ * hitDistance: distância do acerto, ou null se o raio não acertou nada
+ */
+export function debugRay(source, origin, direction, distance, hitDistance = null) {
+  if (!physicsDebug || !physicsDebug.enabled) return
+  physicsDebug.addRay(source, origin, direction, distance, hitDistance)
+}
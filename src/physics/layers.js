@@ -0,0 +1,106 @@
+/**
+ * Camadas de colisão
+ * Cada collider pertence a uma camada e só interage com as camadas listadas
+ * em COLLIDES_WITH (a tabela é espelhada: basta listar o par de um dos lados).
+ * No Rapier isso vira o InteractionGroups: membership nos 16 bits altos e
+ * filtro nos 16 bits baixos.
+ */
+export const CollisionLayer = {
+  WORLD: 1 << 0,      // Mapa e cenário estático
+  PLAYER: 1 << 1,
+  NPC: 1 << 2,
+  PROJECTILE: 1 << 3,
+  TRIGGER: 1 << 4,    // Sensores de gatilhos do mapa
+  DEBRIS: 1 << 5,     // Objetos dinâmicos soltos
+  HITBOX: 1 << 6      // Hitboxes dos ossos dos NPCs (só consultas)
+}
+
+export const ALL_LAYERS = 0xffff
+
+// Pares que colidem (espelhados em buildFilters)
+const COLLIDES_WITH = {
+  WORLD: ['WORLD', 'PLAYER', 'NPC', 'PROJECTILE', 'DEBRIS'],
+  PLAYER: ['NPC', 'TRIGGER', 'DEBRIS', 'PROJECTILE'],
+  NPC: ['NPC', 'PROJECTILE', 'DEBRIS'],
+  PROJECTILE: ['DEBRIS'],
+  TRIGGER: [],
+  DEBRIS: ['DEBRIS'],
+  // Só entre si: são colliders sem corpo (fixos), que o Rapier nunca testa
+  // uns contra os outros; o filtro não vazio deixa os raycasts atingi-las
+  HITBOX: ['HITBOX']
+}
+
+/**
+ * Máscaras prontas para consultas (raycasts)
+ */
+export const LayerMask = {
+  ALL: ALL_LAYERS,
+  WORLD: CollisionLayer.WORLD,
+  // Superfícies sólidas (chão e teto para o player e NPCs)
+  SOLID: CollisionLayer.WORLD | CollisionLayer.DEBRIS,
+  // O que bloqueia a visão e o som
+  SIGHT: CollisionLayer.WORLD,
+  // O que um tiro pode atingir
+  SHOT: CollisionLayer.WORLD | CollisionLayer.PLAYER | CollisionLayer.NPC | CollisionLayer.DEBRIS,
+  // Tiro do player: NPCs pelas hitboxes (mais precisas que a cápsula de física)
+  HITSCAN: CollisionLayer.WORLD | CollisionLayer.PLAYER | CollisionLayer.DEBRIS | CollisionLayer.HITBOX
+}
+
+/**
+ * Cor de cada camada no debug de física
+ */
+export const LayerColor = {
+  [CollisionLayer.WORLD]: 0x00ff00,
+  [CollisionLayer.PLAYER]: 0x00aaff,
+  [CollisionLayer.NPC]: 0xff4444,
+  [CollisionLayer.PROJECTILE]: 0xffaa00,
+  [CollisionLayer.TRIGGER]: 0x8844ff,
+  [CollisionLayer.DEBRIS]: 0xaaaaaa,
+  [CollisionLayer.HITBOX]: 0xff88cc
+}
+
+const filters = buildFilters()
+
+function buildFilters() {
+  const result = {}
+  for (const layer of Object.values(CollisionLayer)) {
+    result[layer] = 0
+  }
+
+  for (const [name, others] of Object.entries(COLLIDES_WITH)) {
+    for (const other of others) {
+      result[CollisionLayer[name]] |= CollisionLayer[other]
+      result[CollisionLayer[other]] |= CollisionLayer[name]
+    }
+  }
+
+  return result
+}
+
+/**
+ * Camadas com as quais uma camada colide
+ */
+export function getLayerFilter(layer) {
+  return filters[layer] ?? ALL_LAYERS
+}
+
+/**
+ * InteractionGroups de um collider da camada
+ */
+export function getCollisionGroups(layer) {
+  return ((layer << 16) | getLayerFilter(layer)) >>> 0
+}
+
+/**
+ * InteractionGroups de uma consulta que só atinge as camadas da máscara
+ */
+export function getQueryGroups(mask = ALL_LAYERS) {
+  return ((ALL_LAYERS << 16) | mask) >>> 0
+}
+
+/**
+ * Nome da camada a partir do bit (para debug e relatórios)
+ */
+export function getLayerName(layer) {
+  return Object.keys(CollisionLayer).find(name => CollisionLayer[name] === layer) || 'DEFAULT'
+}
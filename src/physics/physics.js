@@ -1,4 +1,95 @@
 import RAPIER from 'https://cdn.skypack.dev/@dimforge/rapier3d-compat';
+import * as THREE from 'three'
+import { ColliderType, PhysicsMaterials, getCollisionPrefix, getCollisionTarget, getAuthoredColliderType, resolvePhysicsMaterial } from './colliders.js'
+import { CollisionLayer, LayerMask, ALL_LAYERS, getCollisionGroups, getQueryGroups } from './layers.js'
+
+// Reutilizados na criação e validação dos colliders estáticos
+const _vertex = new THREE.Vector3()
+const _center = new THREE.Vector3()
+const _size = new THREE.Vector3()
+const _box = new THREE.Box3()
+const _colliderBox = new THREE.Box3()
+const _meshBox = new THREE.Box3()
+const _quaternion = new THREE.Quaternion()
+const _recomposed = new THREE.Matrix4()
+
+// Transformação de mundo de um collider estático
+// O corpo recebe posição e rotação; a escala (negativa inclusive) vai para os
+// vértices. Pais com escala não uniforme + filhos rotacionados geram
+// cisalhamento, que só cabe nos vértices: nesse caso a matriz inteira é aplicada
+function getStaticTransform(matrixWorld) {
+  const position = new THREE.Vector3()
+  const quaternion = new THREE.Quaternion()
+  const scale = new THREE.Vector3()
+  matrixWorld.decompose(position, quaternion, scale)
+  
+  _recomposed.compose(position, quaternion, scale)
+  const sheared = _recomposed.elements.some((value, i) => Math.abs(value - matrixWorld.elements[i]) > 1e-4)
+  
+  if (sheared) {
+    return {
+      position: new THREE.Vector3(),
+      quaternion: new THREE.Quaternion(),
+      vertexMatrix: matrixWorld.clone()
+    }
+  }
+  
+  return { position, quaternion, vertexMatrix: new THREE.Matrix4().makeScale(scale.x, scale.y, scale.z) }
+}
+
+// Collider do Rapier (e não uma entidade do jogo)
+function isCollider(target) {
+  return typeof target?.handle === 'number' && typeof target.isSensor === 'function'
+}
+
+// AABB de mundo da malha de render
+// precise: pelos vértices (convex/trimesh); senão pela bounding box local
+// transformada, que é como a caixa do collider é montada
+function getMeshWorldBounds(mesh, precise, target) {
+  const geometry = mesh.geometry
+  
+  if (!precise) {
+    geometry.computeBoundingBox()
+    return target.copy(geometry.boundingBox).applyMatrix4(mesh.matrixWorld)
+  }
+  
+  const position = geometry.attributes.position
+  target.makeEmpty()
+  for (let i = 0; i < position.count; i++) {
+    target.expandByPoint(_vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld))
+  }
+  return target
+}
+
+// AABB de mundo de uma forma estática na pose do collider
+// (translation já inclui o deslocamento da caixa em relação ao corpo)
+function getShapeBounds(shape, quaternion, translation, target) {
+  const { points } = shape
+  target.makeEmpty()
+  
+  // Caixas guardam só min/max: usar os 8 cantos ao redor do centro
+  if (shape.type === ColliderType.BOX) {
+    const halfX = (points[3] - points[0]) / 2
+    const halfY = (points[4] - points[1]) / 2
+    const halfZ = (points[5] - points[2]) / 2
+    
+    for (let corner = 0; corner < 8; corner++) {
+      _vertex.set(
+        corner & 1 ? halfX : -halfX,
+        corner & 2 ? halfY : -halfY,
+        corner & 4 ? halfZ : -halfZ
+      )
+      target.expandByPoint(_vertex.applyQuaternion(quaternion).add(translation))
+    }
+    return target
+  }
+  
+  for (let i = 0; i < points.length; i += 3) {
+    _vertex.set(points[i], points[i + 1], points[i + 2])
+    target.expandByPoint(_vertex.applyQuaternion(quaternion).add(translation))
+  }
+  return target
+}
 
 class PhysicsWorld {
   constructor() {
@@ -6,6 +97,23 @@ class PhysicsWorld {
     this.eventQueue = null
     this.rigidBodies = new Map() // Mapear objetos Three.js para rigid bodies
     this.colliders = new Map()
+    // Relatório da última criação de física do mapa ({ mesh, collider, material, reason })
+    this.colliderReport = []
+    // Formas estáticas por chave (geometria + tipo + escala) durante a criação do mapa
+    this.staticShapeCache = new Map()
+    // handle do collider -> forma estática (usado por validateColliders)
+    this.staticColliderShapes = new Map()
+    // handle do collider -> material físico (usado pelos tiros para a penetração)
+    this.colliderMaterials = new Map()
+    // Modo de validação: compara colliders e malhas ao criar a física do mapa
+    this.colliderValidation = false
+    // handle do collider -> entidade do jogo (player, NPC, malha do mapa...) e o caminho inverso
+    this.colliderEntities = new Map()
+    this.entityColliders = new Map()
+    // handle do collider -> listas de callbacks por evento (ver subscribe)
+    this.colliderEvents = new Map()
+    // Estados anterior/atual dos corpos dinâmicos (para interpolação no render)
+    this.interpolationStates = new Map()
   }
 
   async init() {
@@ -51,85 +159,180 @@ class PhysicsWorld {
     const colliderDesc = RAPIER.ColliderDesc.cuboid(50, 0.5, 50)
       .setFriction(0.8)
       .setRestitution(0.0)
+      .setCollisionGroups(getCollisionGroups(CollisionLayer.WORLD))
     
     this.world.createCollider(colliderDesc, rigidBody)
   }
 
   // Criar corpo físico para objetos estáticos (mundo/cenário)
-  createStaticBody(mesh) {
+  // Usa a transformação de mundo da malha (escala dos pais e escala negativa inclusas)
+  // type: ColliderType (box, convex ou trimesh); material: { friction, restitution }
+  // Retorna { rigidBody, collider, type } com o tipo realmente usado (ou null)
+  createStaticBody(mesh, type = ColliderType.TRIMESH, material = PhysicsMaterials.default) {
     try {
+      mesh.updateWorldMatrix(true, false)
+      const transform = getStaticTransform(mesh.matrixWorld)
+      
+      const shape = this.getStaticShape(mesh, type, transform.vertexMatrix)
+      if (!shape) return null
+      
       const rigidBodyDesc = RAPIER.RigidBodyDesc.fixed()
-        .setTranslation(mesh.position.x, mesh.position.y, mesh.position.z)
-        .setRotation(mesh.quaternion)
+        .setTranslation(transform.position.x, transform.position.y, transform.position.z)
+        .setRotation(transform.quaternion)
       
       const rigidBody = this.createRigidBody(rigidBodyDesc, mesh)
       
-      // Criar collider baseado na geometria do mesh
-      const geometry = mesh.geometry
-      if (geometry && geometry.attributes.position) {
-        let colliderDesc
+      const colliderDesc = new RAPIER.ColliderDesc(shape.shape)
+        .setTranslation(shape.offset.x, shape.offset.y, shape.offset.z)
+        .setFriction(material.friction)
+        .setRestitution(material.restitution)
+        .setCollisionGroups(getCollisionGroups(CollisionLayer.WORLD))
+      
+      const collider = this.createCollider(colliderDesc, rigidBody, mesh)
+      this.staticColliderShapes.set(collider.handle, shape)
+      this.colliderMaterials.set(collider.handle, material)
+      this.registerCollider(collider, mesh)
+      
+      return { rigidBody, collider, type: shape.type }
+    } catch (error) {
+      console.error(`Erro ao criar corpo estático para ${mesh.name}:`, error)
+    }
+    
+    return null
+  }
+
+  // Forma do collider de uma malha estática, compartilhada entre malhas com a
+  // mesma geometria, tipo e escala (o shape é processado uma vez só)
+  getStaticShape(mesh, type, vertexMatrix) {
+    const geometry = mesh.geometry
+    if (!geometry || !geometry.attributes.position) return null
+    
+    const key = `${geometry.uuid}|${type}|${vertexMatrix.elements.map(e => e.toFixed(5)).join(',')}`
+    let shape = this.staticShapeCache.get(key)
+    
+    if (!shape) {
+      shape = this.createStaticShape(mesh, type, vertexMatrix)
+      this.staticShapeCache.set(key, shape)
+    }
+    
+    return shape
+  }
+
+  // Montar a forma no tipo pedido com os vértices já transformados por vertexMatrix
+  // Convex hull degenerado e trimesh sem triângulos caem para a caixa
+  // points: pontos que envolvem a forma (usados na validação; caixas guardam só min/max)
+  createStaticShape(mesh, type, vertexMatrix) {
+    const geometry = mesh.geometry
+    const position = geometry.attributes.position
+    const offset = { x: 0, y: 0, z: 0 }
+    
+    if (type === ColliderType.CONVEX || type === ColliderType.TRIMESH) {
+      const vertices = new Float32Array(position.count * 3)
+      for (let i = 0; i < position.count; i++) {
+        _vertex.fromBufferAttribute(position, i).applyMatrix4(vertexMatrix)
+        vertices[i * 3] = _vertex.x
+        vertices[i * 3 + 1] = _vertex.y
+        vertices[i * 3 + 2] = _vertex.z
+      }
+      
+      if (type === ColliderType.CONVEX) {
+        const colliderDesc = RAPIER.ColliderDesc.convexHull(vertices)
+        if (colliderDesc) {
+          return { shape: colliderDesc.shape, offset, type, points: vertices }
+        }
+        
+        console.warn(`⚠️ Convex hull inválido para ${mesh.name}, usando caixa`)
+      } else {
+        // Rapier exige índices Uint32; geometria sem índice vira uma lista de triângulos
+        const indices = geometry.index
+          ? Uint32Array.from(geometry.index.array)
+          : Uint32Array.from({ length: position.count }, (_, i) => i)
         
-        // Para geometrias simples
-        if (geometry.type === 'BoxGeometry') {
-          const box = geometry.parameters
-          colliderDesc = RAPIER.ColliderDesc.cuboid(
-            (box.width * mesh.scale.x) / 2, 
-            (box.height * mesh.scale.y) / 2, 
-            (box.depth * mesh.scale.z) / 2
-          )
-        } else {
-          // Para geometrias complexas (GLTF), usar trimesh
-          const vertices = geometry.attributes.position.array
-          
-          if (vertices && vertices.length > 0) {
-            const indices = geometry.index ? geometry.index.array : null
-            
-            // Aplicar escala aos vértices
-            const scaledVertices = new Float32Array(vertices.length)
-            for (let i = 0; i < vertices.length; i += 3) {
-              scaledVertices[i] = vertices[i] * mesh.scale.x
-              scaledVertices[i + 1] = vertices[i + 1] * mesh.scale.y
-              scaledVertices[i + 2] = vertices[i + 2] * mesh.scale.z
-            }
-            
-            if (indices && indices.length > 0) {
-              // Usar trimesh para geometrias complexas
-              colliderDesc = RAPIER.ColliderDesc.trimesh(scaledVertices, indices)
-            } else {
-              // Fallback para convex hull se não houver índices
-              try {
-                colliderDesc = RAPIER.ColliderDesc.convexHull(scaledVertices)
-              } catch (e) {
-                console.warn(`Erro ao criar convex hull para ${mesh.name}, usando box padrão`, e)
-                // Fallback para uma caixa simples baseada na bounding box
-                geometry.computeBoundingBox()
-                const box = geometry.boundingBox
-                const sizeX = (box.max.x - box.min.x) * mesh.scale.x / 2
-                const sizeY = (box.max.y - box.min.y) * mesh.scale.y / 2
-                const sizeZ = (box.max.z - box.min.z) * mesh.scale.z / 2
-                colliderDesc = RAPIER.ColliderDesc.cuboid(sizeX, sizeY, sizeZ)
-              }
-            }
+        // Escala negativa espelha a malha: inverter a ordem dos triângulos
+        // para as normais continuarem para fora
+        if (vertexMatrix.determinant() < 0) {
+          for (let i = 0; i + 2 < indices.length; i += 3) {
+            const swap = indices[i + 1]
+            indices[i + 1] = indices[i + 2]
+            indices[i + 2] = swap
           }
         }
         
-        if (colliderDesc) {
-          colliderDesc.setFriction(0.8)
-          colliderDesc.setRestitution(0.0)
-          
-          this.createCollider(colliderDesc, rigidBody, mesh)
-          return rigidBody
+        if (indices.length >= 3) {
+          const colliderDesc = RAPIER.ColliderDesc.trimesh(vertices, indices)
+          return { shape: colliderDesc.shape, offset, type, points: vertices }
         }
+        
+        console.warn(`⚠️ Trimesh sem triângulos para ${mesh.name}, usando caixa`)
       }
-    } catch (error) {
-      console.error(`Erro ao criar corpo estático para ${mesh.name}:`, error)
     }
     
-    return null
+    // Caixa a partir da bounding box transformada (pode estar fora da origem da malha)
+    geometry.computeBoundingBox()
+    _box.copy(geometry.boundingBox).applyMatrix4(vertexMatrix)
+    _box.getCenter(_center)
+    _box.getSize(_size)
+    
+    const colliderDesc = RAPIER.ColliderDesc.cuboid(_size.x / 2, _size.y / 2, _size.z / 2)
+    const points = new Float32Array([
+      _box.min.x, _box.min.y, _box.min.z,
+      _box.max.x, _box.max.y, _box.max.z
+    ])
+    
+    return {
+      shape: colliderDesc.shape,
+      offset: { x: _center.x, y: _center.y, z: _center.z },
+      type: ColliderType.BOX,
+      points
+    }
+  }
+
+  // Comparar a AABB de cada collider estático (lida de volta do Rapier) com a
+  // bounding box de mundo da malha de render; divergências são listadas
+  // tolerance: diferença máxima por canto, em metros
+  validateColliders(tolerance = 0.05) {
+    const mismatches = []
+    
+    this.colliders.forEach((collider, mesh) => {
+      const shape = this.staticColliderShapes.get(collider.handle)
+      if (!shape) return
+      
+      const rotation = collider.rotation()
+      _quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w)
+      getShapeBounds(shape, _quaternion, collider.translation(), _colliderBox)
+      
+      mesh.updateWorldMatrix(true, false)
+      getMeshWorldBounds(mesh, shape.type !== ColliderType.BOX, _meshBox)
+      
+      const error = Math.max(
+        _colliderBox.min.distanceTo(_meshBox.min),
+        _colliderBox.max.distanceTo(_meshBox.max)
+      )
+      
+      if (error > tolerance) {
+        mismatches.push({
+          mesh: mesh.name,
+          collider: shape.type,
+          error: Number(error.toFixed(3)),
+          colliderMin: _colliderBox.min.toArray().map(v => Number(v.toFixed(2))).join(', '),
+          meshMin: _meshBox.min.toArray().map(v => Number(v.toFixed(2))).join(', ')
+        })
+      }
+    })
+    
+    if (mismatches.length > 0) {
+      console.warn(`⚠️ ${mismatches.length} collider(s) fora da malha de render (tolerância ${tolerance}m)`)
+      console.table(mismatches)
+    } else {
+      console.log(`✅ Colliders conferem com as malhas de render (${this.staticColliderShapes.size} testados)`)
+    }
+    
+    return mismatches
   }
 
   // Criar corpo físico para NPC (cápsula como o player, mas com IA)
-  createNPCBody(position, radius = 0.3, height = 1.4) {
+  // entity: NPC dono do collider (ver getEntity)
+  createNPCBody(position, radius = 0.3, height = 1.4, entity = null) {
     const rigidBodyDesc = RAPIER.RigidBodyDesc.kinematicPositionBased()
       .setTranslation(position.x, position.y, position.z)
     
@@ -139,8 +342,10 @@ class PhysicsWorld {
     const colliderDesc = RAPIER.ColliderDesc.capsule(height / 2, radius)
       .setFriction(0.5)
       .setRestitution(0.0)
+      .setCollisionGroups(getCollisionGroups(CollisionLayer.NPC))
     
     const collider = this.world.createCollider(colliderDesc, rigidBody)
+    this.registerCollider(collider, entity)
     
     return { rigidBody, collider }
   }
@@ -152,12 +357,12 @@ class PhysicsWorld {
     }
   }
 
-  // Raycast para NPC verificar chão
-  npcGroundCheck(position, maxDistance = 2.0) {
+  // Raycast para NPC verificar chão (só superfícies sólidas: ignora NPCs e o player)
+  npcGroundCheck(position, maxDistance = 2.0, excludeBody = null) {
     const origin = { x: position.x, y: position.y + 0.5, z: position.z }
     const direction = { x: 0, y: -1, z: 0 }
     
-    const hit = this.castRay(origin, direction, maxDistance)
+    const hit = this.castRay(origin, direction, maxDistance, true, { mask: LayerMask.SOLID, excludeBody })
     
     if (hit) {
       return {
@@ -169,8 +374,9 @@ class PhysicsWorld {
     return { grounded: false, groundY: position.y }
   }
 
-  // Criar corpo físico dinâmico (player, objetos móveis)
-  createDynamicBody(mesh, mass = 1.0) {
+  // Criar corpo físico dinâmico (objetos móveis)
+  // layer: CollisionLayer do collider (padrão: destroços soltos)
+  createDynamicBody(mesh, mass = 1.0, layer = CollisionLayer.DEBRIS) {
     const rigidBodyDesc = RAPIER.RigidBodyDesc.dynamic()
       .setTranslation(mesh.position.x, mesh.position.y, mesh.position.z)
       .setRotation(mesh.quaternion)
@@ -201,84 +407,553 @@ class PhysicsWorld {
       colliderDesc.setMass(mass)
       colliderDesc.setRestitution(0.3) // Elasticidade
       colliderDesc.setFriction(0.5) // Atrito
+      colliderDesc.setCollisionGroups(getCollisionGroups(layer))
       
-      this.createCollider(colliderDesc, rigidBody, mesh)
+      const collider = this.createCollider(colliderDesc, rigidBody, mesh)
+      this.registerCollider(collider, mesh)
     }
     
     return rigidBody
   }
 
   // Criar corpo físico para o player (cápsula)
-  createPlayerBody(position, radius = 0.3, height = 1.6) {
-    // Usar corpo dinâmico para ser afetado pela gravidade
-    const rigidBodyDesc = RAPIER.RigidBodyDesc.dynamic()
+  // Corpo cinemático movido pelo KinematicCharacterController (ver createCharacterController)
+  // entity: player dono do collider (ver getEntity)
+  createPlayerBody(position, radius = 0.3, height = 1.6, entity = null) {
+    const rigidBodyDesc = RAPIER.RigidBodyDesc.kinematicPositionBased()
       .setTranslation(position.x, position.y, position.z)
-      .lockRotations() // Player não rota com física
-      .setLinearDamping(2.0) // Damping para controle mais suave
     
     const rigidBody = this.world.createRigidBody(rigidBodyDesc)
     
     // Collider em formato de cápsula
     const colliderDesc = RAPIER.ColliderDesc.capsule(height / 2, radius)
-      .setMass(70.0) // 70kg
       .setFriction(0.8)
       .setRestitution(0.0)
+      .setCollisionGroups(getCollisionGroups(CollisionLayer.PLAYER))
     
     const collider = this.world.createCollider(colliderDesc, rigidBody)
+    this.registerCollider(collider, entity)
     
     return { rigidBody, collider }
   }
 
-  // Atualizar simulação
+  // Criar character controller do Rapier (desliza em paredes, sobe degraus e rampas)
+  createCharacterController(options = {}) {
+    const {
+      offset = 0.01,                    // Folga entre a cápsula e o mundo
+      maxSlopeAngle = Math.PI / 4,      // Inclinação máxima que consegue subir
+      minSlideAngle = Math.PI / 3,      // A partir desta inclinação escorrega
+      autostepHeight = 0.35,            // Altura máxima de degrau
+      autostepMinWidth = 0.2,           // Largura mínima do degrau
+      snapToGround = 0.3                // Distância para "grudar" no chão ao descer
+    } = options
+    
+    const controller = this.world.createCharacterController(offset)
+    controller.setUp({ x: 0, y: 1, z: 0 })
+    controller.setSlideEnabled(true)
+    controller.setMaxSlopeClimbAngle(maxSlopeAngle)
+    controller.setMinSlopeSlideAngle(minSlideAngle)
+    controller.setApplyImpulsesToDynamicBodies(true)
+    
+    if (autostepHeight > 0) {
+      controller.enableAutostep(autostepHeight, autostepMinWidth, false)
+    }
+    
+    if (snapToGround > 0) {
+      controller.enableSnapToGround(snapToGround)
+    }
+    
+    return controller
+  }
+
+  // Remover character controller
+  removeCharacterController(controller) {
+    if (this.world && controller) {
+      this.world.removeCharacterController(controller)
+    }
+  }
+
+  // Atualizar simulação (chamado com passo fixo pelo loop principal)
   step(deltaTime) {
     if (!this.world) return
     
-    // Step da simulação com timestep fixo (mais estável)
+    // Guardar estado anterior dos corpos dinâmicos antes do step
+    this.rigidBodies.forEach((rigidBody, mesh) => {
+      if (rigidBody.bodyType() === RAPIER.RigidBodyType.Dynamic) {
+        const state = this.getInterpolationState(mesh, rigidBody)
+        state.previousPosition.copy(state.position)
+        state.previousQuaternion.copy(state.quaternion)
+      }
+    })
+    
     // Rapier recomenda timesteps fixos para estabilidade
-    const fixedTimeStep = 1.0 / 60.0 // 60 FPS
-    this.world.timestep = fixedTimeStep
+    this.world.timestep = deltaTime
     this.world.step(this.eventQueue)
     
-    // Sincronizar objetos Three.js com rigid bodies
+    // Registrar novo estado dos corpos dinâmicos
     this.rigidBodies.forEach((rigidBody, mesh) => {
       if (rigidBody.bodyType() === RAPIER.RigidBodyType.Dynamic) {
+        const state = this.getInterpolationState(mesh, rigidBody)
         const position = rigidBody.translation()
         const rotation = rigidBody.rotation()
         
-        mesh.position.set(position.x, position.y, position.z)
-        mesh.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w)
+        state.position.set(position.x, position.y, position.z)
+        state.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w)
       }
     })
     
-    // Processar eventos de colisão
+    // Repassar eventos de colisão, sensores e força de contato aos inscritos
     this.eventQueue.drainCollisionEvents((handle1, handle2, started) => {
-      // Aqui você pode implementar lógica de colisão
-      if (started) {
-        // console.log('Collision started between', handle1, 'and', handle2)
+      this.dispatchCollisionEvent(handle1, handle2, started)
+    })
+    
+    this.eventQueue.drainContactForceEvents((event) => {
+      this.dispatchContactForceEvent(event)
+    })
+  }
+
+  // ========== ENTIDADES E EVENTOS ==========
+
+  // Associar um collider a uma entidade do jogo (consultada por getEntity)
+  registerCollider(collider, entity) {
+    if (!collider || !entity) return
+    
+    this.colliderEntities.set(collider.handle, entity)
+    
+    let handles = this.entityColliders.get(entity)
+    if (!handles) {
+      handles = new Set()
+      this.entityColliders.set(entity, handles)
+    }
+    handles.add(collider.handle)
+  }
+
+  // Desfazer a associação e as inscrições de eventos de um collider
+  unregisterCollider(collider) {
+    const handle = typeof collider === 'number' ? collider : collider.handle
+    const entity = this.colliderEntities.get(handle)
+    
+    if (entity) {
+      const handles = this.entityColliders.get(entity)
+      handles.delete(handle)
+      if (handles.size === 0) {
+        this.entityColliders.delete(entity)
       }
+    }
+    
+    this.colliderEntities.delete(handle)
+    this.colliderEvents.delete(handle)
+    this.colliderMaterials.delete(handle)
+  }
+
+  // Entidade dona de um collider (aceita o collider ou o handle)
+  getEntity(collider) {
+    if (collider === null || collider === undefined) return null
+    const handle = typeof collider === 'number' ? collider : collider.handle
+    return this.colliderEntities.get(handle) || null
+  }
+
+  // Material físico de um collider estático (ou null para os demais)
+  getColliderMaterial(collider) {
+    if (collider === null || collider === undefined) return null
+    const handle = typeof collider === 'number' ? collider : collider.handle
+    return this.colliderMaterials.get(handle) || null
+  }
+
+  // Colliders registrados de uma entidade
+  getEntityColliders(entity) {
+    const handles = this.entityColliders.get(entity)
+    if (!handles || !this.world) return []
+    return [...handles].map(handle => this.world.getCollider(handle)).filter(Boolean)
+  }
+
+  // Remover um corpo e seus colliders, limpando registro e inscrições
+  // (também as malhas e formas de corpos criados por createRigidBody)
+  removeBody(rigidBody) {
+    if (!this.world || !rigidBody) return
+    
+    const handles = new Set()
+    for (let i = 0; i < rigidBody.numColliders(); i++) {
+      const collider = rigidBody.collider(i)
+      handles.add(collider.handle)
+      this.unregisterCollider(collider)
+      this.staticColliderShapes.delete(collider.handle)
+    }
+    
+    for (const [mesh, body] of this.rigidBodies) {
+      if (body.handle === rigidBody.handle) {
+        this.rigidBodies.delete(mesh)
+        // Sem o corpo, a malha para de ser interpolada
+        this.interpolationStates.delete(mesh)
+      }
+    }
+    
+    for (const [mesh, collider] of this.colliders) {
+      if (handles.has(collider.handle)) {
+        this.colliders.delete(mesh)
+      }
+    }
+    
+    this.world.removeRigidBody(rigidBody)
+  }
+
+  // Inscrever um callback em um evento de um collider ou de todos os colliders de uma entidade
+  // event: collisionEnter, collisionExit, triggerEnter, triggerExit ou contactForce
+  // Retorna uma função que cancela a inscrição
+  subscribe(target, event, callback) {
+    const colliders = isCollider(target) ? [target] : this.getEntityColliders(target)
+    
+    if (colliders.length === 0) {
+      console.warn(`⚠️ Nenhum collider para inscrever em "${event}"`)
+      return () => {}
+    }
+    
+    for (const collider of colliders) {
+      let events = this.colliderEvents.get(collider.handle)
+      if (!events) {
+        events = { collisionEnter: [], collisionExit: [], triggerEnter: [], triggerExit: [], contactForce: [] }
+        this.colliderEvents.set(collider.handle, events)
+      }
+      events[event].push(callback)
+      
+      // Gerar o evento e testar também pares com corpos fixos/cinemáticos
+      const flag = event === 'contactForce' ? RAPIER.ActiveEvents.CONTACT_FORCE_EVENTS : RAPIER.ActiveEvents.COLLISION_EVENTS
+      collider.setActiveEvents(collider.activeEvents() | flag)
+      collider.setActiveCollisionTypes(RAPIER.ActiveCollisionTypes.ALL)
+    }
+    
+    const handles = colliders.map(collider => collider.handle)
+    return () => {
+      for (const handle of handles) {
+        const list = this.colliderEvents.get(handle)?.[event]
+        const index = list ? list.indexOf(callback) : -1
+        if (index > -1) list.splice(index, 1)
+      }
+    }
+  }
+
+  // Colisão sólida começou (payload: { collider, other, entity, otherEntity })
+  onCollisionEnter(target, callback) {
+    return this.subscribe(target, 'collisionEnter', callback)
+  }
+
+  onCollisionExit(target, callback) {
+    return this.subscribe(target, 'collisionExit', callback)
+  }
+
+  // Algo entrou/saiu de um sensor (inscrito no sensor ou em quem entra nele)
+  onTriggerEnter(target, callback) {
+    return this.subscribe(target, 'triggerEnter', callback)
+  }
+
+  onTriggerExit(target, callback) {
+    return this.subscribe(target, 'triggerExit', callback)
+  }
+
+  // Força de contato acima de threshold (newtons)
+  // payload: { collider, other, entity, otherEntity, force, magnitude, maxMagnitude }
+  onContactForce(target, callback, threshold = 0) {
+    const unsubscribe = this.subscribe(target, 'contactForce', callback)
+    
+    const colliders = isCollider(target) ? [target] : this.getEntityColliders(target)
+    for (const collider of colliders) {
+      collider.setContactForceEventThreshold(threshold)
+    }
+    
+    return unsubscribe
+  }
+
+  // Entregar um evento de colisão/sensor aos dois lados do par
+  dispatchCollisionEvent(handle1, handle2, started) {
+    const events1 = this.colliderEvents.get(handle1)
+    const events2 = this.colliderEvents.get(handle2)
+    if (!events1 && !events2) return
+    
+    // Collider removido neste step pode não existir mais
+    const collider1 = this.world.getCollider(handle1)
+    const collider2 = this.world.getCollider(handle2)
+    const isTrigger = Boolean(collider1?.isSensor() || collider2?.isSensor())
+    
+    const event = isTrigger
+      ? (started ? 'triggerEnter' : 'triggerExit')
+      : (started ? 'collisionEnter' : 'collisionExit')
+    
+    this.emit(events1?.[event], collider1, collider2, handle1, handle2)
+    this.emit(events2?.[event], collider2, collider1, handle2, handle1)
+  }
+
+  dispatchContactForceEvent(forceEvent) {
+    const handle1 = forceEvent.collider1()
+    const handle2 = forceEvent.collider2()
+    const events1 = this.colliderEvents.get(handle1)
+    const events2 = this.colliderEvents.get(handle2)
+    if (!events1 && !events2) return
+    
+    const collider1 = this.world.getCollider(handle1)
+    const collider2 = this.world.getCollider(handle2)
+    const extra = {
+      force: forceEvent.totalForce(),
+      magnitude: forceEvent.totalForceMagnitude(),
+      maxMagnitude: forceEvent.maxForceMagnitude()
+    }
+    
+    this.emit(events1?.contactForce, collider1, collider2, handle1, handle2, extra)
+    this.emit(events2?.contactForce, collider2, collider1, handle2, handle1, extra)
+  }
+
+  emit(callbacks, collider, other, handle, otherHandle, extra = null) {
+    if (!callbacks || callbacks.length === 0) return
+    
+    const payload = {
+      collider,
+      other,
+      entity: this.colliderEntities.get(handle) || null,
+      otherEntity: this.colliderEntities.get(otherHandle) || null,
+      ...extra
+    }
+    
+    // Cópia: callbacks podem cancelar a própria inscrição
+    for (const callback of [...callbacks]) {
+      callback(payload)
+    }
+  }
+
+  // Criar um sensor em forma de caixa (gatilhos do mapa)
+  // Sensores não bloqueiam nada; só geram eventos onTriggerEnter/onTriggerExit
+  createSensorBox(center, halfExtents, quaternion, entity = null, layer = CollisionLayer.TRIGGER) {
+    const rigidBodyDesc = RAPIER.RigidBodyDesc.fixed()
+      .setTranslation(center.x, center.y, center.z)
+      .setRotation(quaternion)
+    
+    const rigidBody = this.world.createRigidBody(rigidBodyDesc)
+    
+    const colliderDesc = RAPIER.ColliderDesc.cuboid(halfExtents.x, halfExtents.y, halfExtents.z)
+      .setSensor(true)
+      .setCollisionGroups(getCollisionGroups(layer))
+      .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS)
+      .setActiveCollisionTypes(RAPIER.ActiveCollisionTypes.ALL)
+    
+    const collider = this.world.createCollider(colliderDesc, rigidBody)
+    this.registerCollider(collider, entity)
+    
+    return { rigidBody, collider }
+  }
+
+  // Criar o collider de uma hitbox: sensor sem corpo, reposicionado direto
+  // pela pose dos ossos (setTranslation/setRotation) e atingido só por consultas
+  // shape: { radius, halfHeight } (halfHeight 0 = esfera)
+  createHitboxCollider(shape, entity = null) {
+    const colliderDesc = shape.halfHeight > 0
+      ? RAPIER.ColliderDesc.capsule(shape.halfHeight, shape.radius)
+      : RAPIER.ColliderDesc.ball(shape.radius)
+    
+    colliderDesc
+      .setSensor(true)
+      .setCollisionGroups(getCollisionGroups(CollisionLayer.HITBOX))
+    
+    const collider = this.world.createCollider(colliderDesc)
+    this.registerCollider(collider, entity)
+    
+    return collider
+  }
+  
+  // Remover um collider sem corpo (hitboxes), limpando registro e inscrições
+  removeCollider(collider) {
+    if (!this.world || !collider) return
+    
+    this.unregisterCollider(collider)
+    this.world.removeCollider(collider, false)
+  }
+  
+  // Obter (ou criar) o estado de interpolação de um corpo dinâmico
+  getInterpolationState(mesh, rigidBody) {
+    let state = this.interpolationStates.get(mesh)
+    
+    if (!state) {
+      const position = rigidBody.translation()
+      const rotation = rigidBody.rotation()
+      
+      state = {
+        position: new THREE.Vector3(position.x, position.y, position.z),
+        quaternion: new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w),
+        previousPosition: new THREE.Vector3(position.x, position.y, position.z),
+        previousQuaternion: new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w)
+      }
+      this.interpolationStates.set(mesh, state)
+    }
+    
+    return state
+  }
+
+  // Sincronizar objetos Three.js interpolando entre os dois últimos steps
+  // alpha: fração (0..1) do próximo passo fixo já decorrida
+  interpolate(alpha) {
+    this.interpolationStates.forEach((state, mesh) => {
+      mesh.position.lerpVectors(state.previousPosition, state.position, alpha)
+      mesh.quaternion.slerpQuaternions(state.previousQuaternion, state.quaternion, alpha)
     })
   }
 
   // Raycast para detecção de colisões
-  castRay(origin, direction, maxDistance = 1000, solid = true) {
+  // options.mask: camadas atingidas (LayerMask/CollisionLayer, padrão todas)
+  // options.exclude: lista de colliders ignorados
+  // options.excludeBody: corpo cujos colliders são ignorados
+  // options.includeSensors: também atingir sensores (ignorados por padrão)
+  // options.filterPredicate: (collider) => boolean, false ignora o collider
+  castRay(origin, direction, maxDistance = 1000, solid = true, options = {}) {
+    if (!this.world) return null
+    
+    const ray = new RAPIER.Ray(origin, direction)
+    const filter = this.createQueryFilter(options)
+    const hit = this.world.castRay(
+      ray, maxDistance, solid,
+      filter.flags, filter.groups, undefined, filter.excludeBody, filter.predicate
+    )
+    
+    if (hit) {
+      // Versões recentes do Rapier renomearam toi para timeOfImpact
+      const toi = hit.timeOfImpact ?? hit.toi
+      return {
+        distance: toi,
+        point: ray.pointAt(toi),
+        normal: hit.normal,
+        collider: hit.collider
+      }
+    }
+    
+    return null
+  }
+
+  // Raycast que também calcula a normal da superfície atingida (mesmas opções do castRay)
+  castRayWithNormal(origin, direction, maxDistance = 1000, solid = true, options = {}) {
     if (!this.world) return null
     
     const ray = new RAPIER.Ray(origin, direction)
-    const hit = this.world.castRay(ray, maxDistance, solid)
+    const filter = this.createQueryFilter(options)
+    const hit = this.world.castRayAndGetNormal(
+      ray, maxDistance, solid,
+      filter.flags, filter.groups, undefined, filter.excludeBody, filter.predicate
+    )
     
     if (hit) {
+      const toi = hit.timeOfImpact ?? hit.toi
       return {
-        distance: hit.toi,
-        point: ray.pointAt(hit.toi),
-        normal: hit.normal
+        distance: toi,
+        point: ray.pointAt(toi),
+        normal: hit.normal,
+        collider: hit.collider
       }
     }
     
     return null
   }
 
+  // Raycast que retorna todos os colliders atravessados pelo raio (ordenados por distância)
+  castRayAll(origin, direction, maxDistance = 1000, solid = true, options = {}) {
+    if (!this.world) return []
+    
+    const ray = new RAPIER.Ray(origin, direction)
+    const filter = this.createQueryFilter(options)
+    const hits = []
+    
+    this.world.intersectionsWithRay(
+      ray, maxDistance, solid,
+      (intersection) => {
+        const toi = intersection.timeOfImpact ?? intersection.toi
+        hits.push({
+          distance: toi,
+          point: ray.pointAt(toi),
+          normal: intersection.normal,
+          collider: intersection.collider
+        })
+        return true // Continuar procurando
+      },
+      filter.flags, filter.groups, undefined, filter.excludeBody, filter.predicate
+    )
+    
+    return hits.sort((a, b) => a.distance - b.distance)
+  }
+
+  // Shape cast de uma esfera (detecção contínua de objetos rápidos, mesmas opções do castRay)
+  // Retorna a distância percorrida até o contato, o ponto e a normal da superfície
+  castSphere(origin, radius, direction, maxDistance, options = {}) {
+    if (!this.world) return null
+    
+    const shape = new RAPIER.Ball(radius)
+    const filter = this.createQueryFilter(options)
+    const hit = this.world.castShape(
+      origin, { x: 0, y: 0, z: 0, w: 1 }, direction, shape, 0, maxDistance, true,
+      filter.flags, filter.groups, undefined, filter.excludeBody, filter.predicate
+    )
+    
+    if (hit) {
+      const toi = hit.time_of_impact ?? hit.timeOfImpact ?? hit.toi
+      // witness1/normal1 ficam no collider atingido, já em coordenadas de mundo
+      return {
+        distance: toi,
+        point: hit.witness1,
+        normal: hit.normal1,
+        collider: hit.collider
+      }
+    }
+    
+    return null
+  }
+  
+  // Colliders que tocam uma esfera (mesmas opções do castRay)
+  intersectSphere(center, radius, options = {}) {
+    if (!this.world) return []
+    
+    const shape = new RAPIER.Ball(radius)
+    const filter = this.createQueryFilter(options)
+    const colliders = []
+    
+    this.world.intersectionsWithShape(
+      center, { x: 0, y: 0, z: 0, w: 1 }, shape,
+      (collider) => {
+        colliders.push(collider)
+        return true
+      },
+      filter.flags, filter.groups, undefined, filter.excludeBody, filter.predicate
+    )
+    
+    return colliders
+  }
+
+  // Montar o filtro das consultas (flags, grupos, corpo excluído e predicado) a partir das opções
+  createQueryFilter(options) {
+    const { mask = ALL_LAYERS, exclude, excludeBody, includeSensors = false, filterPredicate } = options
+    const excluded = exclude ? exclude.filter(Boolean).map(collider => collider.handle) : null
+    
+    let predicate
+    if (excluded?.length || filterPredicate) {
+      predicate = (collider) => {
+        if (excluded && excluded.includes(collider.handle)) return false
+        if (filterPredicate && !filterPredicate(collider)) return false
+        return true
+      }
+    }
+    
+    return {
+      flags: includeSensors ? undefined : RAPIER.QueryFilterFlags.EXCLUDE_SENSORS,
+      groups: mask === ALL_LAYERS ? undefined : getQueryGroups(mask),
+      excludeBody: excludeBody || undefined,
+      predicate
+    }
+  }
+
+  // Atualizar estruturas de consulta (raycasts) sem avançar a simulação
+  // Necessário para consultar colliders recém-criados antes do primeiro step
+  updateSceneQueries() {
+    if (this.world) {
+      this.world.updateSceneQueries()
+    }
+  }
+
   // Cleanup
   destroy() {
+    this.interpolationStates.clear()
+    
     if (this.world) {
       this.world.free()
     }
@@ -303,36 +978,115 @@ class PhysicsWorld {
   }
 
   // Função específica para criar física a partir de um modelo GLB carregado
+  // A colisão vem da autoria no GLB (ver colliders.js); mapas sem nenhuma
+  // autoria usam a heurística antiga por nome
   createPhysicsFromGLB(gltfScene) {
     const physicsObjects = []
-    let colliderCount = 0
+    const meshes = []
+    const coveredTargets = new Set()
+    let hasAuthoring = false
     
     gltfScene.traverse((child) => {
-      if (child.isMesh) {
-        const name = child.name.toLowerCase()
-        
-        // Determinar se o objeto deve ter física baseado no nome
-        const shouldHavePhysics = this.shouldObjectHavePhysics(name)
-        
-        if (shouldHavePhysics) {
-          try {
-            // Criar corpo físico estático
-            const rigidBody = this.createStaticBody(child)
-            
-            if (rigidBody) {
-              physicsObjects.push({ mesh: child, rigidBody })
-              colliderCount++
-            }
-          } catch (error) {
-            // Erro silencioso para objetos que não suportam física
-          }
-        }
+      // Entidades do mapa (spawns, triggers, pickups...) não viram colliders
+      if (!child.isMesh || child.userData.isMapEntity) return
+      
+      meshes.push(child)
+      
+      const target = getCollisionTarget(child.name)
+      if (target !== null) {
+        coveredTargets.add(target)
+        hasAuthoring = true
+      } else if (getAuthoredColliderType(child) !== null) {
+        hasAuthoring = true
       }
     })
     
+    if (!hasAuthoring && meshes.length > 0) {
+      console.warn('⚠️ Mapa sem colisão autorada (UCX_/COL_ ou extras.collider), usando heurística por nome')
+    }
+    
+    const report = []
+    
+    for (const mesh of meshes) {
+      const { type, reason } = this.resolveStaticColliderType(mesh, hasAuthoring, coveredTargets)
+      const material = resolvePhysicsMaterial(mesh)
+      
+      // Malhas só de colisão não são renderizadas
+      if (getCollisionPrefix(mesh.name)) {
+        mesh.visible = false
+        mesh.castShadow = false
+        mesh.receiveShadow = false
+      }
+      
+      let created = null
+      if (type !== ColliderType.NONE) {
+        created = this.createStaticBody(mesh, type, material)
+        if (created) {
+          physicsObjects.push({ mesh, rigidBody: created.rigidBody })
+        }
+      }
+      
+      report.push({
+        mesh: mesh.name,
+        collider: created ? created.type : ColliderType.NONE,
+        material: created ? material.name : '',
+        reason: created || type === ColliderType.NONE ? reason : 'erro ao criar'
+      })
+    }
+    
+    this.colliderReport = report
+    this.printColliderReport(report)
+    this.staticShapeCache.clear()
+    
+    if (this.colliderValidation) {
+      this.updateSceneQueries()
+      this.validateColliders()
+    }
+    
     return physicsObjects
   }
 
+  // Tipo de collider de uma malha do mapa e o motivo da escolha (para o relatório)
+  resolveStaticColliderType(mesh, hasAuthoring, coveredTargets) {
+    const authored = getAuthoredColliderType(mesh)
+    if (authored !== null) {
+      return { type: authored, reason: 'extras.collider' }
+    }
+    
+    const prefix = getCollisionPrefix(mesh.name)
+    if (prefix) {
+      return { type: prefix.type, reason: `prefixo ${prefix.prefix.toUpperCase()}` }
+    }
+    
+    // Malha de render coberta por uma malha de colisão (ou grupo dela, em malhas multi-material)
+    if (coveredTargets.has(mesh.name) || (mesh.parent && coveredTargets.has(mesh.parent.name))) {
+      return { type: ColliderType.NONE, reason: 'coberta por UCX_/COL_' }
+    }
+    
+    if (hasAuthoring) {
+      return { type: ColliderType.NONE, reason: 'sem autoria' }
+    }
+    
+    return this.shouldObjectHavePhysics(mesh.name.toLowerCase())
+      ? { type: ColliderType.TRIMESH, reason: 'heurística por nome' }
+      : { type: ColliderType.NONE, reason: 'heurística por nome' }
+  }
+
+  // Imprimir quais malhas ganharam qual collider
+  printColliderReport(report) {
+    if (report.length === 0) return
+    
+    const counts = {}
+    for (const { collider } of report) {
+      counts[collider] = (counts[collider] || 0) + 1
+    }
+    const summary = Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ')
+    
+    console.groupCollapsed(`🧱 Colliders do mapa: ${summary}`)
+    console.table(report)
+    console.groupEnd()
+  }
+
   // Determinar quais objetos do GLB devem ter física
   shouldObjectHavePhysics(objectName) {
     // Objetos que DEVEM ter física (chão, paredes, obstáculos)
@@ -385,7 +1139,9 @@ physicsWorld.findSafeSpawnPosition = function(worldBounds = { minY: -10, maxY: 5
     const hit = this.castRay(
       testPos,
       { x: 0, y: -1, z: 0 },
-      Math.abs(testPos.y - worldBounds.minY) + 5
+      Math.abs(testPos.y - worldBounds.minY) + 5,
+      true,
+      { mask: LayerMask.WORLD }
     )
     
     if (hit) {
@@ -1,7 +1,19 @@
 import * as THREE from 'three'
 import { physicsWorld } from '../physics/physics.js'
+import { CollisionLayer, LayerMask, getLayerFilter, getQueryGroups } from '../physics/layers.js'
 import { Input } from './controls.js'
 import { camera } from '../core/camera.js'
+import { emitNoise, NoiseType, NoiseLoudness } from '../ai/noise.js'
+
+/**
+ * Estados de movimento do player
+ */
+export const MovementState = {
+  STAND: 'STAND',
+  SPRINT: 'SPRINT',
+  CROUCH: 'CROUCH',
+  SLIDE: 'SLIDE'
+}
 
 /**
  * Classe responsável pelo estado e comportamento do jogador
@@ -19,42 +31,95 @@ export class Player {
       radius: 0.3,
       height: 1.4,
       maxSpeed: 10.0,
+      maxFallSpeed: 50.0,
       mouseSensitivity: 0.002,
-      fov: 57
+      fov: 57,
+      
+      // Character controller (KinematicCharacterController do Rapier)
+      maxSlopeAngle: Math.PI / 4,   // Rampa mais íngreme que consegue subir (45°)
+      minSlideAngle: Math.PI / 3,   // Rampas acima disso fazem escorregar (60°)
+      autostepHeight: 0.35,         // Degrau máximo que sobe automaticamente
+      autostepMinWidth: 0.2,        // Largura mínima do degrau
+      snapToGround: 0.3,            // Distância para manter contato ao descer rampas/degraus
+      
+      // Estados de movimento (correr, agachar, deslizar)
+      sprintMultiplier: 1.6,        // Velocidade correndo (x speed)
+      crouchMultiplier: 0.5,        // Velocidade agachado (x speed)
+      crouchHeight: 0.7,            // Altura da cápsula agachado (em pé usa height)
+      cameraHeight: 0.35,           // Offset da câmera em pé
+      crouchCameraHeight: 0.05,     // Offset da câmera agachado
+      cameraLerpSpeed: 12,          // Suavização da altura da câmera
+      slideSpeedMultiplier: 1.9,    // Velocidade inicial do slide (x speed)
+      slideDuration: 0.8,           // Duração do slide em segundos
+      sprintStaminaCost: 20,        // Stamina por segundo correndo
+      staminaRegen: 15,             // Stamina recuperada por segundo
+      minSprintStamina: 15,         // Stamina mínima para começar a correr
+      
+      // Vida e armadura
+      maxHealth: 100,
+      maxArmor: 100,
+      armorAbsorption: 0.6, // Fração do dano absorvida pela armadura
+      respawnDelay: 3.0,    // Segundos até renascer após a morte
+      autoRespawn: true,    // Desligado quando o modo de jogo controla o respawn
+      
+      // Ruídos (ouvidos pelos NPCs)
+      stepDistance: 2.0,    // Metros percorridos entre passos
+      minLandingSpeed: 4.0  // Velocidade de queda mínima para fazer barulho ao aterrissar
     }
     
     // Estado do player
     this.state = {
       isGrounded: false,
+      verticalVelocity: 0,
+      movementState: MovementState.STAND,
+      slideTimer: 0,
+      slideDirection: new THREE.Vector3(),
+      wasCrouchPressed: false,
+      cameraOffset: 0.35,
       canJump: true,
       lastJumpTime: 0,
       jumpCooldown: 300,
       health: 100,
+      armor: 0,
+      isDead: false,
+      respawnTimer: 0,
       stamina: 100,
+      stepAccumulator: 0,
+      fallSpeed: 0,
       position: new THREE.Vector3(),
+      previousPosition: new THREE.Vector3(),
       velocity: new THREE.Vector3()
     }
     
     // Física
     this.physics = {
       rigidBody: null,
-      collider: null
+      collider: null,
+      characterController: null,
+      movementGroups: getQueryGroups(getLayerFilter(CollisionLayer.PLAYER) & ~CollisionLayer.TRIGGER)
     }
     
     // Controles de câmera
     this.camera = {
       yaw: 0,
       pitch: 0,
-      pitchLimit: Math.PI / 2
+      pitchLimit: Math.PI / 2,
+      
+      // Recuo ainda não recuperado (somado ao pitch/yaw pelas armas)
+      recoilPitch: 0,
+      recoilYaw: 0,
+      recoilRecoverySpeed: 6
     }
     
+    // Pontos de spawn autorados no mapa: { position (no chão), yaw }
+    this.spawnPoints = []
+    
     // Vetores auxiliares (para evitar criar novos a cada frame)
     this._forward = new THREE.Vector3()
     this._right = new THREE.Vector3()
     this._up = new THREE.Vector3(0, 1, 0)
     this._moveVector = new THREE.Vector3()
-    this._rayOrigin = new THREE.Vector3()
-    this._rayDirection = new THREE.Vector3(0, -1, 0)
+    this._desiredTranslation = new THREE.Vector3()
   }
   
   /**
@@ -64,10 +129,12 @@ export class Player {
     // Posição inicial
     this.object3D.position.set(0, 4, 4)
     this.state.position.copy(this.object3D.position)
+    this.state.previousPosition.copy(this.object3D.position)
     
     // Configurar câmera
     this.object3D.add(camera)
-    camera.position.set(0, 0.35, 0)
+    this.state.cameraOffset = this.config.cameraHeight
+    camera.position.set(0, this.config.cameraHeight, 0)
     camera.fov = this.config.fov
     camera.updateProjectionMatrix()
     
@@ -75,67 +142,280 @@ export class Player {
     const playerPhysics = physicsWorld.createPlayerBody(
       this.object3D.position,
       this.config.radius,
-      this.config.height
+      this.config.height,
+      this
     )
     
     this.physics.rigidBody = playerPhysics.rigidBody
     this.physics.collider = playerPhysics.collider
+    
+    // Character controller: rampas, degraus, snap no chão e deslizar em paredes
+    this.physics.characterController = physicsWorld.createCharacterController({
+      maxSlopeAngle: this.config.maxSlopeAngle,
+      minSlideAngle: this.config.minSlideAngle,
+      autostepHeight: this.config.autostepHeight,
+      autostepMinWidth: this.config.autostepMinWidth,
+      snapToGround: this.config.snapToGround
+    })
+    
+    // Criar UI de vida
+    this.updateHealthUI()
   }
   
   /**
-   * Atualiza o player a cada frame
+   * Atualiza o player a cada passo fixo da simulação (antes do step da física)
    */
   update(delta) {
     if (!this.physics.rigidBody) return
     
-    // Atualizar posição do objeto 3D baseado na física
-    this.updatePosition()
-    
-    // Verificar se está no chão
-    this.checkGrounded()
-    
-    // Processar movimento
-    this.processMovement(delta)
-    
-    // Processar pulo
-    this.processJump()
+    if (this.state.isDead) {
+      // Morto: controles congelados, apenas a gravidade age
+      this._moveVector.set(0, 0, 0)
+      this.updateRespawn(delta)
+    } else {
+      // Correr / agachar / deslizar
+      this.updateMovementState(delta)
+      
+      // Processar movimento
+      this.processMovement(delta)
+      
+      // Processar pulo
+      this.processJump()
+    }
     
-    // Aplicar movimento na física
-    this.applyMovement()
+    // Aplicar movimento na física (também atualiza se está no chão)
+    this.applyMovement(delta)
     
     // Atualizar estado
     this.updateState(delta)
+    
+    // Altura da câmera (em pé / agachado)
+    this.updateCameraHeight(delta)
+    
+    // Ruído de passos
+    this.updateFootsteps(delta)
   }
   
   /**
-   * Atualiza a posição do objeto 3D baseado na física
+   * Registra a posição da física após o step (estado anterior + atual)
    */
   updatePosition() {
+    if (!this.physics.rigidBody) return
+    
     const currentPos = this.physics.rigidBody.translation()
-    this.object3D.position.set(currentPos.x, currentPos.y, currentPos.z)
-    this.state.position.copy(this.object3D.position)
+    this.state.previousPosition.copy(this.state.position)
+    this.state.position.set(currentPos.x, currentPos.y, currentPos.z)
+  }
+  
+  /**
+   * Posiciona o objeto 3D interpolando entre os dois últimos estados da física
+   */
+  interpolate(alpha) {
+    this.object3D.position.lerpVectors(this.state.previousPosition, this.state.position, alpha)
   }
   
   /**
-   * Verifica se o player está no chão usando raycast
+   * Verifica se o player está no chão (resultado do último movimento do character controller)
    */
   checkGrounded() {
-    if (!physicsWorld.world) {
+    if (!physicsWorld.world || !this.physics.characterController) {
       this.state.isGrounded = false
       return
     }
     
-    const playerPos = this.physics.rigidBody.translation()
-    this._rayOrigin.set(playerPos.x, playerPos.y, playerPos.z)
+    const wasGrounded = this.state.isGrounded
+    this.state.isGrounded = this.physics.characterController.computedGrounded()
     
-    const hit = physicsWorld.castRay(
-      this._rayOrigin,
-      this._rayDirection,
-      this.config.height / 2 + 0.5
-    )
+    // Registrar velocidade de queda enquanto está no ar
+    if (!this.state.isGrounded) {
+      this.state.fallSpeed = Math.max(this.state.fallSpeed, -this.state.verticalVelocity)
+    } else if (!wasGrounded) {
+      this.onLand(this.state.fallSpeed)
+      this.state.fallSpeed = 0
+    }
+  }
+  
+  /**
+   * Chamado ao tocar o chão depois de estar no ar
+   */
+  onLand(fallSpeed) {
+    if (fallSpeed < this.config.minLandingSpeed) return
     
-    const wasGrounded = this.state.isGrounded
-    this.state.isGrounded = hit !== null && hit.distance <= (this.config.height / 2 + 0.3)
+    // Quedas mais rápidas fazem mais barulho
+    const loudness = NoiseLoudness[NoiseType.LANDING] * Math.min(fallSpeed / this.config.minLandingSpeed, 2)
+    emitNoise(this.state.position, NoiseType.LANDING, { loudness, source: 'player' })
+  }
+  
+  /**
+   * Emite ruído de passos conforme a distância percorrida no chão
+   */
+  updateFootsteps(delta) {
+    if (!this.state.isGrounded || this._moveVector.lengthSq() === 0) {
+      return
+    }
+    
+    this.state.stepAccumulator += this._moveVector.length() * delta
+    
+    if (this.state.stepAccumulator >= this.config.stepDistance) {
+      this.state.stepAccumulator = 0
+      
+      // Correndo faz mais barulho, agachado quase nenhum
+      const loudnessScale = {
+        [MovementState.SPRINT]: 1.5,
+        [MovementState.CROUCH]: 0.4
+      }[this.state.movementState] ?? 1
+      
+      emitNoise(this.state.position, NoiseType.FOOTSTEP, {
+        loudness: NoiseLoudness[NoiseType.FOOTSTEP] * loudnessScale,
+        source: 'player'
+      })
+    }
+  }
+  
+  // ========== ESTADOS DE MOVIMENTO ==========
+  
+  /**
+   * Máquina de estados de movimento
+   * Shift = correr (gasta stamina), Ctrl/C = agachar, correr + agachar = deslizar
+   */
+  updateMovementState(delta) {
+    const crouchPressed = Input.keys.ControlLeft || Input.keys.ControlRight || Input.keys.KeyC
+    const sprintPressed = Input.keys.ShiftLeft || Input.keys.ShiftRight
+    const movingForward = Input.keys.KeyW
+    
+    const crouchJustPressed = crouchPressed && !this.state.wasCrouchPressed
+    this.state.wasCrouchPressed = crouchPressed
+    
+    switch (this.state.movementState) {
+      case MovementState.SLIDE:
+        this.state.slideTimer -= delta
+        if (this.state.slideTimer <= 0 || !this.state.isGrounded) {
+          this.setMovementState(crouchPressed ? MovementState.CROUCH : MovementState.STAND)
+        }
+        break
+        
+      case MovementState.CROUCH:
+        if (!crouchPressed) {
+          this.setMovementState(MovementState.STAND)
+        }
+        break
+        
+      case MovementState.SPRINT:
+        if (crouchJustPressed && this.state.isGrounded) {
+          this.startSlide()
+        } else if (!sprintPressed || !movingForward || this.state.stamina <= 0) {
+          this.setMovementState(MovementState.STAND)
+        }
+        break
+        
+      default:
+        if (crouchPressed) {
+          this.setMovementState(MovementState.CROUCH)
+        } else if (sprintPressed && movingForward && this.state.isGrounded && this.state.stamina >= this.config.minSprintStamina) {
+          this.setMovementState(MovementState.SPRINT)
+        }
+        break
+    }
+  }
+  
+  /**
+   * Muda o estado de movimento, ajustando a cápsula ao agachar/levantar
+   * Retorna false se não foi possível levantar (teto baixo)
+   */
+  setMovementState(newState) {
+    const current = this.state.movementState
+    if (current === newState) return true
+    
+    const wasCrouched = current === MovementState.CROUCH || current === MovementState.SLIDE
+    const willCrouch = newState === MovementState.CROUCH || newState === MovementState.SLIDE
+    
+    if (wasCrouched && !willCrouch) {
+      // Sem espaço para ficar em pé: continuar agachado
+      if (!this.canStandUp()) {
+        this.state.movementState = MovementState.CROUCH
+        return false
+      }
+      this.setCrouchedCapsule(false)
+    } else if (!wasCrouched && willCrouch) {
+      this.setCrouchedCapsule(true)
+    }
+    
+    this.state.movementState = newState
+    return true
+  }
+  
+  /**
+   * Inicia um slide na direção atual do movimento
+   */
+  startSlide() {
+    this.state.slideDirection.set(this._moveVector.x, 0, this._moveVector.z)
+    
+    if (this.state.slideDirection.lengthSq() === 0) {
+      this.object3D.getWorldDirection(this.state.slideDirection).negate()
+      this.state.slideDirection.y = 0
+    }
+    
+    this.state.slideDirection.normalize()
+    this.state.slideTimer = this.config.slideDuration
+    this.setMovementState(MovementState.SLIDE)
+  }
+  
+  /**
+   * Encolhe ou restaura a cápsula mantendo os pés no mesmo lugar
+   */
+  setCrouchedCapsule(crouched) {
+    const standHalfHeight = this.config.height / 2
+    const crouchHalfHeight = this.config.crouchHeight / 2
+    const shift = (standHalfHeight - crouchHalfHeight) * (crouched ? -1 : 1)
+    
+    this.physics.collider.setHalfHeight(crouched ? crouchHalfHeight : standHalfHeight)
+    
+    const pos = this.physics.rigidBody.translation()
+    this.physics.rigidBody.setTranslation({ x: pos.x, y: pos.y + shift, z: pos.z }, true)
+    this.state.position.y += shift
+    this.state.previousPosition.y += shift
+    
+    // Compensar a câmera para não "pular"; depois ela interpola até a altura alvo
+    this.state.cameraOffset -= shift
+  }
+  
+  /**
+   * Verifica se há espaço acima da cápsula agachada para ficar em pé
+   */
+  canStandUp() {
+    const pos = this.physics.rigidBody.translation()
+    const crouchHalfHeight = this.config.crouchHeight / 2
+    const extraHeight = this.config.height - this.config.crouchHeight
+    const maxDistance = crouchHalfHeight + this.config.radius + extraHeight
+    const offset = this.config.radius * 0.7
+    
+    const origins = [
+      [0, 0], [offset, 0], [-offset, 0], [0, offset], [0, -offset]
+    ]
+    
+    for (const [dx, dz] of origins) {
+      const hit = physicsWorld.castRay(
+        { x: pos.x + dx, y: pos.y, z: pos.z + dz },
+        { x: 0, y: 1, z: 0 },
+        maxDistance,
+        true,
+        { mask: LayerMask.SOLID, excludeBody: this.physics.rigidBody }
+      )
+      if (hit) return false
+    }
+    
+    return true
+  }
+  
+  /**
+   * Interpola a altura da câmera até a altura do estado atual
+   */
+  updateCameraHeight(delta) {
+    const target = this.isCrouching() ? this.config.crouchCameraHeight : this.config.cameraHeight
+    const t = Math.min(1, this.config.cameraLerpSpeed * delta)
+    
+    this.state.cameraOffset += (target - this.state.cameraOffset) * t
+    camera.position.y = this.state.cameraOffset
   }
   
   /**
@@ -144,6 +424,18 @@ export class Player {
   processMovement(delta) {
     this._moveVector.set(0, 0, 0)
     
+    // Usar velocidade do debug menu se disponível
+    const baseSpeed = (window.debugConfig?.movementSpeed) || this.config.speed
+    
+    // Slide: velocidade decai da velocidade inicial até a de agachado
+    if (this.state.movementState === MovementState.SLIDE) {
+      const t = Math.max(0, this.state.slideTimer / this.config.slideDuration)
+      const crouchSpeed = baseSpeed * this.config.crouchMultiplier
+      const slideSpeed = baseSpeed * this.config.slideSpeedMultiplier
+      this._moveVector.copy(this.state.slideDirection).multiplyScalar(crouchSpeed + (slideSpeed - crouchSpeed) * t)
+      return
+    }
+    
     // Obter direções da câmera
     this.object3D.getWorldDirection(this._forward)
     this._forward.y = 0
@@ -160,9 +452,12 @@ export class Player {
     if (this._moveVector.length() > 0) {
       this._moveVector.normalize()
       
-      // Usar velocidade do debug menu se disponível
-      const currentSpeed = (window.debugConfig?.movementSpeed) || this.config.speed
-      this._moveVector.multiplyScalar(currentSpeed)
+      const multiplier = {
+        [MovementState.SPRINT]: this.config.sprintMultiplier,
+        [MovementState.CROUCH]: this.config.crouchMultiplier
+      }[this.state.movementState] ?? 1
+      
+      this._moveVector.multiplyScalar(baseSpeed * multiplier)
     }
   }
   
@@ -172,7 +467,8 @@ export class Player {
   processJump() {
     const spacePressed = Input.keys.Space || Input.keys[' ']
     
-    if (spacePressed && this.state.isGrounded) {
+    // Não pula agachado ou deslizando
+    if (spacePressed && this.state.isGrounded && !this.isCrouching()) {
       this.jump()
     }
   }
@@ -181,80 +477,338 @@ export class Player {
    * Executa o pulo
    */
   jump() {
-    const currentVel = this.physics.rigidBody.linvel()
     const jumpForce = (window.debugConfig?.jumpForce) || this.config.jumpForce
     
-    this.physics.rigidBody.setLinvel({
-      x: currentVel.x,
-      y: jumpForce,
-      z: currentVel.z
-    }, true)
+    // jumpForce é a velocidade vertical inicial do pulo
+    this.state.verticalVelocity = jumpForce
+    this.state.isGrounded = false
   }
   
   /**
-   * Aplica o movimento calculado na física
+   * Aplica o movimento calculado na física através do character controller
    */
-  applyMovement() {
-    const currentVel = this.physics.rigidBody.linvel()
+  applyMovement(delta) {
+    const controller = this.physics.characterController
+    if (!controller) return
     
-    const targetVelocity = {
-      x: this._moveVector.x,
-      y: currentVel.y, // Manter velocidade Y para gravidade
-      z: this._moveVector.z
+    // Gravidade integrada manualmente (corpo cinemático não sofre gravidade)
+    const gravity = physicsWorld.getGravity()
+    if (!this.state.isGrounded || this.state.verticalVelocity > 0) {
+      this.state.verticalVelocity = Math.max(
+        this.state.verticalVelocity + gravity.y * delta,
+        -this.config.maxFallSpeed
+      )
     }
     
     // Limitar velocidade máxima horizontal
-    const horizontalSpeed = Math.sqrt(targetVelocity.x * targetVelocity.x + targetVelocity.z * targetVelocity.z)
+    const horizontalSpeed = Math.sqrt(this._moveVector.x * this._moveVector.x + this._moveVector.z * this._moveVector.z)
     if (horizontalSpeed > this.config.maxSpeed) {
       const scale = this.config.maxSpeed / horizontalSpeed
-      targetVelocity.x *= scale
-      targetVelocity.z *= scale
+      this._moveVector.x *= scale
+      this._moveVector.z *= scale
+    }
+    
+    // Subindo: não grudar no chão (senão o snap cancela o pulo)
+    if (this.state.verticalVelocity > 0) {
+      controller.disableSnapToGround()
+    } else if (this.config.snapToGround > 0) {
+      controller.enableSnapToGround(this.config.snapToGround)
     }
     
-    // Aplicar velocidade
-    this.physics.rigidBody.setLinvel(targetVelocity, true)
-    this.state.velocity.set(targetVelocity.x, targetVelocity.y, targetVelocity.z)
+    this._desiredTranslation.set(
+      this._moveVector.x * delta,
+      this.state.verticalVelocity * delta,
+      this._moveVector.z * delta
+    )
+    
+    // Colisão, deslizamento, degraus e rampas resolvidos pelo Rapier
+    // Só colide com as camadas do player (gatilhos não bloqueiam o movimento)
+    controller.computeColliderMovement(
+      this.physics.collider,
+      this._desiredTranslation,
+      undefined,
+      this.physics.movementGroups
+    )
+    const movement = controller.computedMovement()
+    
+    const currentPos = this.physics.rigidBody.translation()
+    this.physics.rigidBody.setNextKinematicTranslation({
+      x: currentPos.x + movement.x,
+      y: currentPos.y + movement.y,
+      z: currentPos.z + movement.z
+    })
+    
+    this.checkGrounded()
+    
+    // Bateu a cabeça no teto ou aterrissou: zerar velocidade vertical
+    const blockedUp = this.state.verticalVelocity > 0 && movement.y < this._desiredTranslation.y * 0.5
+    if ((this.state.isGrounded && this.state.verticalVelocity < 0) || blockedUp) {
+      this.state.verticalVelocity = 0
+    }
+    
+    this.state.velocity.set(movement.x / delta, this.state.verticalVelocity, movement.z / delta)
   }
   
   /**
    * Atualiza o estado do player
    */
   updateState(delta) {
-    // Atualizar stamina (exemplo)
-    if (this._moveVector.length() > 0) {
-      this.state.stamina = Math.max(0, this.state.stamina - 10 * delta)
+    // Stamina: gasta correndo, recupera nos outros estados
+    if (this.state.movementState === MovementState.SPRINT) {
+      this.state.stamina = Math.max(0, this.state.stamina - this.config.sprintStaminaCost * delta)
+    } else {
+      this.state.stamina = Math.min(100, this.state.stamina + this.config.staminaRegen * delta)
+    }
+  }
+  
+  // ========== VIDA E DANO ==========
+  
+  /**
+   * Aplica dano ao player (a armadura absorve parte do dano)
+   * Mesma assinatura do NPC.takeDamage; zone não muda o dano do player
+   * Retorna true se o dano foi aplicado
+   */
+  takeDamage(amount, { source = null } = {}) {
+    if (this.state.isDead || amount <= 0) return false
+    
+    const absorbed = Math.min(this.state.armor, amount * this.config.armorAbsorption)
+    const damage = amount - absorbed
+    
+    this.state.armor -= absorbed
+    this.state.health = Math.max(0, this.state.health - damage)
+    
+    this.updateHealthUI()
+    
+    window.dispatchEvent(new CustomEvent('player-damaged', {
+      detail: {
+        player: this,
+        damage,
+        absorbed,
+        health: this.state.health,
+        armor: this.state.armor,
+        source
+      }
+    }))
+    
+    if (this.state.health <= 0) {
+      this.die(source)
+    }
+    
+    return true
+  }
+  
+  /**
+   * Recupera vida
+   */
+  heal(amount) {
+    if (this.state.isDead) return
+    
+    this.state.health = Math.min(this.config.maxHealth, this.state.health + amount)
+    this.updateHealthUI()
+  }
+  
+  /**
+   * Adiciona armadura
+   */
+  addArmor(amount) {
+    if (this.state.isDead) return
+    
+    this.state.armor = Math.min(this.config.maxArmor, this.state.armor + amount)
+    this.updateHealthUI()
+  }
+  
+  /**
+   * Mata o player e congela os controles até o respawn
+   */
+  die(source = null) {
+    if (this.state.isDead) return
+    
+    this.state.isDead = true
+    this.state.health = 0
+    this.state.respawnTimer = this.config.autoRespawn ? this.config.respawnDelay : 0
+    
+    // Parar movimento horizontal
+    this._moveVector.set(0, 0, 0)
+    
+    this.updateHealthUI()
+    
+    window.dispatchEvent(new CustomEvent('player-death', {
+      detail: { player: this, source }
+    }))
+  }
+  
+  /**
+   * Conta o tempo até o respawn
+   */
+  updateRespawn(delta) {
+    if (this.state.respawnTimer <= 0) return
+    
+    this.state.respawnTimer -= delta
+    this.updateHealthUI()
+    
+    if (this.state.respawnTimer <= 0) {
+      this.respawn()
+    }
+  }
+  
+  /**
+   * Renasce o player em uma posição segura
+   */
+  respawn() {
+    if (!this.moveToSpawnPoint()) {
+      const spawn = physicsWorld.findSafeSpawnPosition()
+      this.setPosition(spawn.x, spawn.y, spawn.z)
+    }
+    
+    this.setMovementState(MovementState.STAND)
+    this.state.isDead = false
+    this.state.respawnTimer = 0
+    this.state.health = this.config.maxHealth
+    this.state.armor = 0
+    this.state.stamina = 100
+    
+    this.updateHealthUI()
+    
+    window.dispatchEvent(new CustomEvent('player-respawn', {
+      detail: { player: this }
+    }))
+  }
+  
+  /**
+   * Verifica se o player está morto
+   */
+  isDead() {
+    return this.state.isDead
+  }
+  
+  /**
+   * Atualiza UI de vida e armadura
+   */
+  updateHealthUI() {
+    let healthDisplay = document.getElementById('health-display')
+    
+    if (!healthDisplay) {
+      healthDisplay = document.createElement('div')
+      healthDisplay.id = 'health-display'
+      healthDisplay.style.cssText = `
+        position: fixed;
+        bottom: 30px;
+        left: 30px;
+        font-family: 'Arial Black', sans-serif;
+        font-size: 28px;
+        font-weight: bold;
+        color: white;
+        text-shadow: 2px 2px 4px rgba(0,0,0,0.8);
+        z-index: 1000;
+        user-select: none;
+      `
+      document.body.appendChild(healthDisplay)
+    }
+    
+    if (this.state.isDead) {
+      healthDisplay.style.color = '#ff4444'
+      healthDisplay.textContent = this.config.autoRespawn
+        ? `MORTO - renascendo em ${Math.ceil(Math.max(0, this.state.respawnTimer))}s`
+        : 'MORTO'
+      return
+    }
+    
+    // Cor baseada na vida
+    if (this.state.health <= 25) {
+      healthDisplay.style.color = '#ff4444'
+    } else if (this.state.health <= 50) {
+      healthDisplay.style.color = '#ffaa00'
     } else {
-      this.state.stamina = Math.min(100, this.state.stamina + 20 * delta)
+      healthDisplay.style.color = 'white'
     }
+    
+    const armorText = this.state.armor > 0 ? `  🛡 ${Math.ceil(this.state.armor)}` : ''
+    healthDisplay.textContent = `❤ ${Math.ceil(this.state.health)}${armorText}`
   }
   
   /**
    * Processa o movimento do mouse para rotação da câmera
    */
   processMouseMovement(deltaX, deltaY) {
+    if (this.state.isDead) return
+    
     const sensitivity = (window.debugConfig?.mouseSensitivity) || this.config.mouseSensitivity
     
+    const pitchDelta = -deltaY * sensitivity
+    
     this.camera.yaw -= deltaX * sensitivity
-    this.camera.pitch -= deltaY * sensitivity
+    this.camera.pitch += pitchDelta
     
-    // Limitar pitch
+    // Puxar a mira para baixo compensa o recuo (não recuperar além do necessário)
+    if (pitchDelta < 0 && this.camera.recoilPitch > 0) {
+      this.camera.recoilPitch = Math.max(0, this.camera.recoilPitch + pitchDelta)
+    }
+    
+    this.applyCameraRotation()
+  }
+  
+  /**
+   * Limita o pitch e aplica as rotações na câmera
+   */
+  applyCameraRotation() {
     this.camera.pitch = Math.max(-this.camera.pitchLimit, Math.min(this.camera.pitchLimit, this.camera.pitch))
     
-    // Aplicar rotações
     this.object3D.rotation.y = this.camera.yaw
     camera.rotation.x = this.camera.pitch
   }
   
+  /**
+   * Aplica um coice de recuo na câmera (recuperado aos poucos em updateRecoil)
+   */
+  addRecoil(pitch, yaw, recoverySpeed = this.camera.recoilRecoverySpeed) {
+    if (this.state.isDead) return
+    
+    this.camera.pitch += pitch
+    this.camera.yaw += yaw
+    this.camera.recoilPitch += pitch
+    this.camera.recoilYaw += yaw
+    this.camera.recoilRecoverySpeed = recoverySpeed
+    
+    this.applyCameraRotation()
+  }
+  
+  /**
+   * Devolve a mira à posição anterior ao recuo (chamado a cada frame)
+   */
+  updateRecoil(delta) {
+    const { recoilPitch, recoilYaw } = this.camera
+    if (recoilPitch === 0 && recoilYaw === 0) return
+    
+    const t = Math.min(1, this.camera.recoilRecoverySpeed * delta)
+    let pitchStep = recoilPitch * t
+    let yawStep = recoilYaw * t
+    
+    // Resto muito pequeno: terminar a recuperação
+    if (Math.abs(recoilPitch - pitchStep) < 0.0001 && Math.abs(recoilYaw - yawStep) < 0.0001) {
+      pitchStep = recoilPitch
+      yawStep = recoilYaw
+    }
+    
+    this.camera.pitch -= pitchStep
+    this.camera.yaw -= yawStep
+    this.camera.recoilPitch -= pitchStep
+    this.camera.recoilYaw -= yawStep
+    
+    this.applyCameraRotation()
+  }
+  
   /**
    * Define a posição do player
    */
   setPosition(x, y, z) {
     this.object3D.position.set(x, y, z)
     this.state.position.set(x, y, z)
+    this.state.previousPosition.set(x, y, z)
     
     if (this.physics.rigidBody) {
       this.physics.rigidBody.setTranslation({ x, y, z }, true)
-      this.physics.rigidBody.setLinvel({ x: 0, y: 0, z: 0 }, true)
+      this.state.verticalVelocity = 0
+      this.state.fallSpeed = 0
     }
   }
   
@@ -262,7 +816,38 @@ export class Player {
    * Posiciona o player após o mundo ser carregado
    */
   positionAfterWorldLoad() {
-    this.setPosition(0, 5, 4)
+    if (!this.moveToSpawnPoint()) {
+      this.setPosition(0, 5, 4)
+    }
+  }
+  
+  /**
+   * Define os pontos de spawn autorados no mapa
+   */
+  setSpawnPoints(points) {
+    this.spawnPoints = points
+  }
+  
+  /**
+   * Move o player para um dos pontos de spawn do mapa (sorteado)
+   * Retorna false se o mapa não tiver pontos de spawn
+   */
+  moveToSpawnPoint() {
+    if (this.spawnPoints.length === 0) return false
+    
+    const spawn = this.spawnPoints[Math.floor(Math.random() * this.spawnPoints.length)]
+    
+    // O ponto fica no chão; a posição do player é o centro da cápsula
+    const { x, y, z } = spawn.position
+    this.setPosition(x, y + this.config.height / 2 + this.config.radius + 0.05, z)
+    
+    this.camera.yaw = spawn.yaw
+    this.camera.pitch = 0
+    this.camera.recoilPitch = 0
+    this.camera.recoilYaw = 0
+    this.applyCameraRotation()
+    
+    return true
   }
   
   /**
@@ -272,6 +857,41 @@ export class Player {
     return this.state.position.clone()
   }
   
+  /**
+   * Pontos da cápsula usados nos testes de visão dos NPCs (cabeça, peito e pés)
+   */
+  getVisibilityPoints() {
+    const halfHeight = this.config.height / 2
+    const { x, y, z } = this.state.position
+    
+    return [
+      new THREE.Vector3(x, y + halfHeight + this.config.radius * 0.5, z),
+      new THREE.Vector3(x, y + halfHeight * 0.4, z),
+      new THREE.Vector3(x, y - halfHeight - this.config.radius * 0.5, z)
+    ]
+  }
+  
+  /**
+   * Obtém o estado de movimento atual
+   */
+  getMovementState() {
+    return this.state.movementState
+  }
+  
+  /**
+   * Verifica se o player está correndo
+   */
+  isSprinting() {
+    return this.state.movementState === MovementState.SPRINT
+  }
+  
+  /**
+   * Verifica se o player está agachado (inclui o slide)
+   */
+  isCrouching() {
+    return this.state.movementState === MovementState.CROUCH || this.state.movementState === MovementState.SLIDE
+  }
+  
   /**
    * Verifica se o player está no chão
    */
@@ -281,9 +901,10 @@ export class Player {
   
   /**
    * Configura o FOV da câmera
+   * Com persist = false só a câmera muda (ex.: zoom da mira), mantendo o FOV base
    */
-  setFOV(fov) {
-    this.config.fov = fov
+  setFOV(fov, persist = true) {
+    if (persist) this.config.fov = fov
     camera.fov = fov
     camera.updateProjectionMatrix()
   }
@@ -302,6 +923,13 @@ export class Player {
     this.config.jumpForce = force
   }
   
+  /**
+   * Liga/desliga o respawn automático após a morte
+   */
+  setAutoRespawn(enabled) {
+    this.config.autoRespawn = enabled
+  }
+  
   /**
    * Configura a sensibilidade do mouse
    */
@@ -313,12 +941,18 @@ export class Player {
    * Limpa recursos quando o player é destruído
    */
   dispose() {
-    if (this.physics.rigidBody) {
-      physicsWorld.world.removeRigidBody(this.physics.rigidBody)
+    const healthDisplay = document.getElementById('health-display')
+    if (healthDisplay) healthDisplay.remove()
+    
+    if (this.physics.characterController) {
+      physicsWorld.removeCharacterController(this.physics.characterController)
     }
     
-    if (this.physics.collider) {
-      physicsWorld.world.removeCollider(this.physics.collider, true)
+    // Os colliders saem junto com o corpo
+    if (this.physics.rigidBody) {
+      physicsWorld.removeBody(this.physics.rigidBody)
+      this.physics.rigidBody = null
+      this.physics.collider = null
     }
   }
 }
@@ -10,6 +10,7 @@ export const Input = {
     deltaY: 0,
     left: false,
     right: false,
+    wheel: 0, // Acumulado desde a última leitura (positivo = para baixo)
     prevX: 0,
     prevY: 0
   }
@@ -25,6 +26,12 @@ export function initControls() {
   document.addEventListener('mousemove', onMouseMove)
   document.addEventListener('mousedown', onMouseDown)
   document.addEventListener('mouseup', onMouseUp)
+  document.addEventListener('wheel', onMouseWheel, { passive: true })
+
+  // Botão direito é a mira: sem menu de contexto durante o jogo
+  document.addEventListener('contextmenu', (e) => {
+    if (document.pointerLockElement) e.preventDefault()
+  })
 
   document.addEventListener('keydown', onKeyDown)
   document.addEventListener('keyup', onKeyUp)
@@ -63,6 +70,11 @@ function onMouseUp(e) {
   if (e.button === 2) Input.mouse.right = false
 }
 
+function onMouseWheel(e) {
+  if (!document.pointerLockElement || !controlsActive) return
+  Input.mouse.wheel += Math.sign(e.deltaY)
+}
+
 function onKeyDown(e) {
   if (!controlsActive) return
   Input.keys[e.code] = true
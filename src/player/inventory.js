@@ -0,0 +1,167 @@
+import { Weapon } from './weapon.js'
+import { Input } from './controls.js'
+import { getWeaponDefinitions, getWeaponDefinition } from '../weapons/registry.js'
+
+/**
+ * Inventário de armas do player
+ * Troca por teclas numéricas (1-9) ou roda do mouse, com transição
+ * de guardar a arma atual e sacar a próxima
+ */
+export class WeaponInventory {
+  constructor() {
+    this.weapons = []
+    this.currentIndex = -1
+
+    // Arma que será sacada quando a atual terminar de ser guardada
+    this.pendingIndex = -1
+  }
+
+  /**
+   * Carrega as armas iniciais (por padrão, todas as definições registradas)
+   */
+  async init(weaponIds = null) {
+    const definitions = weaponIds
+      ? weaponIds.map(id => getWeaponDefinition(id)).filter(Boolean)
+      : getWeaponDefinitions()
+
+    for (const definition of definitions) {
+      await this.addWeapon(definition)
+    }
+
+    if (this.weapons.length > 0) {
+      this.equip(0)
+    }
+  }
+
+  /**
+   * Adiciona uma arma ao inventário a partir da definição
+   * Se a arma já existir, apenas soma a munição reserva
+   */
+  async addWeapon(definition) {
+    const existing = this.weapons.find(weapon => weapon.id === definition.id)
+    if (existing) {
+      existing.addAmmo(definition.reserveAmmo)
+      return existing
+    }
+
+    const weapon = new Weapon(definition)
+    await weapon.init()
+
+    if (!weapon.state.isReady) return null
+
+    this.weapons.push(weapon)
+    return weapon
+  }
+
+  /**
+   * Arma empunhada no momento
+   */
+  getCurrentWeapon() {
+    return this.weapons[this.currentIndex] || null
+  }
+
+  /**
+   * Saca uma arma imediatamente (sem guardar a anterior)
+   */
+  equip(index) {
+    this.currentIndex = index
+    this.pendingIndex = -1
+    this.weapons[index].draw()
+  }
+
+  /**
+   * Troca para a arma no índice indicado
+   */
+  switchTo(index) {
+    if (index < 0 || index >= this.weapons.length) return
+
+    // Já empunhada (ou já a caminho)
+    if (index === this.currentIndex && this.pendingIndex === -1) return
+    if (index === this.pendingIndex) return
+
+    const current = this.getCurrentWeapon()
+
+    if (!current) {
+      this.equip(index)
+      return
+    }
+
+    this.pendingIndex = index
+    current.holster()
+  }
+
+  /**
+   * Próxima arma (roda do mouse)
+   */
+  next() {
+    if (this.weapons.length < 2) return
+    const from = this.pendingIndex !== -1 ? this.pendingIndex : this.currentIndex
+    this.switchTo((from + 1) % this.weapons.length)
+  }
+
+  /**
+   * Arma anterior (roda do mouse)
+   */
+  previous() {
+    if (this.weapons.length < 2) return
+    const from = this.pendingIndex !== -1 ? this.pendingIndex : this.currentIndex
+    this.switchTo((from - 1 + this.weapons.length) % this.weapons.length)
+  }
+
+  /**
+   * Processa teclas numéricas e roda do mouse
+   */
+  processSwitchInput() {
+    for (let i = 0; i < Math.min(this.weapons.length, 9); i++) {
+      if (Input.keys[`Digit${i + 1}`]) {
+        this.switchTo(i)
+      }
+    }
+
+    if (Input.mouse.wheel > 0) {
+      this.next()
+    } else if (Input.mouse.wheel < 0) {
+      this.previous()
+    }
+    Input.mouse.wheel = 0
+  }
+
+  /**
+   * Atualiza o inventário e a arma atual
+   */
+  update(delta, isMoving = false) {
+    this.processSwitchInput()
+
+    const current = this.getCurrentWeapon()
+    if (!current) return
+
+    // Arma atual guardada: sacar a próxima
+    if (this.pendingIndex !== -1 && current.state.isHolstered) {
+      this.equip(this.pendingIndex)
+    }
+
+    this.getCurrentWeapon().update(delta, isMoving)
+  }
+
+  /**
+   * Limpa recursos
+   */
+  dispose() {
+    for (const weapon of this.weapons) {
+      weapon.dispose()
+    }
+    this.weapons = []
+    this.currentIndex = -1
+    this.pendingIndex = -1
+
+    // Remover UI
+    const ammoDisplay = document.getElementById('ammo-display')
+    if (ammoDisplay) ammoDisplay.remove()
+
+    const crosshair = document.getElementById('crosshair')
+    if (crosshair) crosshair.remove()
+
+    const hitMarker = document.getElementById('hit-marker')
+    if (hitMarker) hitMarker.remove()
+  }
+}
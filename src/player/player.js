@@ -24,6 +24,16 @@ export const player = new Proxy({}, {
     if (prop === 'add') return playerInstance.object3D.add.bind(playerInstance.object3D)
     if (prop === 'getWorldDirection') return playerInstance.object3D.getWorldDirection.bind(playerInstance.object3D)
     
+    // Vida e dano (usados pela IA dos NPCs)
+    if (prop === 'takeDamage') return playerInstance.takeDamage.bind(playerInstance)
+    if (prop === 'isDead') return playerInstance.isDead.bind(playerInstance)
+    
+    // Física e visibilidade (usados na linha de visão, na mira e no desvio dos NPCs)
+    if (prop === 'collider') return playerInstance.physics.collider
+    if (prop === 'radius') return playerInstance.config.radius
+    if (prop === 'getVisibilityPoints') return playerInstance.getVisibilityPoints.bind(playerInstance)
+    if (prop === 'velocity') return playerInstance.state.velocity
+    
     // Outras propriedades
     return playerInstance.object3D[prop]
   },
@@ -50,6 +60,30 @@ export function updatePlayer(delta) {
   playerInstance.update(delta)
 }
 
+/**
+ * Registra a posição do player após o step da física
+ */
+export function syncPlayerPhysics() {
+  const playerInstance = getPlayer()
+  playerInstance.updatePosition()
+}
+
+/**
+ * Interpola a posição renderizada do player
+ */
+export function interpolatePlayer(alpha) {
+  const playerInstance = getPlayer()
+  playerInstance.interpolate(alpha)
+}
+
+/**
+ * Recupera o recuo da câmera (a cada frame, fora do passo fixo)
+ */
+export function updatePlayerRecoil(delta) {
+  const playerInstance = getPlayer()
+  playerInstance.updateRecoil(delta)
+}
+
 /**
  * Posiciona o player após carregamento do mundo
  */
@@ -90,6 +124,22 @@ export function getIsGrounded() {
   return playerInstance.isGrounded()
 }
 
+/**
+ * Aplica dano ao player
+ */
+export function damagePlayer(amount, source = null) {
+  const playerInstance = getPlayer()
+  playerInstance.takeDamage(amount, { source })
+}
+
+/**
+ * Renasce o player em uma posição segura
+ */
+export function respawnPlayer() {
+  const playerInstance = getPlayer()
+  playerInstance.respawn()
+}
+
 /**
  * Configura FOV
  */
@@ -4,6 +4,17 @@ import { TextureLoader } from 'three'
 import { camera } from '../core/camera.js'
 import { Input } from './controls.js'
 import { scene } from '../core/scene.js'
+import { getPlayer } from './player.js'
+import { MovementState } from './PlayerClass.js'
+import { emitNoise, NoiseType } from '../ai/noise.js'
+import { FireMode, WeaponType } from '../weapons/registry.js'
+import { spawnProjectile } from '../weapons/projectiles.js'
+import { WeaponInventory } from './inventory.js'
+import { HitZone, getHitbox } from '../entities/hitboxes.js'
+import { debugRay } from '../physics/debug.js'
+import { physicsWorld } from '../physics/physics.js'
+import { PhysicsMaterials } from '../physics/colliders.js'
+import { LayerMask } from '../physics/layers.js'
 
 // Referência ao NPCManager (definida depois para evitar dependência circular)
 let npcManagerRef = null
@@ -15,15 +26,57 @@ export function setNPCManagerRef(manager) {
 // Texture loader para carregar texturas manualmente
 const textureLoader = new THREE.TextureLoader()
 
+// Animações que tocam em loop (as demais tocam uma vez)
+const LOOPING_ANIMATIONS = ['idle', 'walk']
+
+// Distância mínima (px) entre o centro da mira e as linhas do crosshair
+const CROSSHAIR_GAP = 6
+const CROSSHAIR_LINE_LENGTH = 12
+
+// Camadas que o tiro consulta no Rapier (NPCs pela camada HITBOX)
+const SHOT_MASK = LayerMask.HITSCAN
+
+// Avanço além da superfície ao procurar a saída (evita reencontrar a entrada)
+const PENETRATION_EPSILON = 0.01
+
+// Limite de trechos por tiro (superfícies atravessadas + a final)
+const MAX_TRACE_STEPS = 8
+
+// Impulso aplicado em objetos soltos por ponto de dano
+const IMPACT_IMPULSE = 0.02
+
+/**
+ * O que um tiro atingiu (detail.type do evento 'weapon-hit')
+ */
+export const HitType = {
+  NPC: 'npc',
+  PROP: 'prop',   // Corpo dinâmico
+  WORLD: 'world'  // Cenário estático
+}
+
+// Reutilizados no traçado dos tiros
+const _segmentStart = new THREE.Vector3()
+const _exitStart = new THREE.Vector3()
+const _impulse = new THREE.Vector3()
+
+// NPCs cujas hitboxes foram atualizadas para o tiro atual
+const _shotNPCs = new Set()
+
 /**
  * Sistema de Arma FPS
- * Carrega modelo GLTF com animações de braços + pistola
+ * Carrega modelo GLTF com animações de braços + arma a partir de uma
+ * definição JSON (ver weapons/registry.js)
  */
 export class Weapon {
-  constructor() {
+  constructor(definition) {
+    this.definition = definition
+    this.id = definition.id
+    this.name = definition.name
+    
     // Grupo que contém toda a arma
     this.weaponGroup = new THREE.Group()
     this.weaponGroup.name = 'WeaponGroup'
+    this.weaponGroup.visible = false
     
     // Modelo carregado
     this.model = null
@@ -34,17 +87,57 @@ export class Weapon {
     // Configurações da arma
     this.config = {
       // Posição e escala do modelo na câmera
-      position: new THREE.Vector3(0, -0.30, -0.3),
-      rotation: new THREE.Euler(0, Math.PI, 0),
-      scale: new THREE.Vector3(1, 1, 1),
+      position: new THREE.Vector3().fromArray(definition.model.position),
+      rotation: new THREE.Euler().fromArray(definition.model.rotation),
+      scale: new THREE.Vector3().fromArray(definition.model.scale),
       
       // Configurações de tiro
-      damage: 25,
-      fireRate: 0.3,
-      range: 100,
+      type: definition.type,
+      fireMode: definition.fireMode,
+      damage: definition.damage,
+      fireRate: definition.fireRate,
+      range: definition.range,
+      burstCount: definition.burstCount,
+      burstInterval: definition.burstInterval,
       
       // Configurações de recarga
-      reloadTime: 2.0
+      reloadTime: definition.reloadTime,
+      
+      // Recuo, dispersão e mira (ADS)
+      recoil: definition.recoil,
+      spread: definition.spread,
+      ads: definition.ads,
+      adsPosition: new THREE.Vector3().fromArray(definition.ads.position),
+      
+      // Transições de troca de arma
+      holsterTime: definition.holsterTime,
+      drawTime: definition.drawTime,
+      
+      // Penetração e fallback visual dos tiros; projétil das armas "projectile"
+      penetration: definition.penetration,
+      visualFallback: definition.visualFallback,
+      projectile: definition.projectile,
+      
+      holsterOffset: new THREE.Vector3(0, -0.35, 0.1), // Arma abaixada ao guardar
+      holsterRotation: -0.8,
+      
+      // Poses por estado de movimento (offset aplicado ao grupo da arma)
+      poses: {
+        default: {
+          position: new THREE.Vector3(0, 0, 0),
+          rotation: new THREE.Euler(0, 0, 0)
+        },
+        sprint: {
+          position: new THREE.Vector3(0.04, -0.08, 0.04),
+          rotation: new THREE.Euler(-0.35, 0.55, 0.2)
+        },
+        crouch: {
+          position: new THREE.Vector3(-0.02, -0.02, 0),
+          rotation: new THREE.Euler(0, 0, 0.12)
+        }
+      },
+      poseLerpSpeed: 10,
+      sprintAnimationSpeed: 1.5 // Velocidade da animação de andar ao correr
     }
     
     // Estado da arma
@@ -53,15 +146,47 @@ export class Weapon {
       isFiring: false,
       isReloading: false,
       isWalking: false,
-      canFire: true,
       lastFireTime: 0,
-      ammo: 12,
-      maxAmmo: 12
+      triggerReleased: true, // Semi/burst exigem soltar o gatilho entre disparos
+      burstRemaining: 0,
+      reloadTimer: 0,
+      ammo: definition.magazineSize,
+      maxAmmo: definition.magazineSize,
+      reserveAmmo: definition.reserveAmmo,
+      maxReserveAmmo: definition.maxReserveAmmo,
+      
+      // Troca de arma: 'holster' (guardando), 'draw' (sacando) ou null
+      transition: null,
+      transitionTimer: 0,
+      holsterAmount: 1, // 0 = empunhada, 1 = guardada
+      isHolstered: true,
+      
+      // Recuo: posição no padrão (volta ao início ao parar de atirar)
+      recoilIndex: 0,
+      
+      // Dispersão: abertura acumulada pelos tiros e cone atual (radianos)
+      spreadBloom: 0,
+      spread: definition.spread.base,
+      
+      // Mira: 0 = quadril, 1 = mirando
+      isAiming: false,
+      adsAmount: 0
     }
     
     // Raycaster para tiros
     this.raycaster = new THREE.Raycaster()
     this.crosshairCenter = new THREE.Vector2(0, 0)
+    this._spreadRight = new THREE.Vector3()
+    this._spreadUp = new THREE.Vector3()
+    
+    // Linhas do crosshair (compartilhado entre as armas)
+    this._crosshairLines = null
+    
+    // Pose atual da arma
+    this.currentPose = 'default'
+    this._poseQuaternion = new THREE.Quaternion()
+    this._posePosition = new THREE.Vector3()
+    this._poseEuler = new THREE.Euler()
     
     // Loader
     this.loader = new GLTFLoader()
@@ -72,10 +197,10 @@ export class Weapon {
    */
   async init() {
     try {
-      const gltf = await this.loadModel('/fps_pistol_animations/scene.gltf')
+      const gltf = await this.loadModel(this.definition.model.path)
       
       this.model = gltf.scene
-      this.model.name = 'FPS_Arms_Pistol'
+      this.model.name = `FPS_Arms_${this.id}`
       
       // Configurar posição, rotação e escala
       this.model.position.copy(this.config.position)
@@ -104,12 +229,11 @@ export class Weapon {
       // Configurar animações
       this.setupAnimations(gltf.animations)
       
-      // Adicionar grupo à câmera
+      // Adicionar grupo à câmera (invisível até ser sacada pelo inventário)
       camera.add(this.weaponGroup)
       
       // Criar UI
       this.createCrosshair()
-      this.updateAmmoUI()
       
       // Iniciar com animação Idle
       this.playAnimation('idle')
@@ -117,7 +241,7 @@ export class Weapon {
       this.state.isReady = true
       
     } catch (error) {
-      // Erro ao carregar arma
+      console.warn(`⚠️ Erro ao carregar arma ${this.id}:`, error)
     }
   }
   
@@ -157,22 +281,10 @@ export class Weapon {
    * Aplica as texturas aos materiais da arma
    */
   async applyTextures() {
-    const basePath = '/fps_pistol_animations/textures/'
-    
-    // Definir texturas para cada material
-    const textureConfig = {
-      'arms': {
-        diffuse: 'arms_diffuse.png',
-        normal: 'arms_normal.png',
-        specular: 'arms_specularGlossiness.png',
-        occlusion: 'arms_occlusion.png'
-      },
-      'Material': {
-        diffuse: 'Material_diffuse.png',
-        normal: 'Material_normal.png',
-        specular: 'Material_specularGlossiness.png'
-      }
-    }
+    const basePath = this.definition.model.texturePath
+    
+    // Texturas de cada material (nome do material -> arquivos)
+    const textureConfig = this.definition.textures
     
     // Carregar todas as texturas
     const loadedTextures = {}
@@ -231,14 +343,8 @@ export class Weapon {
   setupAnimations(animations) {
     this.mixer = new THREE.AnimationMixer(this.model)
     
-    // Mapear animações por nome simplificado
-    const animationMap = {
-      'idle': 'Armature|FPS_Pistol_Idle',
-      'walk': 'Armature|FPS_Pistol_Walk',
-      'fire': 'Armature|FPS_Pistol_Fire',
-      'reload': 'Armature|FPS_Pistol_Reload_easy',
-      'reload_full': 'Armature|FPS_Pistol_Reload_full'
-    }
+    // Mapear animações por nome simplificado (definido no JSON da arma)
+    const animationMap = this.definition.animations
     
     animations.forEach((clip) => {
       // Encontrar nome simplificado
@@ -253,27 +359,13 @@ export class Weapon {
     })
     
     // Configurar propriedades das animações
-    if (this.animations.idle) {
-      this.animations.idle.setLoop(THREE.LoopRepeat)
-    }
-    
-    if (this.animations.walk) {
-      this.animations.walk.setLoop(THREE.LoopRepeat)
-    }
-    
-    if (this.animations.fire) {
-      this.animations.fire.setLoop(THREE.LoopOnce)
-      this.animations.fire.clampWhenFinished = true
-    }
-    
-    if (this.animations.reload) {
-      this.animations.reload.setLoop(THREE.LoopOnce)
-      this.animations.reload.clampWhenFinished = true
-    }
-    
-    if (this.animations.reload_full) {
-      this.animations.reload_full.setLoop(THREE.LoopOnce)
-      this.animations.reload_full.clampWhenFinished = true
+    for (const [name, action] of Object.entries(this.animations)) {
+      if (LOOPING_ANIMATIONS.includes(name)) {
+        action.setLoop(THREE.LoopRepeat)
+      } else {
+        action.setLoop(THREE.LoopOnce)
+        action.clampWhenFinished = true
+      }
     }
     
     // Listener para quando animação terminar
@@ -285,7 +377,7 @@ export class Weapon {
   /**
    * Toca uma animação
    */
-  playAnimation(name, crossFadeDuration = 0.2) {
+  playAnimation(name, crossFadeDuration = 0.2, restart = false) {
     const newAction = this.animations[name]
     
     if (!newAction) {
@@ -294,6 +386,10 @@ export class Weapon {
     }
     
     if (this.currentAction === newAction) {
+      // Tiros seguidos reiniciam a animação de disparo
+      if (restart) {
+        newAction.reset().play()
+      }
       return
     }
     
@@ -318,16 +414,12 @@ export class Weapon {
     // Se terminou animação de tiro, voltar para idle ou walk
     if (finishedAction === this.animations.fire) {
       this.state.isFiring = false
-      this.state.canFire = true
       this.playAnimation(this.state.isWalking ? 'walk' : 'idle')
     }
     
     // Se terminou animação de recarga
     if (finishedAction === this.animations.reload || finishedAction === this.animations.reload_full) {
-      this.state.isReloading = false
-      this.state.ammo = this.state.maxAmmo
-      this.updateAmmoUI()
-      this.playAnimation(this.state.isWalking ? 'walk' : 'idle')
+      this.finishReload()
     }
   }
   
@@ -345,8 +437,31 @@ export class Weapon {
     // Atualizar estado de movimento
     this.state.isWalking = isMoving
     
-    // Processar input
-    this.processInput(delta)
+    // Guardar / sacar
+    this.updateTransition(delta)
+    
+    const player = getPlayer()
+    
+    // Mira (botão direito), dispersão e crosshair
+    this.updateAim(delta, player)
+    this.updateSpread(delta, player)
+    this.updateCrosshair()
+    
+    // Pose de acordo com o estado de movimento do player
+    this.updatePose(delta, player.getMovementState())
+    
+    // Recarga sem animação termina por tempo
+    if (this.state.isReloading && this.state.reloadTimer > 0) {
+      this.state.reloadTimer -= delta
+      if (this.state.reloadTimer <= 0) {
+        this.finishReload()
+      }
+    }
+    
+    // Processar input (não durante a troca de arma)
+    if (!this.state.transition && !this.state.isHolstered) {
+      this.processInput(delta)
+    }
     
     // Atualizar animação de movimento (se não estiver atirando ou recarregando)
     if (!this.state.isFiring && !this.state.isReloading) {
@@ -358,109 +473,582 @@ export class Weapon {
     }
   }
   
+  /**
+   * Escolhe e interpola a pose da arma (correndo, agachado ou normal)
+   */
+  updatePose(delta, movementState) {
+    const poseName = {
+      [MovementState.SPRINT]: 'sprint',
+      [MovementState.CROUCH]: 'crouch',
+      [MovementState.SLIDE]: 'crouch'
+    }[movementState] || 'default'
+    
+    // Atirando, recarregando ou mirando a arma fica na posição normal
+    const forceDefault = this.state.isAiming ||
+      ((this.state.isFiring || this.state.isReloading) && poseName === 'sprint')
+    this.currentPose = forceDefault ? 'default' : poseName
+    
+    const pose = this.config.poses[this.currentPose]
+    const t = Math.min(1, this.config.poseLerpSpeed * delta)
+    
+    // Offset de guardar/sacar somado à pose
+    const holster = this.state.holsterAmount
+    this._posePosition.copy(pose.position).addScaledVector(this.config.holsterOffset, holster)
+    this._poseEuler.set(
+      pose.rotation.x + this.config.holsterRotation * holster,
+      pose.rotation.y,
+      pose.rotation.z
+    )
+    
+    // Durante a troca a transição manda (sem suavização extra)
+    const poseT = this.state.transition ? 1 : t
+    this.weaponGroup.position.lerp(this._posePosition, poseT)
+    this._poseQuaternion.setFromEuler(this._poseEuler)
+    this.weaponGroup.quaternion.slerp(this._poseQuaternion, poseT)
+    
+    // Modelo vai da posição de quadril até a posição de mira
+    if (this.model) {
+      this.model.position.lerpVectors(this.config.position, this.config.adsPosition, this.state.adsAmount)
+    }
+    
+    // Correndo: animação de andar mais rápida
+    if (this.animations.walk) {
+      this.animations.walk.timeScale = movementState === MovementState.SPRINT
+        ? this.config.sprintAnimationSpeed
+        : 1
+    }
+  }
+  
+  /**
+   * Entra e sai da mira (ADS) com o botão direito
+   * O FOV é reduzido proporcionalmente sem alterar o FOV base do player
+   */
+  updateAim(delta, player) {
+    const canAim = !player.isDead() &&
+      !player.isSprinting() &&
+      !this.state.isReloading &&
+      !this.state.transition &&
+      !this.state.isHolstered
+    
+    this.state.isAiming = canAim && Input.mouse.right
+    
+    const previous = this.state.adsAmount
+    const step = this.config.ads.speed * delta
+    this.state.adsAmount = this.state.isAiming
+      ? Math.min(1, previous + step)
+      : Math.max(0, previous - step)
+    
+    if (this.state.adsAmount !== previous) {
+      const baseFov = player.config.fov
+      const fov = THREE.MathUtils.lerp(baseFov, this.config.ads.fov, this.state.adsAmount)
+      player.setFOV(fov, false)
+    }
+  }
+  
+  /**
+   * Calcula o cone de tiro atual
+   * Cresce ao andar, pular e atirar rápido; diminui agachado e mirando
+   */
+  updateSpread(delta, player) {
+    const spreadConfig = this.config.spread
+    
+    // A abertura dos tiros se fecha com o tempo
+    this.state.spreadBloom = Math.max(0, this.state.spreadBloom - spreadConfig.recovery * delta)
+    
+    let spread = spreadConfig.base + this.state.spreadBloom
+    
+    const velocity = player.state.velocity
+    const horizontalSpeed = Math.hypot(velocity.x, velocity.z)
+    spread += spreadConfig.moving * Math.min(1, horizontalSpeed / player.config.speed)
+    
+    if (!player.isGrounded()) {
+      spread += spreadConfig.jumping
+    }
+    
+    if (player.isCrouching()) {
+      spread *= spreadConfig.crouchMultiplier
+    }
+    
+    spread *= THREE.MathUtils.lerp(1, spreadConfig.adsMultiplier, this.state.adsAmount)
+    
+    this.state.spread = Math.min(spreadConfig.max, spread)
+  }
+  
+  /**
+   * Aplica o recuo do próximo tiro do padrão na câmera do player
+   */
+  applyRecoil(now) {
+    const recoil = this.config.recoil
+    
+    // Parou de atirar por tempo suficiente: padrão recomeça
+    if (now - this.state.lastFireTime > recoil.patternResetTime) {
+      this.state.recoilIndex = 0
+    }
+    
+    const pattern = recoil.pattern
+    const [pitch, yaw] = pattern[Math.min(this.state.recoilIndex, pattern.length - 1)]
+    this.state.recoilIndex++
+    
+    const scale = THREE.MathUtils.lerp(1, this.config.ads.recoilMultiplier, this.state.adsAmount)
+    const randomYaw = (Math.random() * 2 - 1) * recoil.randomYaw
+    
+    getPlayer().addRecoil(pitch * scale, (yaw + randomYaw) * scale, recoil.recoverySpeed)
+  }
+  
   /**
    * Processa input do jogador
    */
   processInput(delta) {
-    // Botão esquerdo = atirar
-    if (Input.mouse.left && this.state.canFire && !this.state.isReloading) {
-      this.fire()
+    const player = getPlayer()
+    
+    // Player morto não usa a arma
+    if (player.isDead()) return
+    
+    // Botão esquerdo = atirar (bloqueado enquanto corre)
+    const triggerPressed = Input.mouse.left && !player.isSprinting()
+    
+    // Rajada em andamento continua mesmo soltando o gatilho
+    if (this.state.burstRemaining > 0) {
+      this.updateBurst()
+    } else if (triggerPressed && !this.state.isReloading) {
+      this.pullTrigger()
+    }
+    
+    if (!Input.mouse.left) {
+      this.state.triggerReleased = true
     }
     
     // R = recarregar
-    if (Input.keys.KeyR && !this.state.isReloading && this.state.ammo < this.state.maxAmmo) {
+    if (Input.keys.KeyR && this.canReload()) {
       this.reload()
     }
   }
   
   /**
-   * Dispara a arma
+   * Aplica o modo de tiro ao apertar o gatilho
    */
-  fire() {
+  pullTrigger() {
+    switch (this.config.fireMode) {
+      case FireMode.AUTO:
+        this.fire()
+        break
+        
+      case FireMode.BURST:
+        if (this.state.triggerReleased && this.isCooledDown()) {
+          this.state.triggerReleased = false
+          this.state.burstRemaining = this.config.burstCount
+          this.updateBurst()
+        }
+        break
+        
+      default:
+        if (this.state.triggerReleased && this.fire()) {
+          this.state.triggerReleased = false
+        }
+        break
+    }
+  }
+  
+  /**
+   * Dispara os tiros restantes da rajada respeitando o intervalo
+   */
+  updateBurst() {
     const now = performance.now() / 1000
     
-    if (now - this.state.lastFireTime < this.config.fireRate) {
+    if (this.state.isReloading || this.state.ammo <= 0) {
+      this.state.burstRemaining = 0
       return
     }
     
+    if (now - this.state.lastFireTime < this.config.burstInterval) return
+    
+    if (this.fire(true)) {
+      this.state.burstRemaining--
+    }
+  }
+  
+  /**
+   * Verifica se já passou o intervalo entre tiros
+   */
+  isCooledDown() {
+    const now = performance.now() / 1000
+    return now - this.state.lastFireTime >= this.config.fireRate
+  }
+  
+  /**
+   * Dispara a arma
+   * Retorna true se o tiro foi disparado
+   */
+  fire(ignoreFireRate = false) {
+    const now = performance.now() / 1000
+    
+    if (!ignoreFireRate && !this.isCooledDown()) {
+      return false
+    }
+    
     if (this.state.ammo <= 0) {
       // Auto reload
-      this.reload()
-      return
+      if (this.canReload()) {
+        this.reload()
+      }
+      return false
+    }
+    
+    // O tiro usa a mira antes do coice deste disparo
+    if (this.config.type === WeaponType.PROJECTILE) {
+      this.launchProjectile()
+    } else {
+      this.performRaycast()
     }
     
+    this.applyRecoil(now)
+    this.state.spreadBloom += this.config.spread.perShot
+    
     this.state.lastFireTime = now
     this.state.ammo--
     this.state.isFiring = true
-    this.state.canFire = false
     
     // Tocar animação de tiro
-    this.playAnimation('fire', 0.05)
+    this.playAnimation('fire', 0.05, true)
     
-    // Executar raycast
-    this.performRaycast()
+    // Disparo alerta NPCs ao redor
+    emitNoise(camera.getWorldPosition(new THREE.Vector3()), NoiseType.GUNSHOT, { source: 'player' })
     
     // Atualizar UI
     this.updateAmmoUI()
+    
+    return true
   }
   
   /**
-   * Executa raycast para verificar acerto
+   * Executa o tiro (hitscan)
+   * Cenário e hitboxes dos NPCs (colliders presos aos ossos) são consultados
+   * no Rapier. Sem física carregada, o tiro usa o raycast das malhas do Three.js
    */
   performRaycast() {
     this.raycaster.setFromCamera(this.crosshairCenter, camera)
+    this.applySpread(this.raycaster.ray.direction)
+    
+    const { origin, direction } = this.raycaster.ray
+    let hits
+    
+    if (physicsWorld.world) {
+      hits = this.traceShot(origin, direction)
+      
+      // Malhas sem collider ainda mostram o impacto, sem dano
+      if (hits.length === 0 && this.config.visualFallback) {
+        const visualHit = this.raycastVisual()
+        if (visualHit) {
+          this.createImpactEffect(visualHit.point, visualHit.face?.normal)
+        }
+      }
+    } else {
+      hits = this.traceVisualShot()
+    }
     
-    // Filtrar objetos (ignorar a própria arma)
+    const last = hits[hits.length - 1]
+    debugRay('weapon', origin, direction, this.config.range, last ? last.distance : null)
+    
+    for (const hit of hits) {
+      this.applyHit(hit, direction)
+    }
+  }
+  
+  /**
+   * Dispara um projétil na direção da mira (com a dispersão atual)
+   */
+  launchProjectile() {
+    this.raycaster.setFromCamera(this.crosshairCenter, camera)
+    this.applySpread(this.raycaster.ray.direction)
+    
+    spawnProjectile({
+      config: this.config.projectile,
+      origin: this.raycaster.ray.origin,
+      direction: this.raycaster.ray.direction,
+      owner: getPlayer(),
+      source: 'player',
+      weapon: this.id
+    })
+  }
+  
+  /**
+   * Traça o tiro pelo Rapier, atravessando superfícies finas
+   * Cada trecho vai até a próxima superfície (camadas de SHOT_MASK, sem o
+   * corpo do player); uma hitbox de NPC encerra o tiro. Ao atravessar,
+   * o dano cai por penetration.damageFalloff.
+   * Retorna os acertos em ordem: { type, entity, zone, collider, point, normal,
+   * distance, damage, exitPoint, exitNormal }
+   */
+  traceShot(origin, direction) {
+    const { range, damage, penetration } = this.config
+    const excludeBody = getPlayer()?.physics.rigidBody
+    const hits = []
+    
+    // Só hitboxes atualizadas nesta consulta (as demais podem estar numa pose antiga)
+    const targets = this.syncNPCHitboxes(origin, direction, range)
+    const filterPredicate = (collider) => {
+      const hitbox = getHitbox(collider)
+      return !hitbox || targets.has(hitbox.npc)
+    }
+    
+    let start = 0
+    let power = penetration.power
+    let multiplier = 1
+    let surfaces = 0
+    
+    for (let step = 0; step < MAX_TRACE_STEPS && start < range; step++) {
+      _segmentStart.copy(direction).multiplyScalar(start).add(origin)
+      const surface = physicsWorld.castRayWithNormal(_segmentStart, direction, range - start, true, {
+        mask: SHOT_MASK,
+        excludeBody,
+        includeSensors: true,
+        filterPredicate
+      })
+      if (!surface) break
+      
+      const surfaceDistance = start + surface.distance
+      const hitbox = getHitbox(surface.collider)
+      
+      if (hitbox) {
+        hits.push({
+          type: HitType.NPC,
+          entity: hitbox.npc,
+          zone: hitbox.zone,
+          collider: surface.collider,
+          point: surface.point,
+          normal: surface.normal,
+          distance: surfaceDistance,
+          damage: damage * multiplier
+        })
+        break
+      }
+      
+      const body = surface.collider.parent()
+      const hit = {
+        type: body && body.isDynamic() ? HitType.PROP : HitType.WORLD,
+        entity: physicsWorld.getEntity(surface.collider),
+        zone: null,
+        collider: surface.collider,
+        point: surface.point,
+        normal: surface.normal,
+        distance: surfaceDistance,
+        damage: damage * multiplier
+      }
+      hits.push(hit)
+      
+      if (surfaces >= penetration.maxSurfaces) break
+      
+      const exit = this.findPenetrationExit(surface.collider, surfaceDistance, origin, direction, power)
+      if (!exit) break
+      
+      hit.exitPoint = exit.point
+      hit.exitNormal = exit.normal
+      
+      power -= exit.cost
+      multiplier *= 1 - penetration.damageFalloff
+      surfaces++
+      start = exit.distance + PENETRATION_EPSILON
+    }
+    
+    return hits
+  }
+  
+  /**
+   * Leva a pose animada às hitboxes dos NPCs vivos no caminho do tiro
+   * (só os das células do hash espacial cruzadas pelo raio)
+   * Retorna os NPCs atualizados
+   */
+  syncNPCHitboxes(origin, direction, range) {
+    _shotNPCs.clear()
+    if (!npcManagerRef) return _shotNPCs
+    
+    for (const npc of npcManagerRef.getNPCsAlongRay(origin, direction, 0, range)) {
+      if (!npc.isAlive) continue
+      
+      npc.hitboxes.update()
+      _shotNPCs.add(npc)
+    }
+    
+    // Colliders movidos fora do step: atualizar as estruturas de consulta
+    if (_shotNPCs.size > 0) {
+      physicsWorld.updateSceneQueries()
+    }
+    
+    return _shotNPCs
+  }
+  
+  /**
+   * Procura a saída do tiro pelo collider atingido
+   * A espessura é multiplicada pela resistência do material; se passar do
+   * poder restante, o tiro para ali.
+   * Retorna { distance, point, normal, cost } ou null
+   */
+  findPenetrationExit(collider, distance, origin, direction, power) {
+    const material = physicsWorld.getColliderMaterial(collider)
+    const resistance = material ? material.penetration : PhysicsMaterials.default.penetration
+    if (power <= 0 || resistance <= 0) return null
+    
+    const maxThickness = power / resistance
+    _exitStart.copy(direction).multiplyScalar(distance + PENETRATION_EPSILON).add(origin)
+    
+    // Não sólido: partindo de dentro, o raio para na face de saída
+    const exit = physicsWorld.castRayWithNormal(_exitStart, direction, maxThickness, false, {
+      filterPredicate: other => other.handle === collider.handle
+    })
+    if (!exit) return null
+    
+    const thickness = exit.distance + PENETRATION_EPSILON
+    return {
+      distance: distance + thickness,
+      point: exit.point,
+      normal: exit.normal,
+      cost: thickness * resistance
+    }
+  }
+  
+  /**
+   * Raycast do Three.js contra as malhas visíveis do mapa (mais próxima ou null)
+   */
+  raycastVisual() {
+    this.raycaster.far = this.config.range
+    
+    // Filtrar objetos (ignorar a própria arma e os modelos dos NPCs)
     const objectsToTest = scene.children.filter(obj => {
-      return obj !== this.weaponGroup && obj.name !== 'WeaponGroup'
+      return obj !== this.weaponGroup &&
+        obj.name !== 'WeaponGroup' &&
+        !obj.name.startsWith('NPC_')
     })
     
-    const intersects = this.raycaster.intersectObjects(objectsToTest, true)
+    const hit = this.raycaster.intersectObjects(objectsToTest, true)[0] || null
+    this.raycaster.far = Infinity
+    return hit
+  }
+  
+  /**
+   * Tiro sem física: mundo pelas malhas, NPCs pelas hitboxes (sem penetração)
+   */
+  traceVisualShot() {
+    const worldHit = this.raycastVisual()
+    
+    // NPCs atrás da parede não são atingidos
+    this.raycaster.far = worldHit ? worldHit.distance : this.config.range
+    const npcHit = this.checkNPCHit(this.raycaster)
+    this.raycaster.far = Infinity
+    
+    if (npcHit) {
+      const { npc, zone } = npcHit.object.userData.hitbox
+      return [{
+        type: HitType.NPC,
+        entity: npc,
+        zone,
+        collider: null,
+        point: npcHit.point,
+        normal: null,
+        distance: npcHit.distance,
+        damage: this.config.damage
+      }]
+    }
+    
+    if (worldHit) {
+      return [{
+        type: HitType.WORLD,
+        entity: worldHit.object,
+        zone: null,
+        collider: null,
+        point: worldHit.point,
+        normal: worldHit.face?.normal ?? null,
+        distance: worldHit.distance,
+        damage: this.config.damage
+      }]
+    }
+    
+    return []
+  }
+  
+  /**
+   * Aplica um acerto do tiro: dano, efeitos, empurrão e evento 'weapon-hit'
+   */
+  applyHit(hit, direction) {
+    const damage = Math.round(hit.damage)
     
-    if (intersects.length > 0) {
-      const hit = intersects[0]
+    if (hit.type === HitType.NPC) {
+      // Dano base; o NPC aplica o multiplicador da zona
+      hit.entity.takeDamage(damage, { zone: hit.zone, source: getPlayer() })
+      this.showHitMarker(hit.zone, !hit.entity.isAlive)
       
-      // Verificar se acertou um NPC
-      const hitNPC = this.checkNPCHit(hit.object)
+      // Criar efeito de impacto vermelho (sangue)
+      this.createImpactEffect(hit.point, null, 0xff0000)
+    } else {
+      this.createImpactEffect(hit.point, hit.normal)
+      if (hit.exitPoint) {
+        this.createImpactEffect(hit.exitPoint, hit.exitNormal)
+      }
       
-      if (hitNPC) {
-        // Aplicar dano ao NPC
-        hitNPC.takeDamage(this.config.damage)
-        
-        // Criar efeito de impacto vermelho (sangue)
-        this.createImpactEffect(hit.point, hit.face?.normal, 0xff0000)
-      } else {
-        // Criar efeito de impacto normal
-        this.createImpactEffect(hit.point, hit.face?.normal)
+      // Objetos soltos são empurrados pelo tiro
+      const body = hit.collider?.parent()
+      if (body && body.isDynamic()) {
+        _impulse.copy(direction).multiplyScalar(damage * IMPACT_IMPULSE)
+        body.applyImpulseAtPoint(_impulse, hit.point, true)
       }
     }
+    
+    window.dispatchEvent(new CustomEvent('weapon-hit', {
+      detail: {
+        weapon: this.id,
+        type: hit.type,
+        entity: hit.entity,
+        zone: hit.zone,
+        point: hit.point,
+        normal: hit.normal,
+        distance: hit.distance,
+        damage,
+        penetrated: !!hit.exitPoint
+      }
+    }))
   }
   
   /**
-   * Verifica se o objeto atingido pertence a um NPC
+   * Desvia a direção do tiro para um ponto aleatório dentro do cone de dispersão
    */
-  checkNPCHit(hitObject) {
+  applySpread(direction) {
+    const spread = this.state.spread
+    if (spread <= 0) return
+    
+    // sqrt distribui os pontos uniformemente pela área do cone
+    const angle = spread * Math.sqrt(Math.random())
+    const theta = Math.random() * Math.PI * 2
+    const offset = Math.tan(angle)
+    
+    this._spreadRight.setFromMatrixColumn(camera.matrixWorld, 0)
+    this._spreadUp.setFromMatrixColumn(camera.matrixWorld, 1)
+    
+    direction
+      .addScaledVector(this._spreadRight, Math.cos(theta) * offset)
+      .addScaledVector(this._spreadUp, Math.sin(theta) * offset)
+      .normalize()
+  }
+  
+  /**
+   * Testa o raio contra as malhas das hitboxes dos NPCs vivos (tiro sem física)
+   * Só os NPCs nas células do hash espacial cruzadas pelo raio
+   * Retorna a interseção mais próxima (userData.hitbox = { npc, zone }) ou null
+   */
+  checkNPCHit(raycaster) {
     if (!npcManagerRef) return null
     
-    // Subir na hierarquia até encontrar o grupo do NPC
-    let current = hitObject
+    let closest = null
+    const { origin, direction } = raycaster.ray
     
-    while (current) {
-      // Verificar se é um grupo de NPC
-      if (current.name && current.name.startsWith('NPC_')) {
-        // Encontrar o NPC correspondente
-        const npcId = current.name.replace('NPC_', '')
-        const npc = npcManagerRef.npcs.find(n => n.id === npcId)
-        
-        if (npc && npc.isAlive) {
-          return npc
-        }
-      }
+    for (const npc of npcManagerRef.getNPCsAlongRay(origin, direction, raycaster.near, raycaster.far)) {
+      if (!npc.isAlive) continue
       
-      current = current.parent
+      const hit = npc.hitboxes.raycast(raycaster)
+      if (hit && (!closest || hit.distance < closest.distance)) {
+        closest = hit
+      }
     }
     
-    return null
+    return closest
   }
   
   /**
@@ -496,6 +1084,15 @@ export class Weapon {
     setTimeout(fadeOut, 50)
   }
   
+  /**
+   * Verifica se é possível recarregar (pente incompleto e munição reserva)
+   */
+  canReload() {
+    return !this.state.isReloading &&
+      this.state.ammo < this.state.maxAmmo &&
+      this.state.reserveAmmo > 0
+  }
+  
   /**
    * Recarrega a arma
    */
@@ -503,10 +1100,111 @@ export class Weapon {
     if (this.state.isReloading) return
     
     this.state.isReloading = true
+    this.state.burstRemaining = 0
+    this.state.isAiming = false
     
     // Tocar animação de recarga (usar reload_full se munição = 0)
-    const reloadAnim = this.state.ammo === 0 ? 'reload_full' : 'reload'
-    this.playAnimation(reloadAnim, 0.1)
+    const reloadAnim = this.state.ammo === 0 && this.animations.reload_full ? 'reload_full' : 'reload'
+    
+    if (this.animations[reloadAnim]) {
+      this.state.reloadTimer = 0
+      this.playAnimation(reloadAnim, 0.1)
+    } else {
+      // Sem animação: recarga por tempo
+      this.state.reloadTimer = this.config.reloadTime
+    }
+  }
+  
+  /**
+   * Conclui a recarga transferindo munição da reserva para o pente
+   */
+  finishReload() {
+    const needed = this.state.maxAmmo - this.state.ammo
+    const loaded = Math.min(needed, this.state.reserveAmmo)
+    
+    this.state.ammo += loaded
+    this.state.reserveAmmo -= loaded
+    this.state.isReloading = false
+    this.state.reloadTimer = 0
+    
+    this.updateAmmoUI()
+    this.playAnimation(this.state.isWalking ? 'walk' : 'idle')
+  }
+  
+  /**
+   * Adiciona munição à reserva (limitada ao máximo da arma)
+   */
+  addAmmo(amount) {
+    this.state.reserveAmmo = Math.min(this.state.maxReserveAmmo, this.state.reserveAmmo + amount)
+    this.updateAmmoUI()
+  }
+  
+  // ========== TROCA DE ARMA ==========
+  
+  /**
+   * Começa a sacar a arma
+   */
+  draw() {
+    this.weaponGroup.visible = true
+    this.state.isHolstered = false
+    this.state.transition = 'draw'
+    this.state.transitionTimer = 0
+    this.state.triggerReleased = false
+    
+    if (this.animations.draw) {
+      this.playAnimation('draw', 0.05)
+    }
+    
+    this.updateAmmoUI()
+  }
+  
+  /**
+   * Começa a guardar a arma (recarga e rajada são canceladas)
+   */
+  holster() {
+    if (this.state.isHolstered || this.state.transition === 'holster') return
+    
+    this.state.isReloading = false
+    this.state.reloadTimer = 0
+    this.state.burstRemaining = 0
+    this.state.transition = 'holster'
+    this.state.transitionTimer = 0
+    
+    if (this.animations.holster) {
+      this.playAnimation('holster', 0.05)
+    }
+  }
+  
+  /**
+   * Avança a transição de guardar/sacar
+   */
+  updateTransition(delta) {
+    const transition = this.state.transition
+    if (!transition) return
+    
+    const duration = transition === 'draw' ? this.config.drawTime : this.config.holsterTime
+    this.state.transitionTimer += delta
+    const t = duration > 0 ? Math.min(1, this.state.transitionTimer / duration) : 1
+    
+    this.state.holsterAmount = transition === 'draw' ? 1 - t : t
+    
+    if (t < 1) return
+    
+    this.state.transition = null
+    
+    if (transition === 'holster') {
+      this.state.isHolstered = true
+      this.weaponGroup.visible = false
+    } else {
+      this.playAnimation(this.state.isWalking ? 'walk' : 'idle')
+    }
+  }
+  
+  /**
+   * Verifica se a arma está no meio de uma troca
+   */
+  isSwitching() {
+    return this.state.transition !== null
   }
   
   /**
@@ -536,13 +1234,13 @@ export class Weapon {
     // Cor baseada na munição
     if (this.state.ammo === 0) {
       ammoDisplay.style.color = '#ff4444'
-    } else if (this.state.ammo <= 4) {
+    } else if (this.state.ammo <= Math.ceil(this.state.maxAmmo / 3)) {
       ammoDisplay.style.color = '#ffaa00'
     } else {
       ammoDisplay.style.color = 'white'
     }
     
-    ammoDisplay.textContent = `${this.state.ammo} / ${this.state.maxAmmo}`
+    ammoDisplay.textContent = `${this.name}  ${this.state.ammo} / ${this.state.reserveAmmo}`
   }
   
   /**
@@ -594,6 +1292,7 @@ export class Weapon {
       transform: translateX(-50%);
       top: -18px;
     `
+    top.dataset.side = 'top'
     crosshair.appendChild(top)
     
     const bottom = document.createElement('div')
@@ -604,6 +1303,7 @@ export class Weapon {
       transform: translateX(-50%);
       bottom: -18px;
     `
+    bottom.dataset.side = 'bottom'
     crosshair.appendChild(bottom)
     
     const left = document.createElement('div')
@@ -614,6 +1314,7 @@ export class Weapon {
       transform: translateY(-50%);
       left: -18px;
     `
+    left.dataset.side = 'left'
     crosshair.appendChild(left)
     
     const right = document.createElement('div')
@@ -624,11 +1325,74 @@ export class Weapon {
       transform: translateY(-50%);
       right: -18px;
     `
+    right.dataset.side = 'right'
     crosshair.appendChild(right)
     
     document.body.appendChild(crosshair)
   }
   
+  /**
+   * Afasta as linhas do crosshair conforme o cone de tiro atual
+   * Mirando, o crosshair some
+   */
+  updateCrosshair() {
+    if (!this._crosshairLines || !this._crosshairLines[0].isConnected) {
+      const lines = document.querySelectorAll('#crosshair [data-side]')
+      if (lines.length === 0) return
+      this._crosshairLines = [...lines]
+    }
+    
+    // Ângulo do cone convertido em pixels na tela (FOV vertical)
+    const halfFov = THREE.MathUtils.degToRad(camera.fov) / 2
+    const spreadPixels = Math.tan(this.state.spread) / Math.tan(halfFov) * (window.innerHeight / 2)
+    const offset = `${-(CROSSHAIR_GAP + spreadPixels + CROSSHAIR_LINE_LENGTH)}px`
+    const opacity = `${1 - this.state.adsAmount}`
+    
+    for (const line of this._crosshairLines) {
+      line.style[line.dataset.side] = offset
+      line.style.opacity = opacity
+    }
+  }
+  
+  /**
+   * Mostra o marcador de acerto no centro da tela
+   * Vermelho em acertos na cabeça, maior quando o acerto mata
+   */
+  showHitMarker(zone, killed = false) {
+    let marker = document.getElementById('hit-marker')
+    
+    if (!marker) {
+      marker = document.createElement('div')
+      marker.id = 'hit-marker'
+      marker.textContent = '✕'
+      marker.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        font-family: Arial, sans-serif;
+        text-shadow: 0 0 3px rgba(0,0,0,0.8);
+        z-index: 1001;
+        pointer-events: none;
+        opacity: 0;
+        transition: opacity 0.2s ease-out;
+      `
+      document.body.appendChild(marker)
+    }
+    
+    marker.style.color = zone === HitZone.HEAD ? '#ff3333' : 'white'
+    marker.style.fontSize = killed ? '34px' : '24px'
+    
+    // Reiniciar o fade a cada acerto
+    marker.style.transition = 'none'
+    marker.style.opacity = '1'
+    clearTimeout(this._hitMarkerTimeout)
+    this._hitMarkerTimeout = setTimeout(() => {
+      marker.style.transition = 'opacity 0.2s ease-out'
+      marker.style.opacity = '0'
+    }, 80)
+  }
+  
   /**
    * Ajusta posição da arma
    */
@@ -665,12 +1429,11 @@ export class Weapon {
   dispose() {
     camera.remove(this.weaponGroup)
     
-    // Remover UI
-    const ammoDisplay = document.getElementById('ammo-display')
-    if (ammoDisplay) ammoDisplay.remove()
-    
-    const crosshair = document.getElementById('crosshair')
-    if (crosshair) crosshair.remove()
+    // Sair da mira restaura o FOV base
+    if (this.state.adsAmount > 0) {
+      const player = getPlayer()
+      player.setFOV(player.config.fov, false)
+    }
     
     // Limpar animações
     if (this.mixer) {
@@ -679,24 +1442,31 @@ export class Weapon {
   }
 }
 
-// Instância singleton
-let weaponInstance = null
+// Inventário de armas do player (singleton)
+let inventoryInstance = null
 
-export function getWeapon() {
-  if (!weaponInstance) {
-    weaponInstance = new Weapon()
+export function getInventory() {
+  if (!inventoryInstance) {
+    inventoryInstance = new WeaponInventory()
   }
-  return weaponInstance
+  return inventoryInstance
+}
+
+/**
+ * Retorna a arma empunhada no momento
+ */
+export function getWeapon() {
+  return inventoryInstance ? inventoryInstance.getCurrentWeapon() : null
 }
 
 export async function initWeapon() {
-  const weapon = getWeapon()
-  await weapon.init()
-  return weapon
+  const inventory = getInventory()
+  await inventory.init()
+  return inventory.getCurrentWeapon()
 }
 
 export function updateWeapon(delta, isMoving = false) {
-  if (weaponInstance) {
-    weaponInstance.update(delta, isMoving)
+  if (inventoryInstance) {
+    inventoryInstance.update(delta, isMoving)
   }
 }
@@ -6,6 +6,8 @@ import {
   setPlayerJumpForce 
 } from '../player/player.js'
 import { NPCManager, spawnNPC } from '../entities/NPCManager.js'
+import { physicsWorld } from '../physics/physics.js'
+import { getPhysicsDebug } from '../physics/debug.js'
 import * as THREE from 'three'
 
 // Configurações do menu debug
@@ -75,6 +77,19 @@ const menuSections = [
       { label: 'Revive All Enemies', action: 'reviveAllEnemies' },
       { label: 'Remove All Enemies', action: 'removeAllEnemies' }
     ]
+  },
+  {
+    title: 'PHYSICS',
+    options: [
+      { label: 'Validate Colliders', action: 'validateColliders' },
+      { label: 'Collider Report', action: 'colliderReport' },
+      { label: 'F1: Fixed Bodies', action: 'debugFilter', filter: 'fixed' },
+      { label: 'F1: Kinematic Bodies', action: 'debugFilter', filter: 'kinematic' },
+      { label: 'F1: Dynamic Bodies', action: 'debugFilter', filter: 'dynamic' },
+      { label: 'F1: Sensors', action: 'debugFilter', filter: 'sensors' },
+      { label: 'F1: Contacts', action: 'debugFilter', filter: 'contacts' },
+      { label: 'F1: Raycasts', action: 'debugFilter', filter: 'rays' }
+    ]
   }
 ]
 
@@ -230,6 +245,11 @@ function renderMenu() {
           valueDiv.className = 'debug-option-value'
           const currentValue = debugConfig[option.key]
           valueDiv.textContent = option.format ? option.format(currentValue) : currentValue
+        } else if (option.filter) {
+          // Filtro do debug de física (F1)
+          const filters = getPhysicsDebug()?.filters
+          valueDiv.className = 'debug-option-action'
+          valueDiv.textContent = filters && !filters[option.filter] ? '[OFF]' : '[ON]'
         } else {
           // Opção de ação
           valueDiv.className = 'debug-option-action'
@@ -270,7 +290,7 @@ function applyConfigChange(key, value) {
 }
 
 // Executar ação do menu
-function executeAction(action) {
+function executeAction(action, option = {}) {
   switch (action) {
     case 'spawnEnemyFront':
       spawnEnemyInFront()
@@ -290,6 +310,15 @@ function executeAction(action) {
     case 'removeAllEnemies':
       NPCManager.removeAll()
       break
+    case 'validateColliders':
+      physicsWorld.validateColliders()
+      break
+    case 'colliderReport':
+      physicsWorld.printColliderReport(physicsWorld.colliderReport)
+      break
+    case 'debugFilter':
+      getPhysicsDebug()?.toggleFilter(option.filter)
+      break
   }
 }
 
@@ -407,7 +436,7 @@ function navigateMenu(direction) {
     case 'enter':
       const enterOption = currentSectionData.options[currentOption]
       if (enterOption.action) {
-        executeAction(enterOption.action)
+        executeAction(enterOption.action, enterOption)
       }
       break
   }
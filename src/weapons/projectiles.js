@@ -0,0 +1,504 @@
+import * as THREE from 'three'
+import { scene } from '../core/scene.js'
+import { physicsWorld } from '../physics/physics.js'
+import { CollisionLayer, LayerMask, getLayerFilter } from '../physics/layers.js'
+import { emitNoise, NoiseType } from '../ai/noise.js'
+
+/**
+ * Projéteis balísticos (granadas, flechas...)
+ * Simulados no passo fixo com gravidade e arrasto; a detecção é contínua,
+ * com shape cast de uma esfera do Rapier a cada passo, então nada atravessa
+ * paredes finas em alta velocidade. A configuração vem do bloco "projectile"
+ * da definição da arma (ver weapons/registry.js)
+ */
+
+// Máximo de projéteis ativos (o mais antigo é reciclado ao passar disso)
+const POOL_SIZE = 48
+
+// O que um projétil atinge e o que uma explosão afeta
+const PROJECTILE_MASK = getLayerFilter(CollisionLayer.PROJECTILE)
+const EXPLOSION_MASK = CollisionLayer.PLAYER | CollisionLayer.NPC | CollisionLayer.DEBRIS
+
+// Afastamento da superfície após um contato (evita começar o próximo passo dentro dela)
+const SURFACE_OFFSET = 0.01
+
+// Abaixo desta velocidade (m/s) o projétil para de quicar e fica parado
+const REST_SPEED = 0.5
+
+// Massa usada no empurrão de objetos soltos atingidos em cheio
+const PROJECTILE_MASS = 0.2
+
+// Efeito visual da explosão
+const EXPLOSION_COLOR = 0xff7722
+const EXPLOSION_DURATION = 0.35
+
+// Reutilizados na simulação
+const _direction = new THREE.Vector3()
+const _normal = new THREE.Vector3()
+const _tangent = new THREE.Vector3()
+const _target = new THREE.Vector3()
+const _impulse = new THREE.Vector3()
+
+/**
+ * Um projétil do pool (reaproveitado entre disparos)
+ */
+class Projectile {
+  constructor(geometry) {
+    this.mesh = new THREE.Mesh(geometry)
+    this.mesh.name = 'Projectile'
+    this.mesh.visible = false
+    this.mesh.castShadow = true
+
+    this.position = new THREE.Vector3()
+    this.previousPosition = new THREE.Vector3()
+    this.velocity = new THREE.Vector3()
+
+    this.config = null
+    this.owner = null
+    this.ownerBody = null
+    this.source = null
+    this.weapon = null
+
+    this.age = 0
+    this.bounces = 0
+    this.resting = false
+  }
+}
+
+/**
+ * Efeito visual de explosão (esfera que cresce até o raio e some)
+ * Reaproveitado entre explosões; avança no passo fixo como os projéteis
+ */
+class ExplosionEffect {
+  constructor(geometry) {
+    this.material = new THREE.MeshBasicMaterial({
+      color: EXPLOSION_COLOR,
+      transparent: true,
+      opacity: 0.8,
+      depthWrite: false
+    })
+
+    this.mesh = new THREE.Mesh(geometry, this.material)
+    this.mesh.name = 'Explosion'
+    this.mesh.visible = false
+
+    this.radius = 1
+    this.age = 0
+    this.previousAge = 0
+  }
+}
+
+class ProjectileManager {
+  constructor() {
+    this.geometry = null
+    this.materials = new Map()
+
+    // Livres para reuso e em voo (ordem de disparo)
+    this.pool = []
+    this.active = []
+
+    // Efeitos de explosão (geometria compartilhada entre todos)
+    this.explosionGeometry = null
+    this.explosionPool = []
+    this.explosions = []
+  }
+
+  /**
+   * Dispara um projétil
+   * options: { config, origin, direction, owner, source, weapon }
+   * config é o bloco "projectile" da definição da arma; owner é a entidade
+   * que disparou (o corpo dela é ignorado pelo projétil)
+   */
+  spawn(options) {
+    const { config, origin, direction, owner = null, source = null, weapon = null } = options
+    const projectile = this.acquire()
+
+    projectile.config = config
+    projectile.owner = owner
+    projectile.ownerBody = owner ? physicsWorld.getEntityColliders(owner)[0]?.parent() ?? null : null
+    projectile.source = source
+    projectile.weapon = weapon
+
+    projectile.age = 0
+    projectile.bounces = 0
+    projectile.resting = false
+
+    projectile.position.copy(origin)
+    projectile.previousPosition.copy(origin)
+    projectile.velocity.copy(direction).normalize().multiplyScalar(config.speed)
+
+    const mesh = projectile.mesh
+    mesh.material = this.getMaterial(config.color)
+    mesh.scale.setScalar(config.size)
+    mesh.position.copy(origin)
+    mesh.visible = true
+
+    this.active.push(projectile)
+    return projectile
+  }
+
+  /**
+   * Pega um projétil livre (cria até POOL_SIZE; depois recicla o mais antigo)
+   */
+  acquire() {
+    if (this.pool.length > 0) {
+      return this.pool.pop()
+    }
+
+    if (this.active.length >= POOL_SIZE) {
+      const oldest = this.active[0]
+      this.release(oldest)
+      return this.pool.pop()
+    }
+
+    if (!this.geometry) {
+      this.geometry = new THREE.SphereGeometry(1, 8, 6)
+    }
+
+    const projectile = new Projectile(this.geometry)
+    scene.add(projectile.mesh)
+    return projectile
+  }
+
+  /**
+   * Devolve um projétil ao pool
+   */
+  release(projectile) {
+    const index = this.active.indexOf(projectile)
+    if (index === -1) return
+
+    this.active.splice(index, 1)
+    projectile.mesh.visible = false
+    projectile.config = null
+    projectile.owner = null
+    projectile.ownerBody = null
+    this.pool.push(projectile)
+  }
+
+  getMaterial(color) {
+    if (!this.materials.has(color)) {
+      this.materials.set(color, new THREE.MeshStandardMaterial({ color, roughness: 0.6, metalness: 0.3 }))
+    }
+    return this.materials.get(color)
+  }
+
+  // ========== SIMULAÇÃO ==========
+
+  /**
+   * Avança todos os projéteis um passo fixo
+   */
+  update(step) {
+    // De trás para frente: simulate pode devolver o projétil ao pool
+    for (let i = this.active.length - 1; i >= 0; i--) {
+      this.simulate(this.active[i], step)
+    }
+
+    for (let i = this.explosions.length - 1; i >= 0; i--) {
+      const effect = this.explosions[i]
+      effect.previousAge = effect.age
+      effect.age += step
+
+      if (effect.previousAge >= EXPLOSION_DURATION) {
+        this.releaseExplosion(effect)
+      }
+    }
+  }
+
+  simulate(projectile, step) {
+    const { config, position, velocity } = projectile
+
+    projectile.age += step
+    projectile.previousPosition.copy(position)
+
+    if (config.fuse > 0 && projectile.age >= config.fuse) {
+      this.detonate(projectile, null)
+      return
+    }
+
+    if (projectile.age >= config.lifetime) {
+      this.release(projectile)
+      return
+    }
+
+    if (projectile.resting) return
+
+    // Gravidade e arrasto
+    const gravity = physicsWorld.getGravity()
+    velocity.x += gravity.x * config.gravityScale * step
+    velocity.y += gravity.y * config.gravityScale * step
+    velocity.z += gravity.z * config.gravityScale * step
+    velocity.multiplyScalar(Math.exp(-config.drag * step))
+
+    const distance = velocity.length() * step
+    if (distance <= 0) return
+
+    _direction.copy(velocity).divideScalar(velocity.length())
+
+    // Detecção contínua: a esfera percorre todo o deslocamento do passo
+    const hit = physicsWorld.castSphere(position, config.radius, _direction, distance, {
+      mask: PROJECTILE_MASK,
+      excludeBody: projectile.ownerBody
+    })
+
+    if (!hit) {
+      position.addScaledVector(_direction, distance)
+      return
+    }
+
+    // Parar no contato, um pouco afastado da superfície
+    _normal.set(hit.normal.x, hit.normal.y, hit.normal.z)
+    position.addScaledVector(_direction, hit.distance).addScaledVector(_normal, SURFACE_OFFSET)
+
+    this.handleImpact(projectile, hit)
+  }
+
+  /**
+   * Contato com uma superfície ou entidade: dano direto, explosão, quique
+   * ou parada (esperando a espoleta)
+   */
+  handleImpact(projectile, hit) {
+    const { config } = projectile
+    const entity = physicsWorld.getEntity(hit.collider)
+
+    if (config.impactDamage > 0 && isDamageable(entity)) {
+      applyDamage(entity, config.impactDamage, projectile.owner)
+    }
+
+    // Objetos soltos são empurrados pelo projétil
+    const body = hit.collider.parent()
+    if (body && body.isDynamic()) {
+      _impulse.copy(projectile.velocity).multiplyScalar(PROJECTILE_MASS)
+      body.applyImpulseAtPoint(_impulse, hit.point, true)
+    }
+
+    window.dispatchEvent(new CustomEvent('projectile-hit', {
+      detail: {
+        weapon: projectile.weapon,
+        entity,
+        point: hit.point,
+        normal: hit.normal
+      }
+    }))
+
+    if (config.explodeOnImpact) {
+      this.detonate(projectile, entity)
+      return
+    }
+
+    if (projectile.bounces < config.maxBounces) {
+      this.bounce(projectile, hit.normal)
+      return
+    }
+
+    // Sem quicadas restantes: com espoleta, fica parado até explodir
+    if (config.fuse > 0) {
+      projectile.resting = true
+      projectile.velocity.set(0, 0, 0)
+      return
+    }
+
+    this.release(projectile)
+  }
+
+  /**
+   * Reflete a velocidade na normal (restituição na normal, atrito na tangente)
+   */
+  bounce(projectile, normal) {
+    const { config, velocity } = projectile
+
+    _normal.set(normal.x, normal.y, normal.z)
+    const normalSpeed = velocity.dot(_normal)
+
+    if (normalSpeed < 0) {
+      _tangent.copy(velocity).addScaledVector(_normal, -normalSpeed).multiplyScalar(1 - config.friction)
+      velocity.copy(_tangent).addScaledVector(_normal, -normalSpeed * config.restitution)
+    }
+
+    projectile.bounces++
+
+    if (velocity.length() < REST_SPEED) {
+      projectile.resting = true
+      velocity.set(0, 0, 0)
+    }
+  }
+
+  // ========== EXPLOSÃO ==========
+
+  /**
+   * Encerra o projétil, explodindo se a arma tiver explosão
+   * directHit: entidade atingida em cheio (recebe o dano máximo)
+   */
+  detonate(projectile, directHit) {
+    if (projectile.config.explosion.radius > 0) {
+      this.explode(projectile, directHit)
+    }
+    this.release(projectile)
+  }
+
+  /**
+   * Dano em área com queda pela distância; paredes entre o centro
+   * e o alvo bloqueiam o dano
+   */
+  explode(projectile, directHit) {
+    const { explosion } = projectile.config
+    const center = projectile.position
+    const damaged = []
+    const seen = new Set()
+
+    for (const collider of physicsWorld.intersectSphere(center, explosion.radius, { mask: EXPLOSION_MASK })) {
+      const entity = physicsWorld.getEntity(collider)
+      if (entity && seen.has(entity)) continue
+
+      const translation = collider.translation()
+      _target.set(translation.x, translation.y, translation.z)
+
+      const distance = entity === directHit ? 0 : center.distanceTo(_target)
+      const falloff = Math.pow(Math.max(0, 1 - distance / explosion.radius), explosion.falloff)
+      if (falloff <= 0) continue
+      if (entity !== directHit && !hasLineOfSight(center, _target)) continue
+
+      if (entity) seen.add(entity)
+
+      const body = collider.parent()
+      if (body && body.isDynamic()) {
+        _impulse.subVectors(_target, center).normalize().multiplyScalar(explosion.impulse * falloff)
+        body.applyImpulse(_impulse, true)
+      }
+
+      if (isDamageable(entity)) {
+        const damage = applyDamage(entity, explosion.damage * falloff, projectile.owner)
+        damaged.push({ entity, damage })
+      }
+    }
+
+    this.spawnExplosionEffect(center, explosion.radius)
+    emitNoise(center, NoiseType.EXPLOSION, { source: projectile.source })
+
+    window.dispatchEvent(new CustomEvent('projectile-explode', {
+      detail: {
+        weapon: projectile.weapon,
+        position: center.clone(),
+        radius: explosion.radius,
+        damaged
+      }
+    }))
+  }
+
+  /**
+   * Mostra o efeito de explosão (reusa um efeito livre do pool)
+   */
+  spawnExplosionEffect(position, radius) {
+    let effect = this.explosionPool.pop()
+
+    if (!effect) {
+      if (!this.explosionGeometry) {
+        this.explosionGeometry = new THREE.SphereGeometry(1, 16, 12)
+      }
+      effect = new ExplosionEffect(this.explosionGeometry)
+      scene.add(effect.mesh)
+    }
+
+    effect.radius = radius
+    effect.age = 0
+    effect.previousAge = 0
+    effect.mesh.position.copy(position)
+    effect.mesh.visible = true
+    this.setExplosionProgress(effect, 0)
+
+    this.explosions.push(effect)
+  }
+
+  releaseExplosion(effect) {
+    const index = this.explosions.indexOf(effect)
+    if (index === -1) return
+
+    this.explosions.splice(index, 1)
+    effect.mesh.visible = false
+    this.explosionPool.push(effect)
+  }
+
+  setExplosionProgress(effect, t) {
+    effect.mesh.scale.setScalar(effect.radius * (0.2 + 0.8 * t))
+    effect.material.opacity = 0.8 * (1 - t)
+  }
+
+  // ========== RENDER ==========
+
+  /**
+   * Posiciona os modelos entre os dois últimos passos
+   */
+  interpolate(alpha) {
+    for (const projectile of this.active) {
+      projectile.mesh.position.lerpVectors(projectile.previousPosition, projectile.position, alpha)
+    }
+
+    for (const effect of this.explosions) {
+      const age = effect.previousAge + (effect.age - effect.previousAge) * alpha
+      this.setExplosionProgress(effect, Math.min(age / EXPLOSION_DURATION, 1))
+    }
+  }
+
+  /**
+   * Remove todos os projéteis em voo (e as explosões em andamento)
+   */
+  clear() {
+    while (this.active.length > 0) {
+      this.release(this.active[0])
+    }
+    while (this.explosions.length > 0) {
+      this.releaseExplosion(this.explosions[0])
+    }
+  }
+
+  getStats() {
+    return {
+      active: this.active.length,
+      pooled: this.pool.length,
+      explosions: this.explosions.length
+    }
+  }
+}
+
+/**
+ * Entidade que recebe dano (player ou NPC)
+ */
+function isDamageable(entity) {
+  return !!entity && typeof entity.takeDamage === 'function'
+}
+
+/**
+ * Aplica dano no player ou em um NPC
+ * Retorna o dano aplicado (0 se a entidade ignorou o dano)
+ */
+function applyDamage(entity, amount, source) {
+  const damage = Math.round(amount)
+  if (damage <= 0) return 0
+
+  return entity.takeDamage(damage, { source }) ? damage : 0
+}
+
+/**
+ * Nada do cenário entre a explosão e o alvo
+ */
+function hasLineOfSight(from, to) {
+  _direction.subVectors(to, from)
+  const distance = _direction.length()
+  if (distance < 0.001) return true
+
+  _direction.divideScalar(distance)
+  return !physicsWorld.castRay(from, _direction, distance, true, { mask: LayerMask.SIGHT })
+}
+
+export const projectileManager = new ProjectileManager()
+
+export function spawnProjectile(options) {
+  return projectileManager.spawn(options)
+}
+
+export function updateProjectiles(delta) {
+  projectileManager.update(delta)
+}
+
+export function interpolateProjectiles(alpha) {
+  projectileManager.interpolate(alpha)
+}
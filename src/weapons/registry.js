@@ -0,0 +1,170 @@
+/**
+ * Registro de definições de armas
+ * Cada arquivo JSON em ./definitions descreve uma arma (modelo, texturas,
+ * animações, modo de tiro, dano e munição). Adicionar uma arma nova é só
+ * criar um novo arquivo de definição.
+ */
+
+/**
+ * Modos de tiro suportados
+ */
+export const FireMode = {
+  SEMI: 'semi',   // Um tiro por clique
+  BURST: 'burst', // Rajada de N tiros por clique
+  AUTO: 'auto'    // Atira enquanto o botão estiver pressionado
+}
+
+/**
+ * Como o tiro é resolvido
+ */
+export const WeaponType = {
+  HITSCAN: 'hitscan',      // Raio instantâneo
+  PROJECTILE: 'projectile' // Projétil simulado (ver weapons/projectiles.js)
+}
+
+// Valores padrão aplicados a todas as definições
+const DEFAULTS = {
+  slot: 99,
+  type: WeaponType.HITSCAN,
+  fireMode: FireMode.SEMI,
+  damage: 25,
+  fireRate: 0.3,       // Segundos entre tiros
+  range: 100,
+  burstCount: 3,       // Apenas para fireMode "burst"
+  burstInterval: 0.08, // Segundos entre tiros da rajada
+  magazineSize: 12,
+  reserveAmmo: 36,
+  maxReserveAmmo: 120,
+  reloadTime: 2.0,     // Usado quando a arma não tem animação de recarga
+  holsterTime: 0.25,
+  drawTime: 0.3,
+  visualFallback: true, // Sem acerto na física, marcar o impacto pelas malhas (sem dano)
+  textures: {},
+  animations: {}
+}
+
+// Padrões dos blocos aninhados (mesclados campo a campo)
+const RECOIL_DEFAULTS = {
+  pattern: [[0.03, 0]], // [pitch, yaw] em radianos por tiro (o último se repete)
+  randomYaw: 0.005,     // Variação aleatória horizontal por tiro
+  recoverySpeed: 6,     // Velocidade de retorno da mira (fração por segundo)
+  patternResetTime: 0.4 // Sem atirar por este tempo o padrão recomeça
+}
+
+const SPREAD_DEFAULTS = {
+  base: 0.003,          // Cone de tiro parado (radianos)
+  max: 0.1,
+  moving: 0.02,         // Extra andando
+  jumping: 0.05,        // Extra no ar
+  perShot: 0.015,       // Abertura a cada tiro
+  recovery: 0.08,       // Fechamento por segundo
+  crouchMultiplier: 0.7,
+  adsMultiplier: 0.25
+}
+
+const ADS_DEFAULTS = {
+  position: [0, -0.26, -0.22], // Posição do modelo mirando
+  fov: 45,
+  speed: 10,                   // Velocidade de entrada/saída da mira
+  recoilMultiplier: 0.6
+}
+
+const PENETRATION_DEFAULTS = {
+  power: 0,             // Espessura atravessável (metros × resistência do material); 0 = não atravessa
+  maxSurfaces: 1,       // Quantas superfícies um tiro pode atravessar
+  damageFalloff: 0.4    // Fração do dano perdida a cada superfície atravessada
+}
+
+const PROJECTILE_DEFAULTS = {
+  speed: 30,            // Velocidade de saída (m/s)
+  gravityScale: 1,      // Fração da gravidade do mundo
+  drag: 0.05,           // Perda de velocidade por segundo (arrasto do ar)
+  radius: 0.05,         // Raio da esfera usada na detecção contínua
+  maxBounces: 0,        // Quicadas antes de parar
+  restitution: 0.4,     // Velocidade mantida na normal ao quicar
+  friction: 0.3,        // Velocidade tangencial perdida ao quicar
+  fuse: 0,              // Segundos até explodir (0 = sem espoleta)
+  explodeOnImpact: true,
+  impactDamage: 0,      // Dano direto em quem for atingido
+  lifetime: 10,         // Segundos até sumir se nada acontecer
+  color: '#ffaa00',
+  size: 0.06            // Raio do modelo
+}
+
+const EXPLOSION_DEFAULTS = {
+  radius: 0,            // 0 = sem explosão
+  damage: 0,            // Dano no centro
+  falloff: 1,           // Expoente da queda do dano até a borda
+  impulse: 6            // Empurrão em objetos soltos no centro
+}
+
+const MODEL_DEFAULTS = {
+  texturePath: '',
+  position: [0, -0.3, -0.3],
+  rotation: [0, Math.PI, 0],
+  scale: [1, 1, 1]
+}
+
+// Carregar todas as definições em tempo de build (Vite)
+const modules = import.meta.glob('./definitions/*.json', { eager: true, import: 'default' })
+
+const definitions = new Map()
+
+for (const [path, raw] of Object.entries(modules)) {
+  const definition = normalizeDefinition(raw, path)
+  if (definition) {
+    definitions.set(definition.id, definition)
+  }
+}
+
+/**
+ * Valida uma definição e preenche os valores padrão
+ */
+function normalizeDefinition(raw, path) {
+  if (!raw || !raw.id || !raw.model?.path) {
+    console.warn(`⚠️ Definição de arma inválida (precisa de id e model.path): ${path}`)
+    return null
+  }
+
+  const definition = {
+    ...DEFAULTS,
+    ...raw,
+    name: raw.name || raw.id,
+    model: { ...MODEL_DEFAULTS, ...raw.model },
+    recoil: { ...RECOIL_DEFAULTS, ...raw.recoil },
+    spread: { ...SPREAD_DEFAULTS, ...raw.spread },
+    ads: { ...ADS_DEFAULTS, ...raw.ads },
+    penetration: { ...PENETRATION_DEFAULTS, ...raw.penetration },
+    projectile: {
+      ...PROJECTILE_DEFAULTS,
+      ...raw.projectile,
+      explosion: { ...EXPLOSION_DEFAULTS, ...raw.projectile?.explosion }
+    }
+  }
+
+  if (!Object.values(WeaponType).includes(definition.type)) {
+    console.warn(`⚠️ Tipo de arma desconhecido "${definition.type}" em ${definition.id}, usando "hitscan"`)
+    definition.type = WeaponType.HITSCAN
+  }
+
+  if (!Object.values(FireMode).includes(definition.fireMode)) {
+    console.warn(`⚠️ Modo de tiro desconhecido "${definition.fireMode}" em ${definition.id}, usando "semi"`)
+    definition.fireMode = FireMode.SEMI
+  }
+
+  return Object.freeze(definition)
+}
+
+/**
+ * Obtém a definição de uma arma pelo id
+ */
+export function getWeaponDefinition(id) {
+  return definitions.get(id) || null
+}
+
+/**
+ * Retorna todas as definições ordenadas pelo slot
+ */
+export function getWeaponDefinitions() {
+  return [...definitions.values()].sort((a, b) => a.slot - b.slot)
+}
@@ -0,0 +1,646 @@
+import * as THREE from 'three'
+import { OBB } from 'three/addons/math/OBB.js'
+import { NPCManager, spawnNPC } from '../entities/NPCManager.js'
+import { physicsWorld } from '../physics/physics.js'
+import { getPlayer } from '../player/player.js'
+import { getInventory } from '../player/weapon.js'
+
+/**
+ * Entidades autoradas no GLB do mapa
+ * O tipo vem de userData.type (custom properties/extras do Blender) ou do
+ * prefixo do nome do objeto. As demais extras viram opções da entidade:
+ *
+ *   PlayerSpawn_*   posição e direção (eixo -Z) de renascimento do player
+ *   NPCSpawn_*      opções do NPC (archetype, squad, health, chaseSpeed...), route,
+ *                   group (nasce por trigger; também é o esquadrão padrão) e onLoad (nasce com o mapa);
+ *                   sem group/onLoad vira ponto de spawn do modo sobrevivência
+ *   PatrolRoute_*   filhos (em ordem de nome) são os pontos da rota
+ *   Trigger_*       volume (malha ou empty cubo); event, once, spawnGroup
+ *   Pickup_<tipo>_* pickup (health/armor/ammo), amount, respawnTime, weapon
+ *   Light_*         light (point/spot), color, intensity, distance, castShadow
+ *                   (pelo nome só empties; malhas precisam de extras.type)
+ *   CoverPoint_*    ponto de cobertura; o eixo -Z aponta para o obstáculo
+ */
+export const EntityType = {
+  PLAYER_SPAWN: 'player_spawn',
+  NPC_SPAWN: 'npc_spawn',
+  PATROL_ROUTE: 'patrol_route',
+  TRIGGER: 'trigger',
+  PICKUP: 'pickup',
+  LIGHT: 'light',
+  COVER_POINT: 'cover_point'
+}
+
+// Prefixos de nome aceitos para cada tipo (nome em minúsculas)
+// emptyOnly: o nome só vale para objetos sem malha (ex.: "Light_Post01" é cenário)
+const NAME_PREFIXES = [
+  { type: EntityType.PLAYER_SPAWN, prefixes: ['playerspawn', 'player_spawn'] },
+  { type: EntityType.NPC_SPAWN, prefixes: ['npcspawn', 'npc_spawn', 'enemyspawn', 'enemy_spawn'] },
+  { type: EntityType.PATROL_ROUTE, prefixes: ['patrolroute', 'patrol_route'] },
+  { type: EntityType.TRIGGER, prefixes: ['trigger_'] },
+  { type: EntityType.PICKUP, prefixes: ['pickup_'] },
+  { type: EntityType.LIGHT, prefixes: ['light_'], emptyOnly: true },
+  { type: EntityType.COVER_POINT, prefixes: ['coverpoint', 'cover_point'] }
+]
+
+// Extras que descrevem a entidade (o resto vai para as opções do NPC)
+const NPC_SPAWN_KEYS = ['type', 'group', 'route', 'onLoad']
+
+// Valores padrão dos pickups por tipo
+const PICKUP_DEFAULTS = {
+  health: { amount: 25, color: 0x44ff44 },
+  armor: { amount: 25, color: 0x4488ff },
+  ammo: { amount: 24, color: 0xffcc00 }
+}
+
+// Raio (horizontal) de coleta dos pickups
+const PICKUP_RADIUS = 1.0
+
+// Reutilizados no parse e nas consultas
+const _quaternion = new THREE.Quaternion()
+const _forward = new THREE.Vector3()
+const _matrix = new THREE.Matrix4()
+
+/**
+ * Identifica o tipo de entidade de um objeto do mapa (ou null)
+ */
+function getEntityType(object) {
+  const declared = object.userData.type
+  if (typeof declared === 'string') {
+    const type = declared.toLowerCase()
+    if (Object.values(EntityType).includes(type)) return type
+  }
+
+  const name = object.name.toLowerCase()
+  const match = NAME_PREFIXES.find(rule => rule.prefixes.some(prefix => name.startsWith(prefix)))
+  if (!match) return null
+
+  if (match.emptyOnly && object.getObjectByProperty('isMesh', true)) return null
+  return match.type
+}
+
+/**
+ * Direção horizontal (yaw) para a qual o objeto aponta (eixo -Z, como a câmera)
+ */
+function getYaw(object) {
+  object.getWorldQuaternion(_quaternion)
+  _forward.set(0, 0, -1).applyQuaternion(_quaternion)
+  return Math.atan2(-_forward.x, -_forward.z)
+}
+
+/**
+ * Nome da entidade sem o prefixo de tipo (ex: "PatrolRoute_Patio" → "Patio")
+ */
+function getShortName(object) {
+  const index = object.name.indexOf('_')
+  return index === -1 ? object.name : object.name.slice(index + 1)
+}
+
+/**
+ * Marca o objeto e seus filhos como entidade (ficam fora da física e da navmesh)
+ */
+function markEntity(object, type) {
+  object.traverse((child) => {
+    child.userData.isMapEntity = true
+  })
+  object.userData.entityType = type
+}
+
+/**
+ * Lê as entidades do mapa e marca os objetos correspondentes
+ * Deve rodar antes da criação da física
+ */
+export function parseMapEntities(root) {
+  const entities = {
+    playerSpawns: [],
+    npcSpawns: [],
+    patrolRoutes: new Map(),
+    triggers: [],
+    pickups: [],
+    lights: [],
+    coverPoints: []
+  }
+
+  root.updateMatrixWorld(true)
+
+  const found = []
+  root.traverse((object) => {
+    if (object === root || object.userData.isMapEntity) return
+
+    const type = getEntityType(object)
+    if (!type) return
+
+    // Objetos que já trazem luz (KHR_lights_punctual) não precisam ser recriados
+    if (type === EntityType.LIGHT && object.getObjectByProperty('isLight', true)) return
+
+    markEntity(object, type)
+    found.push({ object, type })
+  })
+
+  for (const { object, type } of found) {
+    switch (type) {
+      case EntityType.PLAYER_SPAWN:
+        entities.playerSpawns.push({
+          name: object.name,
+          position: object.getWorldPosition(new THREE.Vector3()),
+          yaw: getYaw(object)
+        })
+        break
+
+      case EntityType.NPC_SPAWN:
+        entities.npcSpawns.push(parseNPCSpawn(object))
+        break
+
+      case EntityType.PATROL_ROUTE: {
+        const name = object.userData.route || getShortName(object)
+        entities.patrolRoutes.set(name, parsePatrolRoute(object))
+        break
+      }
+
+      case EntityType.TRIGGER:
+        entities.triggers.push(parseTrigger(object))
+        break
+
+      case EntityType.PICKUP:
+        entities.pickups.push(parsePickup(object))
+        break
+
+      case EntityType.LIGHT:
+        entities.lights.push({ object, options: { ...object.userData } })
+        break
+
+      case EntityType.COVER_POINT: {
+        const yaw = getYaw(object)
+        entities.coverPoints.push({
+          name: object.name,
+          position: object.getWorldPosition(new THREE.Vector3()),
+          normal: new THREE.Vector3(-Math.sin(yaw), 0, -Math.cos(yaw))
+        })
+        break
+      }
+    }
+  }
+
+  // Rotas referenciadas pelos spawns precisam existir
+  for (const spawn of entities.npcSpawns) {
+    if (spawn.route && !entities.patrolRoutes.has(spawn.route)) {
+      console.warn(`⚠️ Rota de patrulha "${spawn.route}" não encontrada (${spawn.name})`)
+      spawn.route = null
+    }
+  }
+
+  return entities
+}
+
+function parseNPCSpawn(object) {
+  const data = object.userData
+  const options = {}
+
+  for (const [key, value] of Object.entries(data)) {
+    if (!NPC_SPAWN_KEYS.includes(key) && key !== 'isMapEntity' && key !== 'entityType') {
+      options[key] = value
+    }
+  }
+
+  return {
+    name: object.name,
+    position: object.getWorldPosition(new THREE.Vector3()),
+    options,
+    route: data.route || null,
+    group: data.group || null,
+    onLoad: Boolean(data.onLoad)
+  }
+}
+
+function parsePatrolRoute(object) {
+  const points = object.children
+    .slice()
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+    .map(child => child.getWorldPosition(new THREE.Vector3()))
+
+  if (points.length < 2) {
+    console.warn(`⚠️ Rota de patrulha ${object.name} tem menos de 2 pontos`)
+  }
+
+  return points
+}
+
+function parseTrigger(object) {
+  const data = object.userData
+  const obb = new OBB()
+
+  if (object.isMesh) {
+    object.geometry.computeBoundingBox()
+    obb.fromBox3(object.geometry.boundingBox)
+    object.visible = false
+  } else {
+    // Empty cubo do Blender: meia-extensão 1 na escala do objeto
+    obb.halfSize.set(1, 1, 1)
+  }
+
+  obb.applyMatrix4(object.matrixWorld)
+
+  return {
+    name: object.name,
+    obb,
+    event: data.event || null,
+    once: data.once !== false && data.once !== 0,
+    spawnGroup: data.spawnGroup || null
+  }
+}
+
+function parsePickup(object) {
+  const data = object.userData
+  const kind = String(data.pickup || object.name.split('_')[1] || '').toLowerCase()
+
+  if (!PICKUP_DEFAULTS[kind]) {
+    console.warn(`⚠️ Tipo de pickup desconhecido "${kind}" em ${object.name}`)
+  }
+
+  return {
+    name: object.name,
+    object,
+    kind,
+    amount: data.amount ?? PICKUP_DEFAULTS[kind]?.amount ?? 0,
+    respawnTime: data.respawnTime ?? 0, // 0 = não volta
+    weapon: data.weapon || null
+  }
+}
+
+/**
+ * Entidades do mapa em tempo de execução
+ * Cria luzes, pickups e sensores dos triggers e spawna NPCs autorados
+ */
+class MapEntities {
+  constructor() {
+    this.entities = null
+    this.lights = []
+
+    // Estado de cada trigger: { trigger, sensor, inside, fired }
+    this.triggers = []
+
+    // Estado de cada pickup: { pickup, visual, marker, baseY, position, available, timer }
+    this.pickups = []
+
+    // NPCs criados a partir de spawns autorados
+    this.npcs = new Set()
+    this.runId = 0
+
+    this.time = 0
+  }
+
+  /**
+   * Ativa as entidades lidas por parseMapEntities
+   */
+  init(entities) {
+    this.dispose()
+
+    this.entities = entities
+    this.createLights()
+    this.createPickups()
+    this.createTriggers()
+
+    getPlayer().setSpawnPoints(entities.playerSpawns)
+  }
+
+  // ========== LUZES ==========
+
+  createLights() {
+    for (const { object, options } of this.entities.lights) {
+      const color = Array.isArray(options.color)
+        ? new THREE.Color().fromArray(options.color)
+        : new THREE.Color(options.color ?? 0xffffff)
+      const intensity = options.intensity ?? 1
+      const distance = options.distance ?? 0
+
+      let light
+      if (options.light === 'spot') {
+        light = new THREE.SpotLight(color, intensity, distance, options.angle ?? Math.PI / 6, options.penumbra ?? 0.2)
+
+        // Aponta para o -Z do objeto
+        light.target.position.set(0, 0, -1)
+        object.add(light.target)
+      } else {
+        light = new THREE.PointLight(color, intensity, distance)
+      }
+
+      light.decay = options.decay ?? 2
+      light.castShadow = options.castShadow === true
+      if (light.castShadow) {
+        light.shadow.mapSize.set(512, 512)
+      }
+
+      object.add(light)
+      this.lights.push(light)
+    }
+  }
+
+  // ========== NPCs ==========
+
+  /**
+   * Spawna os NPCs autorados para nascer junto com o mapa
+   */
+  spawnInitialNPCs() {
+    const spawns = this.entities ? this.entities.npcSpawns.filter(spawn => spawn.onLoad) : []
+    return Promise.all(spawns.map(spawn => this.spawnFromPoint(spawn)))
+  }
+
+  /**
+   * Spawna todos os NPCs de um grupo (usado pelos triggers)
+   */
+  spawnGroup(group) {
+    const spawns = this.entities ? this.entities.npcSpawns.filter(spawn => spawn.group === group) : []
+
+    if (spawns.length === 0) {
+      console.warn(`⚠️ Nenhum spawn de NPC no grupo "${group}"`)
+    }
+
+    return Promise.all(spawns.map(spawn => this.spawnFromPoint(spawn)))
+  }
+
+  async spawnFromPoint(spawn) {
+    const runId = this.runId
+    const route = spawn.route ? this.entities.patrolRoutes.get(spawn.route) : null
+
+    const npc = await spawnNPC({
+      name: spawn.name,
+      squad: spawn.group ?? undefined,
+      ...spawn.options,
+      position: spawn.position.clone(),
+      patrolPoints: route ? route.map(point => point.clone()) : undefined
+    })
+
+    if (!npc) return null
+
+    // O mapa pode ter sido reiniciado durante o carregamento
+    if (runId !== this.runId) {
+      NPCManager.removeNPC(npc)
+      return null
+    }
+
+    this.npcs.add(npc)
+    return npc
+  }
+
+  /**
+   * Pontos de spawn livres (sem grupo nem onLoad), usados pelo modo sobrevivência
+   */
+  getWaveSpawnPoints() {
+    if (!this.entities) return []
+    return this.entities.npcSpawns.filter(spawn => !spawn.group && !spawn.onLoad)
+  }
+
+  /**
+   * Pontos de cobertura autorados (ver ai/cover.js)
+   */
+  getCoverPoints() {
+    return this.entities ? this.entities.coverPoints : []
+  }
+
+  // ========== PICKUPS ==========
+
+  createPickups() {
+    for (const pickup of this.entities.pickups) {
+      let visual = pickup.object
+      let marker = null
+
+      // Empty sem malha: usar um marcador simples
+      if (!visual.getObjectByProperty('isMesh', true)) {
+        const color = PICKUP_DEFAULTS[pickup.kind]?.color ?? 0xffffff
+        marker = new THREE.Mesh(
+          new THREE.BoxGeometry(0.3, 0.3, 0.3),
+          new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.4 })
+        )
+        marker.position.y = 0.4
+        marker.castShadow = true
+        pickup.object.add(marker)
+        visual = marker
+      }
+
+      this.pickups.push({
+        pickup,
+        visual,
+        marker,
+        baseY: visual.position.y,
+        position: pickup.object.getWorldPosition(new THREE.Vector3()),
+        available: true,
+        timer: 0
+      })
+    }
+  }
+
+  updatePickups(delta, player) {
+    const playerPosition = player.state.position
+
+    for (const entry of this.pickups) {
+      if (!entry.available) {
+        if (entry.pickup.respawnTime <= 0) continue
+
+        entry.timer -= delta
+        if (entry.timer <= 0) {
+          entry.available = true
+          entry.pickup.object.visible = true
+        }
+        continue
+      }
+
+      // Animação: girar e flutuar
+      entry.visual.rotation.y += delta * 1.5
+      entry.visual.position.y = entry.baseY + Math.sin(this.time * 2) * 0.08
+
+      const dx = entry.position.x - playerPosition.x
+      const dz = entry.position.z - playerPosition.z
+      const dy = Math.abs(entry.position.y - playerPosition.y)
+      if (dx * dx + dz * dz > PICKUP_RADIUS * PICKUP_RADIUS || dy > 2) continue
+
+      if (this.applyPickup(entry.pickup, player)) {
+        entry.available = false
+        entry.timer = entry.pickup.respawnTime
+        entry.pickup.object.visible = false
+
+        window.dispatchEvent(new CustomEvent('pickup-collected', {
+          detail: { name: entry.pickup.name, kind: entry.pickup.kind, amount: entry.pickup.amount }
+        }))
+      }
+    }
+  }
+
+  /**
+   * Aplica o pickup ao player (retorna false se não fez diferença)
+   */
+  applyPickup(pickup, player) {
+    switch (pickup.kind) {
+      case 'health':
+        if (player.state.health >= player.config.maxHealth) return false
+        player.heal(pickup.amount)
+        return true
+
+      case 'armor':
+        if (player.state.armor >= player.config.maxArmor) return false
+        player.addArmor(pickup.amount)
+        return true
+
+      case 'ammo': {
+        const inventory = getInventory()
+        const weapon = pickup.weapon
+          ? inventory.weapons.find(candidate => candidate.id === pickup.weapon)
+          : inventory.getCurrentWeapon()
+
+        if (!weapon || weapon.state.reserveAmmo >= weapon.state.maxReserveAmmo) return false
+        weapon.addAmmo(pickup.amount)
+        return true
+      }
+
+      default:
+        return false
+    }
+  }
+
+  // ========== TRIGGERS ==========
+
+  /**
+   * Cria um sensor do Rapier para cada trigger (eventos vêm do step da física)
+   */
+  createTriggers() {
+    for (const trigger of this.entities.triggers) {
+      const entry = { trigger, sensor: null, inside: false, fired: false }
+
+      _matrix.setFromMatrix3(trigger.obb.rotation)
+      _quaternion.setFromRotationMatrix(_matrix)
+
+      entry.sensor = physicsWorld.createSensorBox(trigger.obb.center, trigger.obb.halfSize, _quaternion, entry)
+      physicsWorld.onTriggerEnter(entry.sensor.collider, ({ otherEntity }) => this.handleTrigger(entry, otherEntity, true))
+      physicsWorld.onTriggerExit(entry.sensor.collider, ({ otherEntity }) => this.handleTrigger(entry, otherEntity, false))
+
+      this.triggers.push(entry)
+    }
+  }
+
+  handleTrigger(entry, otherEntity, inside) {
+    const player = getPlayer()
+    if (otherEntity !== player) return
+
+    entry.inside = inside
+    if (player.state.isDead) return
+
+    const { trigger } = entry
+
+    if (inside) {
+      if (entry.fired && trigger.once) return
+      entry.fired = true
+
+      if (trigger.spawnGroup) {
+        this.spawnGroup(trigger.spawnGroup)
+      }
+    } else if (trigger.once) {
+      return
+    }
+
+    window.dispatchEvent(new CustomEvent(inside ? 'map-trigger-enter' : 'map-trigger-exit', {
+      detail: { name: trigger.name, event: trigger.event }
+    }))
+  }
+
+  // ========== ATUALIZAÇÃO ==========
+
+  /**
+   * Testa os pickups contra o player (passo fixo)
+   */
+  update(delta) {
+    if (!this.entities) return
+
+    const player = getPlayer()
+    this.time += delta
+
+    if (player.state.isDead) return
+
+    this.updatePickups(delta, player)
+  }
+
+  /**
+   * Volta o mapa ao estado inicial (remove NPCs autorados, rearma triggers e pickups)
+   */
+  reset() {
+    this.runId++
+
+    for (const npc of this.npcs) {
+      NPCManager.removeNPC(npc)
+    }
+    this.npcs.clear()
+
+    for (const entry of this.triggers) {
+      entry.fired = false
+    }
+
+    for (const entry of this.pickups) {
+      entry.available = true
+      entry.timer = 0
+      entry.pickup.object.visible = true
+    }
+
+    return this.spawnInitialNPCs()
+  }
+
+  /**
+   * Retorna quantas entidades de cada tipo o mapa possui
+   */
+  getStats() {
+    if (!this.entities) return null
+
+    return {
+      playerSpawns: this.entities.playerSpawns.length,
+      npcSpawns: this.entities.npcSpawns.length,
+      patrolRoutes: this.entities.patrolRoutes.size,
+      triggers: this.triggers.length,
+      pickups: this.pickups.length,
+      lights: this.lights.length,
+      coverPoints: this.entities.coverPoints.length
+    }
+  }
+
+  /**
+   * Limpa recursos
+   */
+  dispose() {
+    this.runId++
+
+    for (const light of this.lights) {
+      light.removeFromParent()
+      if (light.target) light.target.removeFromParent()
+      light.dispose()
+    }
+    this.lights = []
+
+    for (const npc of this.npcs) {
+      NPCManager.removeNPC(npc)
+    }
+    this.npcs.clear()
+
+    for (const { marker } of this.pickups) {
+      if (!marker) continue
+      marker.removeFromParent()
+      marker.geometry.dispose()
+      marker.material.dispose()
+    }
+    this.pickups = []
+
+    for (const { sensor } of this.triggers) {
+      physicsWorld.removeBody(sensor.rigidBody)
+    }
+    this.triggers = []
+
+    this.entities = null
+  }
+}
+
+// Singleton
+export const mapEntities = new MapEntities()
+
+// Funções de conveniência
+export function initMapEntities(entities) {
+  mapEntities.init(entities)
+}
+
+export function updateMapEntities(delta) {
+  mapEntities.update(delta)
+}
@@ -1,6 +1,7 @@
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
 import { scene } from '../core/scene.js'
 import { physicsWorld } from '../physics/physics.js'
+import { parseMapEntities } from './entities.js'
 
 const loader = new GLTFLoader().setPath('/models/')
 
@@ -25,14 +26,18 @@ export function loadWorld() {
           }
         })
 
+        // Entidades autoradas (spawns, triggers, pickups, luzes) ficam fora da física
+        const entities = parseMapEntities(world)
+
         // Tentar criar física (se falhar, continua sem)
+        let physicsObjects = []
         try {
-          physicsWorld.createPhysicsFromGLB(world)
+          physicsObjects = physicsWorld.createPhysicsFromGLB(world)
         } catch (error) {
           // Continua sem física se falhar
         }
         
-        resolve({ world })
+        resolve({ world, physicsObjects, entities })
       },
       
       (progress) => {